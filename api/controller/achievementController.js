@@ -0,0 +1,34 @@
+import UserBadge from '../model/userBadge.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { ACHIEVEMENTS, describe } from '../services/achievementService.js'
+
+const withRule = (badge) => {
+  const rule = ACHIEVEMENTS.find(r => r.key === badge.badgeKey);
+  return rule ? { ...describe(rule), unlockedAt: badge.unlockedAt } : null;
+};
+
+const getCatalog = async (req, res) => {
+  res.status(200).json(ACHIEVEMENTS.map(describe));
+};
+
+const getUserBadges = async (req, res) => {
+  try {
+    const userId = String(req.params.userId ?? req.user.id);
+
+    if (!isAdmin(req.user) && !isSelf(req.user, userId)) {
+      return forbidden(res, "You can only see your own badges");
+    }
+
+    const badges = await UserBadge.find({ userId }).sort({ unlockedAt: 1 });
+    res.status(200).json(badges.map(withRule).filter(Boolean));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const achievement = {
+  getCatalog,
+  getUserBadges,
+};
+
+export default achievement;
@@ -0,0 +1,394 @@
+import bcrypt from 'bcryptjs'
+import User from '../model/user.js'
+import Session from '../model/session.js'
+import AuthToken from '../model/authToken.js'
+import { issueSession, destroySession } from '../middleware/auth.js'
+import { isValidTimeZone } from '../utils/dates.js'
+import { checkPassword } from '../utils/passwordPolicy.js'
+import { sendMail } from '../services/mail/index.js'
+import { checkLock, recordFailure, recordSuccess } from '../services/loginGuard.js'
+import { issueChallenge } from '../services/twoFactorService.js'
+import { requiresTwoFactor, hasTwoFactor } from '../middleware/policy.js'
+
+const INVALID_CREDENTIALS = "Invalid email or password";
+const INVALID_TOKEN = "This link is invalid or has expired";
+
+// Checked when the email has no account, so a miss takes as long as a wrong password
+const DUMMY_HASH = bcrypt.hashSync('no-such-account', 10);
+
+const VERIFY_TOKEN_HOURS = 24;
+const RESET_TOKEN_MINUTES = 30;
+
+// Same answer whether or not the email has an account, so the forms cannot be used to probe for users
+const EMAIL_SENT = "If that email has an account, we sent it a link";
+// Signing up with a taken email gets the same answer, so the form cannot be used to find accounts
+const REGISTERED = "Registration successful. Check your email to activate your account";
+
+const sendVerification = async (user) => {
+  const token = await AuthToken.issue(user.id, 'verify-email', VERIFY_TOKEN_HOURS * 60 * 60 * 1000);
+  sendMail('verifyEmail', user.email, { name: user.name, token, expiresInHours: VERIFY_TOKEN_HOURS });
+};
+
+const nextUserId = async () => {
+  const last = await User.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
+
+const register = async (req, res) => {
+  try {
+    const { name, email, password, timezone } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, email, and password are required"
+      });
+    }
+
+    const weak = checkPassword(password, { email });
+    if (weak) {
+      return res.status(400).json({
+        success: false,
+        message: weak
+      });
+    }
+
+    const exists = await User.findByEmail(email);
+    if (exists) {
+      // Take about as long as hashing a new account's password; the owner hears about it by mail
+      await bcrypt.compare(String(password), DUMMY_HASH);
+      sendMail('accountExists', exists.email, { name: exists.name });
+      return res.status(201).json({
+        success: true,
+        message: REGISTERED
+      });
+    }
+
+    // Self-registration always yields a student; elevated roles are granted by admins
+    const user = new User({
+      id: await nextUserId(),
+      name,
+      email,
+      password,
+      role: 'student',
+      emailVerified: false,
+      enrolledCourses: [],
+      lastActive: new Date().toISOString(),
+      // The browser's timezone, when it sent a usable one
+      ...(isValidTimeZone(timezone) ? { timezone } : {})
+    });
+
+    await user.save();
+    await sendVerification(user);
+
+    return res.status(201).json({
+      success: true,
+      message: REGISTERED
+    });
+  } catch (err) {
+    // Another signup took the email first
+    if (err.code === 11000) {
+      return res.status(201).json({
+        success: true,
+        message: REGISTERED
+      });
+    }
+
+    console.error("Register error:", err);
+
+    return res.status(500).json({
+      success: false,
+      message: "Registration failed"
+    });
+  }
+}
+
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and password are required"
+      });
+    }
+
+    // Locks are kept for any email, registered or not, so they reveal nothing about accounts
+    const lock = await checkLock(email, req.ip);
+    if (lock.locked) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Try again in ${Math.ceil(lock.retryAfter / 60)} minute(s)`
+      });
+    }
+
+    const user = await User.findByEmail(email);
+    const valid = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(String(password), DUMMY_HASH).then(() => false);
+
+    if (!valid) {
+      await recordFailure(email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: INVALID_CREDENTIALS
+      });
+    }
+
+    if (user.emailVerified === false) {
+      await recordSuccess(email, req.ip);
+      return res.status(403).json({
+        success: false,
+        code: "EMAIL_NOT_VERIFIED",
+        message: "Please confirm your email address first"
+      });
+    }
+
+    // Upgrade legacy plaintext passwords the first time they are used
+    if (user.needsRehash()) {
+      user.password = password;
+    }
+    user.lastActive = new Date().toISOString();
+    await user.save();
+
+    // No session yet: /2fa/verify (or /2fa/setup and /2fa/enable, for roles that
+    // must have it but have not set it up) finishes the login with the challenge.
+    // Failures are only cleared then, so a known password does not reset the code guesses.
+    if (hasTwoFactor(user) || requiresTwoFactor(user)) {
+      return res.status(200).json({
+        success: true,
+        message: hasTwoFactor(user) ? "Enter the code from your authenticator app" : "Set up two-factor authentication to continue",
+        twoFactor: hasTwoFactor(user) ? "verify" : "setup",
+        challenge: await issueChallenge(user)
+      });
+    }
+
+    await recordSuccess(email, req.ip);
+    await issueSession(req, res, user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Login successful",
+      user
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Login failed"
+    });
+  }
+}
+
+const logout = async (req, res) => {
+  try {
+    await destroySession(req, res);
+    return res.status(200).json({
+      success: true,
+      message: "Logged out"
+    });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Logout failed"
+    });
+  }
+}
+
+const me = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    user: req.user
+  });
+}
+
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    // A stolen session must not become a way around the login lockout
+    const lock = await checkLock(req.user.email, req.ip);
+    if (lock.locked) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Try again in ${Math.ceil(lock.retryAfter / 60)} minute(s)`
+      });
+    }
+
+    if (!(await req.user.comparePassword(currentPassword))) {
+      await recordFailure(req.user.email, req.ip);
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect"
+      });
+    }
+
+    const weak = checkPassword(password, req.user);
+    if (weak) {
+      return res.status(400).json({
+        success: false,
+        message: weak
+      });
+    }
+
+    req.user.password = password;
+    await req.user.save();
+
+    // Sign out every other device; this one keeps its session
+    await Session.deleteMany({ userId: req.user.id, _id: { $ne: req.sessionId } });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password updated"
+    });
+  } catch (err) {
+    console.error("Change password error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update password"
+    });
+  }
+}
+
+const verifyEmail = async (req, res) => {
+  try {
+    const record = await AuthToken.consume(req.body.token, 'verify-email');
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN
+      });
+    }
+
+    const user = await User.findOneAndUpdate({ id: record.userId }, { $set: { emailVerified: true } }, { new: true });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN
+      });
+    }
+
+    sendMail('welcome', user.email, { name: user.name });
+
+    return res.status(200).json({
+      success: true,
+      message: "Email confirmed. You can log in now"
+    });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to confirm email"
+    });
+  }
+}
+
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+    if (user && user.emailVerified === false) {
+      await sendVerification(user);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: EMAIL_SENT
+    });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to send email"
+    });
+  }
+}
+
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+    if (user) {
+      const token = await AuthToken.issue(user.id, 'reset-password', RESET_TOKEN_MINUTES * 60 * 1000);
+      sendMail('passwordReset', user.email, { name: user.name, token, expiresInMinutes: RESET_TOKEN_MINUTES });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: EMAIL_SENT
+    });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to send email"
+    });
+  }
+}
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const pending = await AuthToken.findUsable(token, 'reset-password');
+    const user = pending && await User.findOne({ id: pending.userId });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN
+      });
+    }
+
+    // Checked before the token is used up, so a weak choice can be retried with the same link
+    const weak = checkPassword(password, user);
+    if (weak) {
+      return res.status(400).json({
+        success: false,
+        message: weak
+      });
+    }
+
+    // A second request with the same link loses here
+    if (!(await AuthToken.consume(token, 'reset-password'))) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN
+      });
+    }
+
+    user.password = password;
+    // Opening the emailed link proves the address too
+    if (user.emailVerified === false) user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.deleteMany({ userId: user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password updated. You can log in now"
+    });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset password"
+    });
+  }
+}
+
+const auth = {
+  register,
+  login,
+  logout,
+  me,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+};
+
+export default auth;
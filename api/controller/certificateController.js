@@ -0,0 +1,198 @@
+import Certificate from '../model/certificate.js'
+import Course from '../model/course.js'
+import Progress from '../model/progress.js'
+
+// What a third party gets to see when checking a certificate
+const publicView = (certificate) => ({
+  certificateId: certificate.certificateId,
+  studentName: certificate.studentName,
+  courseTitle: certificate.courseTitle,
+  instructorName: certificate.instructorName,
+  issuedAt: certificate.issuedAt,
+  revoked: certificate.revokedAt != null
+});
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, c => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[c]));
+
+const renderSvg = (certificate, verifyUrl) => {
+  const issued = new Date(certificate.issuedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="850" viewBox="0 0 1200 850" font-family="Roboto, Arial, sans-serif">
+  <rect width="1200" height="850" fill="#f8f8ff"/>
+  <rect x="30" y="30" width="1140" height="790" fill="none" stroke="#4f46e5" stroke-width="6" rx="16"/>
+  <rect x="50" y="50" width="1100" height="750" fill="none" stroke="#6c63ff" stroke-width="1.5" rx="10"/>
+  <text x="600" y="170" text-anchor="middle" font-size="56" font-weight="700" fill="#1e1b4b">Certificate of Completion</text>
+  <text x="600" y="260" text-anchor="middle" font-size="24" fill="#64748b">This certifies that</text>
+  <text x="600" y="350" text-anchor="middle" font-size="52" font-weight="700" fill="#4f46e5">${escapeXml(certificate.studentName)}</text>
+  <text x="600" y="430" text-anchor="middle" font-size="24" fill="#64748b">has successfully completed the course</text>
+  <text x="600" y="510" text-anchor="middle" font-size="40" font-weight="500" fill="#1e1b4b">${escapeXml(certificate.courseTitle)}</text>
+  <text x="600" y="570" text-anchor="middle" font-size="22" fill="#64748b">taught by ${escapeXml(certificate.instructorName)}</text>
+  <text x="120" y="700" font-size="20" fill="#1e1b4b">Issued ${escapeXml(issued)}</text>
+  <text x="1080" y="700" text-anchor="end" font-size="20" fill="#1e1b4b">${escapeXml(certificate.certificateId)}</text>
+  <text x="600" y="760" text-anchor="middle" font-size="16" fill="#64748b">Verify at ${escapeXml(verifyUrl)}</text>
+</svg>`;
+};
+
+const verifyUrlFor = (req, certificateId) => `${req.protocol}://${req.get('host')}/api/certificates/${encodeURIComponent(certificateId)}/verify`;
+
+const getAllCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({});
+    res.status(200).json(certificates);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ userId: String(req.user.id) });
+    res.status(200).json(certificates);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+/**
+ * Issue the signed-in student's certificate for a course they finished.
+ * Asking again returns the certificate already issued.
+ */
+const issueCertificate = async (req, res) => {
+  try {
+    const courseId = Number(req.body.courseId);
+    const course = await Course.findOne({ id: courseId });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    const progress = await Progress.findOne({ userId: String(req.user.id), courseId: String(courseId) });
+    if (!progress || progress.progress < 100) {
+      return res.status(400).json({
+        success: false,
+        message: "The course must be completed before a certificate is issued"
+      });
+    }
+
+    const certificate = await Certificate.issueFor(req.user, course);
+
+    return res.status(201).json({
+      success: true,
+      message: "Certificate issued successfully",
+      certificate
+    });
+
+  } catch (error) {
+    console.error("Issue certificate error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to issue certificate",
+      error: error.message
+    });
+  }
+};
+
+// Public: anyone holding the id can confirm the certificate is genuine
+const verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.id });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: "No certificate with this id was issued"
+      });
+    }
+
+    const valid = certificate.revokedAt == null;
+
+    return res.status(200).json({
+      success: true,
+      valid,
+      message: valid ? "Certificate is valid" : "Certificate has been revoked",
+      certificate: publicView(certificate)
+    });
+
+  } catch (error) {
+    console.error("Verify certificate error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to verify certificate",
+      error: error.message
+    });
+  }
+};
+
+const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.id });
+
+    if (!certificate || certificate.revokedAt != null) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found"
+      });
+    }
+
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Content-Disposition', `attachment; filename="${certificate.certificateId}.svg"`);
+    return res.status(200).send(renderSvg(certificate, verifyUrlFor(req, certificate.certificateId)));
+
+  } catch (error) {
+    console.error("Download certificate error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to render certificate",
+      error: error.message
+    });
+  }
+};
+
+const revokeCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOneAndUpdate(
+      { certificateId: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found or already revoked"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate revoked successfully",
+      certificate
+    });
+
+  } catch (error) {
+    console.error("Revoke certificate error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke certificate",
+      error: error.message
+    });
+  }
+};
+
+const certificate = {
+  getAllCertificates,
+  getMyCertificates,
+  issueCertificate,
+  verifyCertificate,
+  downloadCertificate,
+  revokeCertificate,
+};
+
+export default certificate;
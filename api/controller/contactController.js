@@ -0,0 +1,47 @@
+import User from '../model/user.js'
+import { sendMail } from '../services/mail/index.js'
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+// Admin: email a user from the dashboard
+const messageUser = async (req, res) => {
+  try {
+    const subject = String(req.body.subject ?? '').trim();
+    const message = String(req.body.message ?? '').trim();
+
+    if (!subject || !message) return badRequest(res, "Subject and message are required");
+    if (message.length > MAX_MESSAGE_LENGTH) return badRequest(res, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+
+    const user = await User.findOne({ id: Number(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    sendMail('adminMessage', user.email, { name: user.name, subject, message, senderName: req.user.name });
+
+    return res.status(202).json({
+      success: true,
+      message: `Message sent to ${user.name}`
+    });
+  } catch (err) {
+    console.error("Message user error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to send message"
+    });
+  }
+};
+
+const contact = {
+  messageUser,
+};
+
+export default contact;
@@ -0,0 +1,253 @@
+import Coupon, { COUPON_TYPES, COUPON_CODE_PATTERN } from '../model/coupon.js'
+import Course from '../model/course.js'
+import { quote, normalizeCode } from '../services/couponService.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+
+const nextCouponId = async () => {
+  const last = await Coupon.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: "Coupon not found"
+});
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+const readDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// null or "" lifts the limit
+const readLimit = (value) => {
+  if (value === null || value === '') return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+};
+
+/**
+ * Check the coupon fields present in the body. On create every required
+ * field must be there; on update only the ones sent are checked.
+ * @returns {{error?: string, fields?: object}}
+ */
+const readCouponFields = (body, { partial = false } = {}) => {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('code') || !partial) {
+    const code = normalizeCode(body.code);
+    if (!COUPON_CODE_PATTERN.test(code)) return { error: "Code must be 3-32 letters, digits, - or _" };
+    fields.code = code;
+  }
+
+  if (has('type') || !partial) {
+    if (!COUPON_TYPES.includes(body.type)) return { error: `type must be one of ${COUPON_TYPES.join(', ')}` };
+    fields.type = body.type;
+  }
+
+  if (has('value') || !partial) {
+    const value = Number(body.value);
+    if (!(value > 0)) return { error: "value must be greater than 0" };
+    fields.value = value;
+  }
+
+  if (has('courseIds')) {
+    if (!Array.isArray(body.courseIds) || !body.courseIds.every(id => Number.isInteger(Number(id)))) {
+      return { error: "courseIds must be a list of course ids" };
+    }
+    fields.courseIds = [...new Set(body.courseIds.map(Number))];
+  }
+
+  if (has('categories')) {
+    if (!Array.isArray(body.categories)) return { error: "categories must be a list" };
+    fields.categories = body.categories.map(c => String(c).trim().toLowerCase()).filter(Boolean);
+  }
+
+  for (const key of ['startsAt', 'expiresAt']) {
+    if (!has(key)) continue;
+    const date = readDate(body[key]);
+    if (date === undefined) return { error: `${key} must be a date` };
+    fields[key] = date;
+  }
+
+  for (const key of ['maxUses', 'maxUsesPerUser']) {
+    if (!has(key)) continue;
+    const limit = readLimit(body[key]);
+    if (limit === undefined) return { error: `${key} must be a whole number above 0, or empty for no limit` };
+    fields[key] = limit;
+  }
+
+  if (has('active')) fields.active = Boolean(body.active);
+
+  return { fields };
+};
+
+// The rules that span several fields, checked on the coupon as it will be saved
+const checkCoupon = (coupon) => {
+  if (coupon.type === 'percent' && coupon.value > 100) return "A percent coupon cannot take off more than 100%";
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) return "The coupon must start before it expires";
+  return null;
+};
+
+/**
+ * Price a course with a code before checking out. Body: { code, courseId }
+ */
+const validateCoupon = async (req, res) => {
+  try {
+    const course = await Course.findOne({ id: Number(req.body.courseId) });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    const { coupon, pricing, error } = await quote(req.body.code, course, req.user.id);
+    if (error) return badRequest(res, error);
+
+    return res.status(200).json({
+      success: true,
+      message: pricing.amount > 0 ? `Coupon applied: ${pricing.discount.toFixed(2)} off` : "Coupon applied: this course is free",
+      coupon: { code: coupon.code, type: coupon.type, value: coupon.value },
+      pricing
+    });
+  } catch (err) {
+    console.error("Validate coupon error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to check coupon",
+      error: err.message
+    });
+  }
+};
+
+// Admin: every coupon, newest first. ?active=true narrows it down
+const getCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.active = true;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(coupons);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const createCoupon = async (req, res) => {
+  try {
+    const { error, fields } = readCouponFields(req.body);
+    if (error) return badRequest(res, error);
+
+    const problem = checkCoupon(fields);
+    if (problem) return badRequest(res, problem);
+
+    const coupon = await Coupon.create({ id: await nextCouponId(), ...fields, createdBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: `Coupon ${coupon.code} created`,
+      coupon
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists"
+      });
+    }
+
+    console.error("Create coupon error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create coupon",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Uses already taken stay counted when the limits change.
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+
+    const { error, fields } = readCouponFields(req.body, { partial: true });
+    if (error) return badRequest(res, error);
+    if (Object.keys(fields).length === 0) return badRequest(res, "No updatable fields provided");
+
+    const existing = await Coupon.findOne({ id });
+    if (!existing) return notFound(res);
+
+    const problem = checkCoupon({ ...existing.toObject(), ...fields });
+    if (problem) return badRequest(res, problem);
+
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const { doc: coupon, conflict, current } = await updateIfCurrent(Coupon, { id }, { $set: fields }, rev);
+
+    if (conflict) return sendConflict(res, current);
+    if (!coupon) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      message: `Coupon ${coupon.code} updated`,
+      coupon
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists"
+      });
+    }
+
+    console.error("Update coupon error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update coupon",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Orders keep the code they were placed with; deactivate a coupon
+ * instead to keep its usage numbers.
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOneAndDelete({ id: Number(req.params.id) });
+    if (!coupon) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      message: `Coupon ${coupon.code} deleted`
+    });
+  } catch (err) {
+    console.error("Delete coupon error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete coupon",
+      error: err.message
+    });
+  }
+};
+
+const coupon = {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
+
+export default coupon;
@@ -1,4 +1,28 @@
 import Course from '../model/course.js'
+import Progress from '../model/progress.js'
+import Exercise from '../model/exercise.js'
+import ExerciseAttempt from '../model/exerciseAttempt.js'
+import Enrollment from '../model/enrollment.js'
+import User from '../model/user.js'
+import CourseVideos from '../model/courseVideo.js'
+import { notify, notifyAdmins, findCourseOwner } from '../services/notificationService.js'
+import { sendMail } from '../services/mail/index.js'
+import { publish } from '../services/eventBus.js'
+import { canAccessContent } from '../services/enrollmentService.js'
+import { isAdmin, canManageCourse, forbidden } from '../middleware/policy.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+
+// Ownership and enrollment are never edited through PATCH
+const PROTECTED_FIELDS = ['id', '_id', 'students', 'instructorId', 'rev', 'createdAt', 'updatedAt'];
+
+const omit = (source, keys) => Object.fromEntries(
+  Object.entries(source).filter(([key]) => !keys.includes(key))
+);
+
+const nextCourseId = async () => {
+  const last = await Course.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
 
 const getAllCourses = async (req, res) => {
   try {
@@ -9,20 +33,91 @@ const getAllCourses = async (req, res) => {
   }
 };
 
+const getCourse = async (req, res) => {
+  try {
+    const course = await Course.findOne({ id: Number(req.params.id) });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    res.status(200).json(course);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+/**
+ * The course's videos, for enrolled students, the owning instructor and admins.
+ * Everyone else gets 403 with code NOT_ENROLLED so the page can send them to checkout.
+ */
+const getCourseContent = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const course = await Course.findOne({ id });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    if (!(await canAccessContent(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        code: "NOT_ENROLLED",
+        message: "Enroll in this course to watch it"
+      });
+    }
+
+    // Video lists are keyed by the course id as a string
+    const content = await CourseVideos.findOne({ id: String(id) });
+
+    return res.status(200).json({
+      success: true,
+      content: content || { id: String(id), videos: [] }
+    });
+  } catch (err) {
+    console.error("Course content error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load course content",
+      error: err.message
+    });
+  }
+};
+
 const addCourse = async (req, res) => {
   try {
-    const { id, title, description, instructor, students, categories, visits, price, duration } = req.body;
+    const { id, title, description, category, status, categories, visits, price, duration } = req.body;
+    let { instructor, instructorId } = req.body;
+
+    // Instructors can only submit courses under their own name, and only admins approve
+    if (!isAdmin(req.user)) {
+      instructor = req.user.name;
+      instructorId = req.user.id;
+    }
 
-    if (!title || !instructor || !id) {
-      return res.status(400).json({ error: 'Id, Instructor, Title are required' });
+    if (!title || !instructor) {
+      return res.status(400).json({ error: 'Instructor, Title are required' });
     }
 
+    // Keep the client's id when it is free so local references stay valid
+    const taken = id != null && await Course.exists({ id });
+
     const newCourse = new Course({
-      id,
+      id: id != null && !taken ? id : await nextCourseId(),
       title,
       description,
       instructor,
-      students: students || [],
+      instructorId,
+      category,
+      status: isAdmin(req.user) ? status : 'Pending',
+      students: [],
       categories: categories || [],
       visits: visits || 0,
       price: price || 0,
@@ -31,6 +126,16 @@ const addCourse = async (req, res) => {
 
     const savedCourse = await newCourse.save();
 
+    publish('course', { action: 'created', course: savedCourse.toJSON() }, { roles: ['admin'] });
+
+    if (savedCourse.status === 'Pending') {
+      await notifyAdmins({
+        type: 'course',
+        message: `"${savedCourse.title}" by ${savedCourse.instructor} is waiting for approval`,
+        link: '/pages/admin.html'
+      });
+    }
+
     res.status(201).json({
       message: 'Course created successfully',
       course: savedCourse,
@@ -46,50 +151,71 @@ const addCourse = async (req, res) => {
   }
 }
 
-const syncCourses = async (req, res) => {
+const updateCourse = async (req, res) => {
   try {
-    const courses = req.body;
+    const id = Number(req.params.id);
+    const course = await Course.findOne({ id });
 
-    if (!Array.isArray(courses)) {
-      return res.status(400).json({
+    if (!course) {
+      return res.status(404).json({
         success: false,
-        message: "Request body must be an array"
+        message: "Course not found"
       });
     }
 
-    if (courses.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: "Nothing to sync",
-        result: { matched: 0, upserted: 0 }
+    if (!canManageCourse(req.user, course)) {
+      return forbidden(res, "Only an admin or the owning instructor can edit this course");
+    }
+
+    let changes = omit(req.body, PROTECTED_FIELDS);
+
+    // Approval and reassignment stay with admins
+    if (!isAdmin(req.user)) {
+      changes = omit(changes, ['status', 'instructor']);
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No updatable fields provided"
       });
     }
 
-    const ops = courses.map(course => ({
-      updateOne: {
-        filter: { id: course.id },
-        update: { $set: course },
-        upsert: true
-      }
-    }));
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const { doc: updated, conflict, current } = await updateIfCurrent(Course, { id }, { $set: changes }, rev);
+
+    if (conflict) return sendConflict(res, current);
 
-    const result = await Course.bulkWrite(ops);
+    if (updated) {
+      publish('course', { action: 'updated', course: updated.toJSON() }, { roles: ['admin'], userIds: [updated.instructorId] });
+    }
+
+    const owner = course.status !== 'Approved' && updated?.status === 'Approved'
+      ? await findCourseOwner(updated)
+      : null;
+
+    if (owner) {
+      await notify(owner.id, {
+        type: 'course',
+        message: `Your course "${updated.title}" was approved and is now live`,
+        link: `/pages/information.html?id=${updated.id}`
+      });
+      sendMail('courseApproved', owner.email, { name: owner.name, course: updated });
+    }
 
     return res.status(200).json({
       success: true,
-      message: "Sync completed",
-      result: {
-        matched: result.matchedCount,
-        modified: result.modifiedCount,
-        upserted: result.upsertedCount
-      }
+      message: "Course updated successfully",
+      course: updated
     });
 
   } catch (err) {
-    console.error(err);
+    console.error("Update course error:", err);
     return res.status(500).json({
       success: false,
-      message: "Sync failed",
+      message: "Failed to update course",
       error: err.message
     });
   }
@@ -97,13 +223,11 @@ const syncCourses = async (req, res) => {
 
 const deleteCourse = async (req, res) => {
   try {
-    const { id } = req.body;
+    const id = Number(req.params.id);
 
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide id to delete the course"
-      });
+    const course = await Course.findOne({ id });
+    if (course && !canManageCourse(req.user, course)) {
+      return forbidden(res, "Only an admin or the owning instructor can delete this course");
     }
 
     const result = await Course.deleteOne({ id });
@@ -115,6 +239,14 @@ const deleteCourse = async (req, res) => {
       });
     }
 
+    await Progress.deleteMany({ courseId: String(id) });
+    await Exercise.deleteMany({ courseId: String(id) });
+    await ExerciseAttempt.deleteMany({ courseId: String(id) });
+    await Enrollment.deleteMany({ courseId: id });
+    await User.updateMany({ enrolledCourses: id }, { $pull: { enrolledCourses: id } });
+
+    publish('course', { action: 'deleted', courseId: id }, { roles: ['admin'] });
+
     return res.status(200).json({
       success: true,
       message: "Course deleted successfully"
@@ -130,12 +262,44 @@ const deleteCourse = async (req, res) => {
   }
 }
 
+const recordVisit = async (req, res) => {
+  try {
+    const course = await Course.findOneAndUpdate(
+      { id: Number(req.params.id) },
+      { $inc: { visits: 1 } },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      visits: course.visits
+    });
+  } catch (error) {
+    console.error("Record visit error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to record visit",
+      error: error.message
+    });
+  }
+}
+
 
 const course = {
   getAllCourses,
+  getCourse,
+  getCourseContent,
   addCourse,
-  syncCourses,
+  updateCourse,
   deleteCourse,
+  recordVisit,
 };
 
-export default course;
\ No newline at end of file
+export default course;
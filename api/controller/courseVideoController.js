@@ -1,14 +1,51 @@
 import CourseVideo from '../model/courseVideo.js'
+import Course from '../model/course.js'
+import { isAdmin, canManageCourse, forbidden } from '../middleware/policy.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+
+// Video lists are keyed by the course id as a string
+const canManageVideos = async (user, id) => {
+  const course = await Course.findOne({ id: Number(id) });
+  return canManageCourse(user, course);
+}
 
+// Admins see every course's videos, instructors only their own courses'
 const getAllCourseVideos = async (req, res) => {
   try {
-    const courseVideos = await CourseVideo.find({});
+    const filter = {};
+    if (!isAdmin(req.user)) {
+      const courses = await Course.find({});
+      filter.id = { $in: courses.filter(c => canManageCourse(req.user, c)).map(c => String(c.id)) };
+    }
+
+    const courseVideos = await CourseVideo.find(filter);
     res.status(200).json(courseVideos);
   } catch (err) {
     res.status(500).json({ error: 'Server Error' });
   }
 };
 
+const getCourseVideo = async (req, res) => {
+  try {
+    if (!(await canManageVideos(req.user, req.params.id))) {
+      return forbidden(res, "Only an admin or the owning instructor can view these videos directly");
+    }
+
+    const courseVideo = await CourseVideo.findOne({ id: String(req.params.id) });
+
+    if (!courseVideo) {
+      return res.status(404).json({
+        success: false,
+        message: "courseVideo not found"
+      });
+    }
+
+    res.status(200).json(courseVideo);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
 const addCourseVideo = async (req, res) => {
   try {
     const { id, videos } = req.body;
@@ -17,8 +54,12 @@ const addCourseVideo = async (req, res) => {
       return res.status(400).json({ error: 'ID is required' });
     }
 
+    if (!(await canManageVideos(req.user, id))) {
+      return forbidden(res, "Only an admin or the owning instructor can add videos to this course");
+    }
+
     const newCourseVideo = new CourseVideo({
-      id,
+      id: String(id),
       videos
     });
 
@@ -39,50 +80,47 @@ const addCourseVideo = async (req, res) => {
   }
 }
 
-const syncCourseVideos = async (req, res) => {
+const updateCourseVideo = async (req, res) => {
   try {
-    const courseVideos = req.body;
+    const id = String(req.params.id);
+    const { videos } = req.body;
 
-    if (!Array.isArray(courseVideos)) {
+    if (!Array.isArray(videos)) {
       return res.status(400).json({
         success: false,
-        message: "Request body must be an array"
+        message: "videos must be an array"
       });
     }
 
-    if (courseVideos.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: "Nothing to sync",
-        result: { matched: 0, upserted: 0 }
-      });
+    if (!(await canManageVideos(req.user, id))) {
+      return forbidden(res, "Only an admin or the owning instructor can edit these videos");
     }
 
-    const ops = courseVideos.map(courseVideo => ({
-      updateOne: {
-        filter: { id: courseVideo.id },
-        update: { $set: courseVideo },
-        upsert: true
-      }
-    }));
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const { doc: courseVideo, conflict, current } = await updateIfCurrent(CourseVideo, { id }, { $set: { videos } }, rev);
 
-    const result = await CourseVideo.bulkWrite(ops);
+    if (conflict) return sendConflict(res, current);
+
+    if (!courseVideo) {
+      return res.status(404).json({
+        success: false,
+        message: "courseVideo not found"
+      });
+    }
 
     return res.status(200).json({
       success: true,
-      message: "Sync completed",
-      result: {
-        matched: result.matchedCount,
-        modified: result.modifiedCount,
-        upserted: result.upsertedCount
-      }
+      message: "courseVideo updated successfully",
+      courseVideo
     });
 
   } catch (err) {
-    console.error(err);
+    console.error("Update courseVideo error:", err);
     return res.status(500).json({
       success: false,
-      message: "Sync failed",
+      message: "Failed to update courseVideo",
       error: err.message
     });
   }
@@ -90,18 +128,13 @@ const syncCourseVideos = async (req, res) => {
 
 const deleteCourseVideo = async (req, res) => {
   try {
-    const { id } = req.body;
+    const id = String(req.params.id);
 
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide ID to delete the courseVideo"
-      });
+    if (!(await canManageVideos(req.user, id))) {
+      return forbidden(res, "Only an admin or the owning instructor can delete these videos");
     }
 
-    const query = { id };
-
-    const result = await CourseVideo.deleteOne(query);
+    const result = await CourseVideo.deleteOne({ id });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({
@@ -128,8 +161,9 @@ const deleteCourseVideo = async (req, res) => {
 
 const courseVideo = {
   getAllCourseVideos,
+  getCourseVideo,
   addCourseVideo,
-  syncCourseVideos,
+  updateCourseVideo,
   deleteCourseVideo,
 };
 
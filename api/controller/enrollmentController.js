@@ -0,0 +1,212 @@
+import Enrollment from '../model/enrollment.js'
+import Course from '../model/course.js'
+import User from '../model/user.js'
+import Order from '../model/order.js'
+import { enrollStudent, unenrollStudent, findEnrollment, isEnrolled, revokedSince } from '../services/enrollmentService.js'
+import { quote, redeem, release } from '../services/couponService.js'
+import { notify } from '../services/notificationService.js'
+import { audit } from '../services/auditService.js'
+import { isAdmin, isSelf } from '../middleware/policy.js'
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+/**
+ * Work out how the caller may enroll the student, or why they may not.
+ * @returns {Promise<{source?: string, order?: object, couponCode?: string, grantedBy?: number, status?: number, message?: string}>}
+ */
+const resolveSource = async (req, course, targetId) => {
+  const { orderId, couponCode, source } = req.body;
+
+  // Admins may put anyone in any course; this is recorded as a grant
+  if (source === 'admin' || !isSelf(req.user, targetId)) {
+    if (!isAdmin(req.user)) return { status: 403, message: "Only admins can enroll other users" };
+    return { source: 'admin', grantedBy: req.user.id };
+  }
+
+  if (orderId != null) {
+    const order = await Order.findOne({ id: Number(orderId) });
+    if (!order || order.userId !== targetId || order.courseId !== course.id) {
+      return { status: 400, message: "Order does not match this course" };
+    }
+    if (order.status !== 'captured') return { status: 402, message: "This order has not been paid" };
+    if (revokedSince(await findEnrollment(targetId, course.id), order)) {
+      return { status: 403, message: "Your enrollment from this order was revoked; contact support" };
+    }
+    return { source: 'purchase', order };
+  }
+
+  if (!(course.price > 0)) return { source: 'free' };
+
+  if (couponCode) {
+    const { coupon, pricing, error } = await quote(couponCode, course, targetId);
+    if (error) return { status: 400, message: error };
+    if (pricing.amount > 0) return { status: 402, message: "This coupon does not cover the whole price; check out to pay the rest" };
+    return { source: 'coupon', couponCode: coupon.code };
+  }
+
+  return { status: 402, message: "This course has to be purchased" };
+};
+
+/**
+ * Enroll in a course. Body: { courseId, orderId?, couponCode?, userId?, source? }
+ *  - free courses need nothing else
+ *  - paid courses need the captured order (capturing one already enrolls; this is for retries),
+ *    or a coupon that takes the whole price off
+ *  - admins may pass userId, or source: "admin", to grant a course
+ * Sending the same request again answers 200 with the existing enrollment;
+ * a second enrollment by a different route is refused with 409.
+ */
+const createEnrollment = async (req, res) => {
+  try {
+    const courseId = Number(req.body.courseId);
+    const targetId = req.body.userId != null ? Number(req.body.userId) : req.user.id;
+
+    if (!Number.isInteger(courseId)) return badRequest(res, "courseId is required");
+
+    const course = await Course.findOne({ id: courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    if (course.status !== 'Approved') return badRequest(res, "This course is not open for enrollment yet");
+
+    const user = isSelf(req.user, targetId) ? req.user : await User.findOne({ id: targetId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const { status, message, ...grant } = await resolveSource(req, course, targetId);
+    if (status) return res.status(status).json({ success: false, message });
+
+    const existing = await findEnrollment(targetId, courseId);
+    let result = { enrollment: existing, created: false, badges: [] };
+
+    if (!(existing?.status === 'active' || (!existing && isEnrolled(course, targetId)))) {
+      const ref = grant.couponCode ? await redeem(grant.couponCode, { userId: targetId, courseId }) : null;
+      if (grant.couponCode && !ref) {
+        return res.status(409).json({
+          success: false,
+          code: "COUPON_UNAVAILABLE",
+          message: `Coupon ${grant.couponCode} can no longer be used`
+        });
+      }
+
+      result = await enrollStudent(user, course, grant);
+      // Another request enrolled them first; that one keeps its own coupon use
+      if (!result.created && ref) await release(grant.couponCode, ref);
+    }
+
+    const { enrollment, created, badges } = result;
+
+    if (!created) {
+      // A retry of the request that enrolled them is answered like the first time.
+      // Rosters from before enrollments were recorded have no record to compare.
+      const replay = !enrollment || (enrollment.source === grant.source
+        && (enrollment.orderId ?? null) === (grant.order?.id ?? null));
+
+      return res.status(replay ? 200 : 409).json({
+        success: replay,
+        message: "Already enrolled",
+        enrollment
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Enrolled successfully",
+      enrollment,
+      user: await User.findOne({ id: targetId }),
+      badges
+    });
+  } catch (err) {
+    console.error("Enroll error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to enroll",
+      error: err.message
+    });
+  }
+};
+
+const getMyEnrollments = async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ userId: req.user.id, status: 'active' }).sort({ enrolledAt: -1 });
+    res.status(200).json(enrollments);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+// Admin: ?courseId=, ?userId=, ?source=, ?status= narrow it down
+const getEnrollments = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.courseId) filter.courseId = Number(req.query.courseId);
+    if (req.query.userId) filter.userId = Number(req.query.userId);
+    if (req.query.source) filter.source = req.query.source;
+    if (req.query.status) filter.status = req.query.status;
+
+    const enrollments = await Enrollment.find(filter).sort({ enrolledAt: -1 });
+    res.status(200).json(enrollments);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+/**
+ * Admin: remove a student from a course. Body: { reason? }
+ * Payments are not returned; refund the order for that.
+ */
+const revokeEnrollment = async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const courseId = Number(req.params.courseId);
+
+    const reason = req.body?.reason || 'Revoked by an admin';
+    const enrollment = await unenrollStudent(userId, courseId, { reason });
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: "Enrollment not found"
+      });
+    }
+
+    const course = await Course.findOne({ id: courseId });
+    await notify(userId, {
+      type: 'course',
+      message: `You were removed from "${course?.title || `course #${courseId}`}": ${reason}`
+    });
+    await audit(req.user, 'enrollment.revoked', { type: 'enrollment', id: `${userId}:${courseId}` }, { reason });
+
+    return res.status(200).json({
+      success: true,
+      message: "Enrollment revoked",
+      enrollment
+    });
+  } catch (err) {
+    console.error("Revoke enrollment error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke enrollment",
+      error: err.message
+    });
+  }
+};
+
+const enrollment = {
+  createEnrollment,
+  getMyEnrollments,
+  getEnrollments,
+  revokeEnrollment,
+};
+
+export default enrollment;
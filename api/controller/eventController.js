@@ -0,0 +1,35 @@
+import { subscribe, canReceive } from '../services/eventBus.js'
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+const stream = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const user = { id: req.user.id, role: req.user.role };
+
+  const unsubscribe = subscribe((event) => {
+    if (!canReceive(user, event.audience)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+const event = {
+  stream,
+};
+
+export default event;
@@ -0,0 +1,429 @@
+import Exercise, { QUESTION_TYPES, MAX_XP_REWARD } from '../model/exercise.js'
+import ExerciseAttempt from '../model/exerciseAttempt.js'
+import Course from '../model/course.js'
+import { canManageCourse, forbidden } from '../middleware/policy.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+import { recordActivity, currentStreak } from '../services/streakService.js'
+import { awardXp, xpSummary } from '../services/xpService.js'
+import { evaluateAchievements } from '../services/achievementService.js'
+import { hasActiveEnrollment } from '../services/enrollmentService.js'
+
+const PROTECTED_FIELDS = ['id', '_id', 'courseId', 'rev', 'createdAt', 'updatedAt'];
+
+const omit = (source, keys) => Object.fromEntries(
+  Object.entries(source).filter(([key]) => !keys.includes(key))
+);
+
+const nextExerciseId = async () => {
+  const last = await Exercise.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
+
+// Students never see the answer key
+const forStudent = (exercise) => {
+  const plain = exercise.toJSON();
+  plain.questions = plain.questions.map(({ answer, ...question }) => question);
+  return plain;
+};
+
+const isValidXpReward = (value) => {
+  const reward = Number(value);
+  return Number.isFinite(reward) && reward >= 0 && reward <= MAX_XP_REWARD;
+};
+
+const xpRewardError = `xpReward must be between 0 and ${MAX_XP_REWARD}`;
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Program output is compared line by line, ignoring trailing whitespace
+const normalizeOutput = (value) => String(value ?? '').replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+
+const asList = (value) => Array.isArray(value) ? value : [value];
+
+/**
+ * @returns {string|null} why the questions are invalid, or null
+ */
+const validateQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) return "At least one question is required";
+
+  for (const [index, q] of questions.entries()) {
+    const label = `Question ${index + 1}`;
+
+    if (!QUESTION_TYPES.includes(q.type)) return `${label}: type must be one of ${QUESTION_TYPES.join(', ')}`;
+    if (!q.prompt) return `${label}: prompt is required`;
+
+    if (q.type === 'single' || q.type === 'multiple') {
+      if (!Array.isArray(q.options) || q.options.length < 2) return `${label}: at least two options are required`;
+      const indexes = asList(q.answer);
+      if (q.type === 'single' && Array.isArray(q.answer)) return `${label}: answer must be a single option index`;
+      if (indexes.length === 0 || indexes.some(i => !Number.isInteger(i) || i < 0 || i >= q.options.length)) {
+        return `${label}: answer must reference existing options`;
+      }
+    } else if (asList(q.answer).filter(a => String(a ?? '').trim()).length === 0) {
+      return `${label}: at least one accepted answer is required`;
+    }
+
+    if (q.type === 'code-output' && !q.code) return `${label}: code is required`;
+  }
+
+  return null;
+};
+
+const isCorrect = (question, given) => {
+  switch (question.type) {
+    case 'single':
+      return given != null && Number(given) === Number(question.answer);
+    case 'multiple': {
+      const expected = new Set(asList(question.answer).map(Number));
+      const chosen = new Set(asList(given ?? []).map(Number));
+      return expected.size === chosen.size && [...expected].every(i => chosen.has(i));
+    }
+    case 'short':
+      return asList(question.answer).some(a => normalizeText(a) === normalizeText(given));
+    case 'code-output':
+      return asList(question.answer).some(a => normalizeOutput(a) === normalizeOutput(given));
+    default:
+      return false;
+  }
+};
+
+const grade = (exercise, answers) => {
+  const results = exercise.questions.map((question, index) => {
+    const correct = isCorrect(question, answers[index]);
+    return { correct, points: correct ? question.points : 0 };
+  });
+
+  const score = results.reduce((sum, r) => sum + r.points, 0);
+  const maxScore = exercise.questions.reduce((sum, q) => sum + q.points, 0);
+  const percent = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return { results, score, maxScore, percent, passed: percent >= exercise.passPercent };
+};
+
+const findExerciseWithCourse = async (id) => {
+  const exercise = await Exercise.findOne({ id });
+  const course = exercise ? await Course.findOne({ id: Number(exercise.courseId) }) : null;
+  return { exercise, course };
+};
+
+const getAllExercises = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.courseId != null) filter.courseId = String(req.query.courseId);
+    if (req.query.topic) filter.topic = String(req.query.topic);
+
+    const exercises = await Exercise.find(filter).sort({ afterChapter: 1, id: 1 });
+    const courses = await Course.find({ id: { $in: [...new Set(exercises.map(e => Number(e.courseId)))] } });
+    const managed = new Set(courses.filter(c => canManageCourse(req.user, c)).map(c => String(c.id)));
+
+    res.status(200).json(exercises.map(e => managed.has(e.courseId) ? e : forStudent(e)));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getExercise = async (req, res) => {
+  try {
+    const { exercise, course } = await findExerciseWithCourse(Number(req.params.id));
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found"
+      });
+    }
+
+    res.status(200).json(canManageCourse(req.user, course) ? exercise : forStudent(exercise));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const addExercise = async (req, res) => {
+  try {
+    const { courseId, topic, title, afterChapter, questions, maxAttempts, passPercent, xpReward } = req.body;
+
+    const course = await Course.findOne({ id: Number(courseId) });
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return forbidden(res, "Only an admin or the owning instructor can add exercises");
+    }
+
+    if (!title) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    const invalid = validateQuestions(questions);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (xpReward !== undefined && !isValidXpReward(xpReward)) {
+      return res.status(400).json({ error: xpRewardError });
+    }
+
+    const newExercise = new Exercise({
+      id: await nextExerciseId(),
+      courseId: String(course.id),
+      topic,
+      title,
+      afterChapter,
+      questions,
+      maxAttempts,
+      passPercent,
+      xpReward
+    });
+
+    const savedExercise = await newExercise.save();
+
+    res.status(201).json({
+      message: 'Exercise created successfully',
+      exercise: savedExercise,
+    });
+  } catch (err) {
+    console.error(err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'ID already exists' });
+    }
+
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+const updateExercise = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { exercise, course } = await findExerciseWithCourse(id);
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found"
+      });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return forbidden(res, "Only an admin or the owning instructor can edit this exercise");
+    }
+
+    const changes = omit(req.body, PROTECTED_FIELDS);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No updatable fields provided"
+      });
+    }
+
+    if (changes.questions !== undefined) {
+      const invalid = validateQuestions(changes.questions);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+    }
+
+    if (changes.xpReward !== undefined && !isValidXpReward(changes.xpReward)) {
+      return res.status(400).json({
+        success: false,
+        message: xpRewardError
+      });
+    }
+
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const { doc: updated, conflict, current } = await updateIfCurrent(Exercise, { id }, { $set: changes }, rev);
+
+    if (conflict) return sendConflict(res, current);
+
+    return res.status(200).json({
+      success: true,
+      message: "Exercise updated successfully",
+      exercise: updated
+    });
+
+  } catch (err) {
+    console.error("Update exercise error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update exercise",
+      error: err.message
+    });
+  }
+}
+
+const deleteExercise = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { exercise, course } = await findExerciseWithCourse(id);
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found"
+      });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return forbidden(res, "Only an admin or the owning instructor can delete this exercise");
+    }
+
+    await Exercise.deleteOne({ id });
+    await ExerciseAttempt.deleteMany({ exerciseId: id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Exercise deleted successfully"
+    });
+
+  } catch (error) {
+    console.error("Delete exercise error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete exercise",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Grade a submission. Body: { answers: [...] } in question order.
+ * XP is only earned by the first passing attempt, scaled by its score.
+ * The course's instructor and admins can try it out but earn no XP.
+ */
+const submitAttempt = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const userId = String(req.user.id);
+    const { exercise, course } = await findExerciseWithCourse(id);
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found"
+      });
+    }
+
+    // The exercise outlived its course
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    const manager = canManageCourse(req.user, course);
+    if (!manager && !(await hasActiveEnrollment(userId, course))) {
+      return forbidden(res, "You are not enrolled in this course");
+    }
+
+    const answers = req.body.answers;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: "answers must be an array"
+      });
+    }
+
+    const previous = await ExerciseAttempt.find({ userId, exerciseId: id });
+    if (exercise.maxAttempts > 0 && previous.length >= exercise.maxAttempts) {
+      return res.status(403).json({
+        success: false,
+        message: "No attempts left for this exercise"
+      });
+    }
+
+    const graded = grade(exercise, answers);
+    const firstPass = graded.passed && !previous.some(a => a.passed);
+
+    const attempt = await new ExerciseAttempt({
+      userId,
+      exerciseId: id,
+      courseId: exercise.courseId,
+      attemptNumber: previous.length + 1,
+      answers,
+      ...graded,
+      xpAwarded: firstPass && !manager ? Math.round(exercise.xpReward * graded.percent / 100) : 0
+    }).save();
+
+    const xp = await awardXp({
+      userId,
+      amount: attempt.xpAwarded,
+      source: 'quiz',
+      reason: `Passed ${exercise.title} with ${graded.percent}%`,
+      key: `quiz:${id}`,
+      courseId: exercise.courseId
+    });
+    const streak = await recordActivity(req.user);
+    const badges = await evaluateAchievements(userId, ['quiz', 'streak', 'xp']);
+
+    return res.status(201).json({
+      success: true,
+      message: graded.passed ? "Exercise passed" : "Exercise not passed",
+      attempt,
+      attemptsLeft: exercise.maxAttempts > 0 ? exercise.maxAttempts - attempt.attemptNumber : null,
+      streak: currentStreak(streak, req.user.timezone),
+      xp: xpSummary(xp),
+      badges
+    });
+
+  } catch (error) {
+    // Another submission took this attempt number first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Another attempt was submitted at the same time, please try again"
+      });
+    }
+
+    console.error("Submit attempt error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to submit attempt",
+      error: error.message
+    });
+  }
+}
+
+// Students see their own attempts; the course's instructor sees everyone's
+const getAttempts = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { exercise, course } = await findExerciseWithCourse(id);
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found"
+      });
+    }
+
+    const filter = canManageCourse(req.user, course)
+      ? { exerciseId: id }
+      : { exerciseId: id, userId: String(req.user.id) };
+
+    const attempts = await ExerciseAttempt.find(filter).sort({ submittedAt: 1 });
+    res.status(200).json(attempts);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const exercise = {
+  getAllExercises,
+  getExercise,
+  addExercise,
+  updateExercise,
+  deleteExercise,
+  submitAttempt,
+  getAttempts,
+};
+
+export default exercise;
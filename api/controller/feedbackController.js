@@ -1,4 +1,37 @@
 import Feedback from '../model/feedback.js'
+import Course from '../model/course.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+import { awardXp, xpSummary } from '../services/xpService.js'
+import { evaluateAchievements } from '../services/achievementService.js'
+import { notifyCourseOwner } from '../services/notificationService.js'
+import { publish } from '../services/eventBus.js'
+import { hasActiveEnrollment } from '../services/enrollmentService.js'
+
+const FEEDBACK_XP = 10;
+
+/**
+ * Admins may act on anyone's review; everyone else only on their own.
+ * @returns {string|null} the review owner's id, or null when not allowed
+ */
+const resolveReviewer = (user, requestedUserId) => {
+  if (requestedUserId == null || requestedUserId === '') return String(user.id);
+  if (isAdmin(user) || isSelf(user, requestedUserId)) return String(requestedUserId);
+  return null;
+}
+
+const buildReview = (userId, { comment, stars }, rev = 0) => ({
+  userId,
+  ...(comment ? { comment: String(comment).trim() } : {}),
+  stars: Number(Number(stars).toFixed(1)),
+  rev,
+  updatedAt: new Date()
+});
+
+const isValidStars = (stars) => {
+  const value = Number(stars);
+  return !isNaN(value) && value >= 1 && value <= 5;
+}
 
 const getAllFeedbacks = async (req, res) => {
   try {
@@ -9,80 +42,167 @@ const getAllFeedbacks = async (req, res) => {
   }
 };
 
+const getFeedback = async (req, res) => {
+  try {
+    const feedback = await Feedback.findOne({ courseId: Number(req.params.courseId) });
+    res.status(200).json(feedback || { courseId: Number(req.params.courseId), feedbacks: [] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
 const addFeedback = async (req, res) => {
   try {
-    const { courseId, feedbacks } = req.body;
+    const { courseId, comment, stars } = req.body;
 
     if (!courseId) {
       return res.status(400).json({ error: 'CourseId is required' });
     }
 
-    const newFeedback = new Feedback({
-      courseId,
-      feedbacks
+    if (!isValidStars(stars)) {
+      return res.status(400).json({ error: 'Stars must be between 1 and 5' });
+    }
+
+    const userId = resolveReviewer(req.user, req.body.userId);
+    if (!userId) {
+      return forbidden(res, "You can only write your own feedback");
+    }
+
+    const course = await Course.findOne({ id: Number(courseId) });
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    // Reviews earn XP, so only students taking the course can write one
+    if (!await hasActiveEnrollment(userId, course)) {
+      return forbidden(res, "Only students enrolled in this course can review it");
+    }
+
+    await Feedback.updateOne(
+      { courseId: Number(courseId) },
+      { $setOnInsert: { feedbacks: [] } },
+      { upsert: true }
+    );
+
+    // The $ne guard makes "one review per user" atomic
+    const result = await Feedback.updateOne(
+      { courseId: Number(courseId), 'feedbacks.userId': { $ne: userId } },
+      { $push: { feedbacks: buildReview(userId, { comment, stars }) } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Feedback already exists for this user"
+      });
+    }
+
+    const savedFeedback = await Feedback.findOne({ courseId: Number(courseId) });
+
+    const xp = await awardXp({
+      userId,
+      amount: FEEDBACK_XP,
+      source: 'feedback',
+      reason: `Reviewed course ${courseId}`,
+      key: `feedback:${courseId}`,
+      courseId
+    });
+
+    const badges = await evaluateAchievements(userId, ['feedback', 'xp']);
+
+    publish('review', { courseId: Number(courseId), userId, stars: Number(stars) }, {
+      roles: ['admin'],
+      userIds: [course.instructorId]
     });
 
-    const savedFeedback = await newFeedback.save();
+    // Instructors are not told about reviews they wrote themselves
+    if (String(course.instructorId) !== userId) {
+      await notifyCourseOwner(course, {
+        type: 'review',
+        message: `New ${Number(stars).toFixed(1)}★ review on "${course.title}"`,
+        link: `/pages/information.html?id=${course.id}`
+      });
+    }
 
     res.status(201).json({
       message: 'feedback created successfully',
       feedback: savedFeedback,
+      xp: xpSummary(xp),
+      badges
     });
   } catch (err) {
     console.error(err);
-
-    if (err.code === 11000) {
-      return res.status(400).json({ error: 'Id already exists' });
-    }
-
     res.status(500).json({ error: 'Server error' });
   }
 }
 
-const syncFeedbacks = async (req, res) => {
+const updateFeedback = async (req, res) => {
   try {
-    const feedbacks = req.body;
+    const courseId = Number(req.params.courseId);
+    const { comment } = req.body;
+    let { stars } = req.body;
 
-    if (!Array.isArray(feedbacks)) {
-      return res.status(400).json({
+    const userId = resolveReviewer(req.user, req.body.userId);
+    if (!userId) {
+      return forbidden(res, "You can only edit your own feedback");
+    }
+
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const entry = await Feedback.findOne({ courseId, 'feedbacks.userId': userId });
+    const existing = entry?.feedbacks.find(f => f.userId === userId);
+
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        message: "Request body must be an array"
+        message: "Feedback not found"
       });
     }
 
-    if (feedbacks.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: "Nothing to sync",
-        result: { matched: 0, upserted: 0 }
+    if ((existing.rev || 0) !== rev) return sendConflict(res, existing);
+
+    // PATCH semantics: fields left out keep their stored value
+    stars = stars ?? existing.stars;
+    const review = buildReview(userId, {
+      comment: 'comment' in req.body ? comment : existing.comment,
+      stars
+    }, rev + 1);
+
+    if (!isValidStars(stars)) {
+      return res.status(400).json({
+        success: false,
+        message: "Stars must be between 1 and 5"
       });
     }
 
-    const ops = feedbacks.map(feedback => ({
-      updateOne: {
-        filter: { courseId: feedback.courseId },
-        update: { $set: feedback },
-        upsert: true
-      }
-    }));
+    // Reviews are matched on their own revision, not the course entry's;
+    // the filter re-checks it so a write racing ours still loses cleanly
+    const revFilter = rev === 0 ? { $in: [0, null] } : rev;
+    const result = await Feedback.updateOne(
+      { courseId, feedbacks: { $elemMatch: { userId, rev: revFilter } } },
+      { $set: { 'feedbacks.$': review } }
+    );
+
+    if (result.matchedCount === 0) {
+      const fresh = await Feedback.findOne({ courseId, 'feedbacks.userId': userId });
+      return sendConflict(res, fresh?.feedbacks.find(f => f.userId === userId) || null);
+    }
 
-    const result = await Feedback.bulkWrite(ops);
+    const feedback = await Feedback.findOne({ courseId });
 
     return res.status(200).json({
       success: true,
-      message: "Sync completed",
-      result: {
-        matched: result.matchedCount,
-        modified: result.modifiedCount,
-        upserted: result.upsertedCount
-      }
+      message: "Feedback updated successfully",
+      feedback,
+      review: feedback.feedbacks.find(f => f.userId === userId)
     });
 
   } catch (err) {
-    console.error(err);
+    console.error("Update feedback error:", err);
     return res.status(500).json({
       success: false,
-      message: "Sync failed",
+      message: "Failed to update feedback",
       error: err.message
     });
   }
@@ -90,20 +210,41 @@ const syncFeedbacks = async (req, res) => {
 
 const deleteFeedback = async (req, res) => {
   try {
-    const { courseId } = req.body;
+    const courseId = Number(req.params.courseId);
+    const { userId } = req.query;
 
-    if (!courseId) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide CourseId to delete the feedback"
+    // Without a userId an admin clears the whole course entry
+    if (!userId) {
+      if (!isAdmin(req.user)) {
+        return forbidden(res, "Only admins can delete all feedback for a course");
+      }
+
+      const result = await Feedback.deleteOne({ courseId });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Feedback not found"
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Feedback deleted successfully"
       });
     }
 
-    const query = { courseId };
+    const reviewer = resolveReviewer(req.user, userId);
+    if (!reviewer) {
+      return forbidden(res, "You can only delete your own feedback");
+    }
 
-    const result = await Feedback.deleteOne(query);
+    const result = await Feedback.updateOne(
+      { courseId },
+      { $pull: { feedbacks: { userId: reviewer } } }
+    );
 
-    if (result.deletedCount === 0) {
+    if (result.modifiedCount === 0) {
       return res.status(404).json({
         success: false,
         message: "Feedback not found"
@@ -128,8 +269,9 @@ const deleteFeedback = async (req, res) => {
 
 const feedback = {
   getAllFeedbacks,
+  getFeedback,
   addFeedback,
-  syncFeedbacks,
+  updateFeedback,
   deleteFeedback,
 };
 
@@ -0,0 +1,119 @@
+import XpTransaction from '../model/xpTransaction.js'
+import Course from '../model/course.js'
+import User from '../model/user.js'
+
+const PERIODS = ['week', 'month', 'all'];
+const MAX_LIMIT = 100;
+
+/**
+ * Start of the current calendar week (Monday) or month, in UTC.
+ * @returns {Date|null} null for all-time
+ */
+const periodStart = (period, now = new Date()) => {
+  if (period === 'week') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (period === 'month') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return null;
+};
+
+/**
+ * XP ranking for a time window, optionally narrowed to a course or category.
+ * Query: period=week|month|all, courseId, category, page, limit
+ * Users who opted out are left out entirely; ties share a rank.
+ * Weekly and monthly boards only count XP earned in the period, so admin
+ * adjustments and opening balances carried over from before the ledger are left out.
+ */
+const getLeaderboard = async (req, res) => {
+  try {
+    const period = req.query.period || 'week';
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `period must be one of ${PERIODS.join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_LIMIT);
+
+    const match = {};
+    const start = periodStart(period);
+    if (start) {
+      match.createdAt = { $gte: start };
+      match.source = { $ne: 'admin' };
+    }
+
+    if (req.query.courseId != null && req.query.courseId !== '') {
+      match.courseId = String(req.query.courseId);
+    } else if (req.query.category) {
+      const courses = await Course.find({
+        $or: [{ category: req.query.category }, { categories: String(req.query.category).toLowerCase() }]
+      }).select('id');
+      match.courseId = { $in: courses.map(c => String(c.id)) };
+    }
+
+    const optedOut = await User.find({ leaderboardOptOut: true }).select('id');
+    match.userId = { $nin: optedOut.map(u => String(u.id)) };
+
+    const myId = req.user ? String(req.user.id) : null;
+
+    const [result] = await XpTransaction.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', points: { $sum: '$amount' } } },
+      { $match: { points: { $gt: 0 } } },
+      { $setWindowFields: { sortBy: { points: -1 }, output: { rank: { $rank: {} } } } },
+      {
+        $facet: {
+          entries: [{ $sort: { rank: 1, _id: 1 } }, { $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+          me: [{ $match: { _id: myId } }]
+        }
+      }
+    ]);
+
+    const users = await User.find({ id: { $in: result.entries.map(e => Number(e._id)) } }).select('id name');
+    const names = new Map(users.map(u => [String(u.id), u.name]));
+
+    const mine = result.me[0];
+
+    return res.status(200).json({
+      success: true,
+      period,
+      since: start,
+      page,
+      limit,
+      total: result.total[0]?.count || 0,
+      entries: result.entries.map(e => ({
+        rank: e.rank,
+        userId: e._id,
+        name: names.get(e._id) || 'Unknown',
+        points: e.points
+      })),
+      me: req.user
+        ? {
+          userId: myId,
+          optedOut: Boolean(req.user.leaderboardOptOut),
+          rank: mine ? mine.rank : null,
+          points: mine ? mine.points : 0
+        }
+        : null
+    });
+
+  } catch (error) {
+    console.error("Leaderboard error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load leaderboard",
+      error: error.message
+    });
+  }
+};
+
+const leaderboard = {
+  getLeaderboard,
+};
+
+export default leaderboard;
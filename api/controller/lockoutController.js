@@ -0,0 +1,59 @@
+import mongoose from 'mongoose'
+import LoginAttempt from '../model/loginAttempt.js'
+import { MAX_FAILURES } from '../services/loginGuard.js'
+
+const withState = (record) => ({
+  ...record.toJSON(),
+  locked: record.lockedUntil != null && record.lockedUntil > new Date(),
+  maxFailures: MAX_FAILURES[record.kind]
+});
+
+// Admin: accounts and IPs with failed logins, locked ones first
+const getLockouts = async (req, res) => {
+  try {
+    const filter = req.query.locked === 'true' ? { lockedUntil: { $gt: new Date() } } : {};
+    const records = await LoginAttempt.find(filter).sort({ lockedUntil: -1, lastFailureAt: -1 });
+    res.status(200).json(records.map(withState));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+// Admin: lift a lockout and forget the failures behind it
+const unlock = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Lockout not found"
+      });
+    }
+
+    const record = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Lockout not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Unlocked ${record.value}`
+    });
+  } catch (err) {
+    console.error("Unlock error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to unlock",
+      error: err.message
+    });
+  }
+};
+
+const lockout = {
+  getLockouts,
+  unlock,
+};
+
+export default lockout;
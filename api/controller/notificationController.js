@@ -0,0 +1,127 @@
+import mongoose from 'mongoose'
+import Notification from '../model/notification.js'
+
+const MAX_PAGE_SIZE = 50;
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: "Notification not found"
+});
+
+// Only the owner ever sees or touches a notification
+const ownFilter = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return { _id: req.params.id, userId: String(req.user.id) };
+};
+
+const getNotifications = async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const filter = { userId };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId, isRead: false })
+    ]);
+
+    res.status(200).json({ notifications, total, unread, page, limit });
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ userId: String(req.user.id), isRead: false });
+    res.status(200).json({ count });
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const markRead = async (req, res) => {
+  try {
+    const filter = ownFilter(req);
+    if (!filter) return notFound(res);
+
+    const notification = await Notification.findOneAndUpdate(
+      filter,
+      [{ $set: { isRead: true, readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+
+    if (!notification) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      notification
+    });
+  } catch (err) {
+    console.error("Mark notification error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update notification",
+      error: err.message
+    });
+  }
+};
+
+const markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: String(req.user.id), isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      updated: result.modifiedCount
+    });
+  } catch (err) {
+    console.error("Mark all notifications error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update notifications",
+      error: err.message
+    });
+  }
+};
+
+const deleteNotification = async (req, res) => {
+  try {
+    const filter = ownFilter(req);
+    if (!filter) return notFound(res);
+
+    const result = await Notification.deleteOne(filter);
+    if (result.deletedCount === 0) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification deleted successfully"
+    });
+  } catch (err) {
+    console.error("Delete notification error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete notification",
+      error: err.message
+    });
+  }
+};
+
+const notification = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification,
+};
+
+export default notification;
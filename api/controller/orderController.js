@@ -0,0 +1,745 @@
+import Order, { PAYMENT_METHODS, TRANSITIONS } from '../model/order.js'
+import Course from '../model/course.js'
+import User from '../model/user.js'
+import Progress from '../model/progress.js'
+import Certificate from '../model/certificate.js'
+import { getProvider } from '../services/payments/index.js'
+import { enrollStudent, unenrollStudent, findEnrollment, revokedSince } from '../services/enrollmentService.js'
+import { quote, priceFor, redeem, release, orderRef } from '../services/couponService.js'
+import { notify, notifyAdmins } from '../services/notificationService.js'
+import { audit } from '../services/auditService.js'
+import { sendMail } from '../services/mail/index.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+
+// A claim older than this belongs to a request that died mid-call and may be retaken
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+// How long after paying, and how far into the course, a buyer may still ask for their money back
+const refundPolicy = () => ({
+  windowDays: envNumber('REFUND_WINDOW_DAYS', 14),
+  maxProgress: envNumber('REFUND_MAX_PROGRESS', 30)
+});
+
+const nextOrderId = async () => {
+  const last = await Order.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: "Order not found"
+});
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+const canSeeOrder = (user, order) => isAdmin(user) || isSelf(user, order.userId);
+
+/**
+ * Check the fields the buyer typed for their payment method.
+ * @returns {{error?: string, label?: string}} label is what the order shows instead of the details
+ */
+const checkDetails = (method, details = {}) => {
+  if (method === 'card') {
+    const number = String(details.cardNumber || '').replace(/\D/g, '');
+    const [month, year] = String(details.expiry || '').split('/').map(Number);
+    const now = new Date();
+    const expired = !month || month > 12 || year == null
+      || 2000 + year < now.getFullYear()
+      || (2000 + year === now.getFullYear() && month < now.getMonth() + 1);
+
+    if (number.length !== 16) return { error: "Card number must have 16 digits" };
+    if (expired) return { error: "Card is expired" };
+    if (!/^\d{3,4}$/.test(String(details.cvv || ''))) return { error: "CVV must be 3 or 4 digits" };
+    return { label: `card ending ${number.slice(-4)}` };
+  }
+
+  if (method === 'paypal') {
+    if (!EMAIL_PATTERN.test(String(details.email || ''))) return { error: "A valid PayPal email is required" };
+    return { label: `PayPal ${details.email}` };
+  }
+
+  if (method === 'vodafone') {
+    const phone = String(details.phone || '').replace(/\D/g, '');
+    if (!/^01\d{9}$/.test(phone)) return { error: "Phone number must have 11 digits and start with 01" };
+    return { label: `Vodafone Cash ending ${phone.slice(-4)}` };
+  }
+
+  return { error: "Unknown payment method" };
+};
+
+/**
+ * Reserve the order for one provider call. Only one request at a time can
+ * hold it, and only while the order is in a status the step may start from.
+ */
+const claim = (id, step) => Order.findOneAndUpdate(
+  {
+    id,
+    status: { $in: TRANSITIONS[step] },
+    $or: [{ processingAt: null }, { processingAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }]
+  },
+  { $set: { processingAt: new Date() } },
+  { new: true }
+);
+
+// Record the provider's answer and release the claim
+const settle = (id, set, transactions) => Order.findOneAndUpdate(
+  { id },
+  { $set: { ...set, processingAt: null }, $push: { transactions: { $each: transactions } } },
+  { new: true }
+);
+
+const sendUnclaimable = async (res, id, step) => {
+  const order = await Order.findOne({ id });
+  if (!order) return notFound(res);
+
+  return res.status(409).json({
+    success: false,
+    message: TRANSITIONS[step].includes(order.status)
+      ? "This order is already being processed"
+      : `This order is already ${order.status}`,
+    order
+  });
+};
+
+/**
+ * Call the provider. An outage is turned into a failed answer so the claim
+ * is always released; the order keeps its status and the step can be retried.
+ */
+const callProvider = async (method, args) => {
+  try {
+    return { ...(await getProvider()[method](args)), outage: false };
+  } catch (err) {
+    console.error(`Payment provider ${method} error:`, err);
+    return { ok: false, outage: true, message: "The payment service is unavailable, please try again" };
+  }
+};
+
+// A coupon use is held from authorization on and given back if the order fails
+const couponUse = (order) => ({ userId: order.userId, courseId: order.courseId, orderId: order.id });
+
+const releaseCoupon = (order) => order.couponCode ? release(order.couponCode, orderRef(order.id)) : null;
+
+/**
+ * A paid order whose buyer was never enrolled, because enrolling failed
+ * after the capture. An enrollment revoked since the order was paid
+ * does not count: that one was taken away on purpose.
+ */
+const awaitsEnrollment = async (order) => {
+  const enrollment = await findEnrollment(order.userId, order.courseId);
+  return !enrollment || (enrollment.status === 'revoked' && !revokedSince(enrollment, order));
+};
+
+/**
+ * Enroll the buyer of a captured order. When it fails the money stays
+ * taken, and capturing the order again finishes the enrollment.
+ */
+const enrollBuyer = async (res, order, buyer, course) => {
+  try {
+    const { badges } = await enrollStudent(buyer, course, { source: 'purchase', order, couponCode: order.couponCode });
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment complete. You are enrolled",
+      order,
+      badges
+    });
+  } catch (err) {
+    console.error("Enroll after capture error:", err);
+    return res.status(500).json({
+      success: false,
+      code: "ENROLLMENT_PENDING",
+      message: "Your payment went through but enrolling you failed. Try again to finish; you will not be charged twice",
+      order
+    });
+  }
+};
+
+const record = (type, amount, result) => ({
+  type,
+  succeeded: result.ok,
+  amount,
+  reference: result.reference || null,
+  message: result.message || null
+});
+
+/**
+ * Start buying a course. Body: { courseId, method, couponCode? }
+ * The price is worked out here from the course and the coupon; the client's
+ * figure is never used. An open order for the same course is reused, so
+ * leaving the purchase page and coming back never leads to paying twice.
+ */
+const createOrder = async (req, res) => {
+  try {
+    const courseId = Number(req.body.courseId);
+    const { method, couponCode } = req.body;
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return badRequest(res, `method must be one of ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const course = await Course.findOne({ id: courseId });
+    if (!course || course.status !== 'Approved') {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    if (!(course.price > 0)) return badRequest(res, "This course is free; enroll in it directly");
+
+    if (course.students.some(s => String(s[0]) === String(req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already enrolled in this course"
+      });
+    }
+
+    let coupon = null;
+    if (couponCode) {
+      const quoted = await quote(couponCode, course, req.user.id);
+      if (quoted.error) return badRequest(res, quoted.error);
+      coupon = quoted.coupon;
+    }
+
+    const pricing = { ...priceFor(course, coupon), couponCode: coupon?.code ?? null };
+    if (!(pricing.amount > 0)) return badRequest(res, "This coupon makes the course free; enroll in it directly");
+
+    // Paid already, but enrolling failed: the buyer only needs to capture it again
+    const paid = await Order.findOne({ userId: req.user.id, courseId, status: 'captured' }).sort({ id: -1 });
+    if (paid && await awaitsEnrollment(paid)) {
+      return res.status(200).json({ success: true, message: "Order already paid", order: paid });
+    }
+
+    const open = await Order.findOne({ userId: req.user.id, courseId, status: { $in: ['pending', 'authorized'] } });
+    if (open) {
+      // The buyer may have switched methods or coupons before authorizing.
+      // Once authorized, the held amount is what gets charged.
+      if (open.status === 'pending' && (open.method !== method || open.couponCode !== pricing.couponCode)) {
+        const updated = await Order.findOneAndUpdate(
+          { id: open.id, status: 'pending', processingAt: null },
+          { $set: { method, ...pricing } },
+          { new: true }
+        );
+        if (updated) return res.status(200).json({ success: true, message: "Order updated", order: updated });
+      }
+      return res.status(200).json({ success: true, message: "Order already open", order: open });
+    }
+
+    const fields = {
+      userId: req.user.id,
+      courseId,
+      courseTitle: course.title,
+      instructorId: course.instructorId ?? null,
+      ...pricing,
+      method,
+      provider: getProvider().name
+    };
+
+    let order;
+    try {
+      order = await Order.create({ id: await nextOrderId(), ...fields });
+    } catch (err) {
+      // Two orders raced for the same id; the next one is free
+      if (err.code !== 11000) throw err;
+      order = await Order.create({ id: await nextOrderId(), ...fields });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Order created",
+      order
+    });
+  } catch (err) {
+    console.error("Create order error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create order",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Hold the money. Body: { details } for the order's method; the details
+ * go to the provider and are not stored.
+ */
+const authorizeOrder = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const order = await Order.findOne({ id });
+    if (!order) return notFound(res);
+    if (!isSelf(req.user, order.userId)) return forbidden(res, "You can only pay for your own orders");
+
+    const { error, label } = checkDetails(order.method, req.body.details);
+    if (error) return badRequest(res, error);
+
+    const claimed = await claim(id, 'authorize');
+    if (!claimed) return sendUnclaimable(res, id, 'authorize');
+
+    // The coupon's limits are checked again as the use is taken; others may have used it up since
+    if (claimed.couponCode && !(await redeem(claimed.couponCode, couponUse(claimed)))) {
+      const updated = await settle(id, {}, []);
+      return res.status(409).json({
+        success: false,
+        code: "COUPON_UNAVAILABLE",
+        message: `Coupon ${claimed.couponCode} can no longer be used. Remove it and try again`,
+        order: updated
+      });
+    }
+
+    const result = await callProvider('authorize', {
+      orderId: id,
+      amount: claimed.amount,
+      currency: claimed.currency,
+      method: claimed.method,
+      details: req.body.details
+    });
+
+    const set = { methodLabel: label };
+    if (result.ok) {
+      Object.assign(set, { status: 'authorized', authorizationRef: result.reference });
+    } else if (!result.outage) {
+      Object.assign(set, { status: 'failed', failureReason: result.message });
+    }
+
+    const updated = await settle(id, set, [record('authorize', claimed.amount, result)]);
+    if (!result.ok) await releaseCoupon(claimed);
+
+    return res.status(result.ok ? 200 : result.outage ? 502 : 402).json({
+      success: result.ok,
+      message: result.ok ? "Payment authorized" : result.message,
+      order: updated
+    });
+  } catch (err) {
+    console.error("Authorize order error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to authorize payment",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Take the held money and enroll the buyer. This is the only way into a paid course.
+ * Capturing a paid order again enrolls the buyer if that failed the first time.
+ */
+const captureOrder = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const order = await Order.findOne({ id });
+    if (!order) return notFound(res);
+    if (!canSeeOrder(req.user, order)) return forbidden(res, "You can only pay for your own orders");
+
+    if (order.status === 'captured' && await awaitsEnrollment(order)) {
+      const [course, buyer] = await Promise.all([
+        Course.findOne({ id: order.courseId }),
+        User.findOne({ id: order.userId })
+      ]);
+      // Left for an admin to refund
+      if (!course || !buyer) return sendUnclaimable(res, id, 'capture');
+      return enrollBuyer(res, order, buyer, course);
+    }
+
+    const claimed = await claim(id, 'capture');
+    if (!claimed) return sendUnclaimable(res, id, 'capture');
+
+    // The course may have been removed since the order was placed
+    const [course, buyer] = await Promise.all([
+      Course.findOne({ id: claimed.courseId }),
+      User.findOne({ id: claimed.userId })
+    ]);
+
+    if (!course || !buyer) {
+      const voided = await callProvider('void', { reference: claimed.authorizationRef });
+      const updated = await settle(id, { status: 'failed', failureReason: "Course is no longer available" }, [record('void', claimed.amount, voided)]);
+      await releaseCoupon(claimed);
+      return res.status(409).json({
+        success: false,
+        message: "Course is no longer available; the payment was released",
+        order: updated
+      });
+    }
+
+    const result = await callProvider('capture', { reference: claimed.authorizationRef, amount: claimed.amount });
+    const transactions = [record('capture', claimed.amount, result)];
+
+    if (!result.ok) {
+      const set = {};
+      if (!result.outage) {
+        // The hold is useless now; give it back rather than leave it on the buyer's card
+        transactions.push(record('void', claimed.amount, await callProvider('void', { reference: claimed.authorizationRef })));
+        Object.assign(set, { status: 'failed', failureReason: result.message });
+        await releaseCoupon(claimed);
+      }
+      const updated = await settle(id, set, transactions);
+      return res.status(result.outage ? 502 : 402).json({
+        success: false,
+        message: result.message,
+        order: updated
+      });
+    }
+
+    const updated = await settle(id, { status: 'captured', capturedAt: new Date() }, transactions);
+    return enrollBuyer(res, updated, buyer, course);
+  } catch (err) {
+    console.error("Capture order error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to complete payment",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Give up on an order that was not paid. Body: { reason? }
+ * A hold on the buyer's money is released.
+ */
+const failOrder = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const order = await Order.findOne({ id });
+    if (!order) return notFound(res);
+    if (!canSeeOrder(req.user, order)) return forbidden(res, "You can only cancel your own orders");
+
+    const claimed = await claim(id, 'fail');
+    if (!claimed) return sendUnclaimable(res, id, 'fail');
+
+    const transactions = [];
+    if (claimed.authorizationRef) {
+      transactions.push(record('void', claimed.amount, await callProvider('void', { reference: claimed.authorizationRef })));
+    }
+
+    const reason = String(req.body?.reason || 'Cancelled').slice(0, 200);
+    const updated = await settle(id, { status: 'failed', failureReason: reason }, transactions);
+    await releaseCoupon(claimed);
+
+    return res.status(200).json({
+      success: true,
+      message: "Order cancelled",
+      order: updated
+    });
+  } catch (err) {
+    console.error("Fail order error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel order",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Return the money for a claimed order and take the course away: the
+ * enrollment and any certificate for the course are revoked, the amount
+ * leaves the instructor's earnings (which only count captured orders) and
+ * the buyer is told. A pending refund request on the order is approved with it.
+ * @param {object} claimed - the order, claimed for 'refund'
+ * @param {object} admin
+ * @param {string|null} note - shown to the buyer
+ * @returns {Promise<{ok: boolean, status?: number, message: string, order: object}>}
+ */
+const performRefund = async (claimed, admin, note) => {
+  const id = claimed.id;
+
+  const result = await callProvider('refund', { reference: claimed.authorizationRef, amount: claimed.amount });
+  const set = result.ok ? { status: 'refunded', refundedAt: new Date() } : {};
+  if (result.ok && claimed.refundRequest?.status === 'pending') {
+    Object.assign(set, {
+      'refundRequest.status': 'approved',
+      'refundRequest.decidedBy': admin.id,
+      'refundRequest.decidedAt': new Date(),
+      'refundRequest.note': note
+    });
+  }
+  const updated = await settle(id, set, [record('refund', claimed.amount, result)]);
+
+  if (!result.ok) return { ok: false, status: result.outage ? 502 : 402, message: result.message, order: updated };
+
+  await unenrollStudent(updated.userId, updated.courseId, { reason: `Order #${id} refunded` });
+  const certificates = await Certificate.updateOne(
+    { userId: String(updated.userId), courseId: String(updated.courseId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const buyer = await User.findOne({ id: updated.userId });
+  if (buyer) {
+    sendMail('orderRefunded', buyer.email, { name: buyer.name, order: updated });
+    await notify(buyer.id, {
+      type: 'course',
+      message: `Your payment for "${updated.courseTitle}" was refunded${note ? `: ${note}` : ''}`,
+      link: `/pages/information.html?id=${updated.courseId}`
+    });
+  }
+
+  if (updated.instructorId != null) {
+    await notify(updated.instructorId, {
+      type: 'course',
+      message: `A refund of ${updated.amount.toFixed(2)} ${updated.currency} for "${updated.courseTitle}" was taken off your earnings`
+    });
+  }
+
+  await audit(admin, 'order.refunded', { type: 'order', id }, {
+    userId: updated.userId,
+    courseId: updated.courseId,
+    amount: updated.amount,
+    requested: claimed.refundRequest != null,
+    certificateRevoked: certificates.modifiedCount > 0,
+    note
+  });
+
+  return { ok: true, message: `Order #${id} refunded`, order: updated };
+};
+
+const sendRefund = (res, outcome) => res.status(outcome.ok ? 200 : outcome.status).json({
+  success: outcome.ok,
+  message: outcome.message,
+  order: outcome.order
+});
+
+// Admin: return the money and take the course away. Body: { note? }
+const refundOrder = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+
+    const claimed = await claim(id, 'refund');
+    if (!claimed) return sendUnclaimable(res, id, 'refund');
+
+    return sendRefund(res, await performRefund(claimed, req.user, req.body?.note || null));
+  } catch (err) {
+    console.error("Refund order error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to refund order",
+      error: err.message
+    });
+  }
+};
+
+const getRefundPolicy = (req, res) => {
+  res.status(200).json(refundPolicy());
+};
+
+/**
+ * The buyer asks for their money back. Body: { reason? }
+ * Only within the refund window after paying and before the buyer has got
+ * far into the course. An admin decides; nothing is refunded yet.
+ */
+const requestRefund = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const order = await Order.findOne({ id });
+    if (!order) return notFound(res);
+    if (!isSelf(req.user, order.userId)) return forbidden(res, "You can only ask for refunds of your own orders");
+
+    if (order.status !== 'captured') return badRequest(res, `This order is ${order.status} and cannot be refunded`);
+
+    if (order.refundRequest) {
+      return res.status(409).json({
+        success: false,
+        message: `A refund was already requested for this order (${order.refundRequest.status})`,
+        order
+      });
+    }
+
+    const { windowDays, maxProgress } = refundPolicy();
+    const deadline = new Date(order.capturedAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+    if (deadline < new Date()) {
+      return badRequest(res, `Refunds can only be requested within ${windowDays} days of purchase`);
+    }
+
+    // Resetting the course does not bring the limit back
+    const watched = await Progress.findOne({ userId: String(order.userId), courseId: String(order.courseId) });
+    const progress = watched ? Math.max(watched.progress, watched.bestProgress) : 0;
+    if (progress >= maxProgress) {
+      return badRequest(res, `Refunds are only available before ${maxProgress}% of the course is completed`);
+    }
+
+    const reason = String(req.body?.reason ?? '').trim().slice(0, 500);
+
+    const updated = await Order.findOneAndUpdate(
+      { id, status: 'captured', refundRequest: null },
+      { $set: { refundRequest: { status: 'pending', reason, progress, requestedAt: new Date() } } },
+      { new: true }
+    );
+
+    // Refunded, or requested from another tab, since it was read
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "This order can no longer be refunded",
+        order: await Order.findOne({ id })
+      });
+    }
+
+    await notifyAdmins({
+      type: 'info',
+      message: `Refund requested for order #${id} ("${updated.courseTitle}")`,
+      link: '/pages/admin.html'
+    });
+    await audit(req.user, 'order.refund-requested', { type: 'order', id }, { reason, progress });
+
+    return res.status(201).json({
+      success: true,
+      message: "Refund requested. You will be notified once it is reviewed",
+      order: updated
+    });
+  } catch (err) {
+    console.error("Request refund error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to request refund",
+      error: err.message
+    });
+  }
+};
+
+// Admin: grant a pending refund request. Body: { note? }
+const approveRefund = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+
+    const claimed = await claim(id, 'refund');
+    if (!claimed) return sendUnclaimable(res, id, 'refund');
+
+    if (claimed.refundRequest?.status !== 'pending') {
+      const order = await settle(id, {}, []);
+      return res.status(409).json({
+        success: false,
+        message: "There is no refund request waiting on this order",
+        order
+      });
+    }
+
+    return sendRefund(res, await performRefund(claimed, req.user, req.body?.note || null));
+  } catch (err) {
+    console.error("Approve refund error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to approve refund",
+      error: err.message
+    });
+  }
+};
+
+// Admin: turn a pending refund request down. Body: { note? } tells the buyer why
+const rejectRefund = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const note = String(req.body?.note ?? '').trim().slice(0, 500) || null;
+
+    // Not while an approval is talking to the provider
+    const updated = await Order.findOneAndUpdate(
+      { id, 'refundRequest.status': 'pending', processingAt: null },
+      {
+        $set: {
+          'refundRequest.status': 'rejected',
+          'refundRequest.decidedBy': req.user.id,
+          'refundRequest.decidedAt': new Date(),
+          'refundRequest.note': note
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const order = await Order.findOne({ id });
+      if (!order) return notFound(res);
+      return res.status(409).json({
+        success: false,
+        message: order.refundRequest?.status === 'pending'
+          ? "This refund is already being processed"
+          : "There is no refund request waiting on this order",
+        order
+      });
+    }
+
+    await notify(updated.userId, {
+      type: 'course',
+      message: `Your refund request for "${updated.courseTitle}" was declined${note ? `: ${note}` : ''}`,
+      link: `/pages/coursepage.html?id=${updated.courseId}`
+    });
+    await audit(req.user, 'order.refund-rejected', { type: 'order', id }, { note });
+
+    return res.status(200).json({
+      success: true,
+      message: `Refund request for order #${id} rejected`,
+      order: updated
+    });
+  } catch (err) {
+    console.error("Reject refund error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reject refund",
+      error: err.message
+    });
+  }
+};
+
+// Admin: every order, newest first. ?status=, ?refund=, ?userId=, ?courseId= narrow it down
+const getOrders = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.refund) filter['refundRequest.status'] = req.query.refund;
+    if (req.query.userId) filter.userId = Number(req.query.userId);
+    if (req.query.courseId) filter.courseId = Number(req.query.courseId);
+
+    const orders = await Order.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(orders);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.status(200).json(orders);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ id: Number(req.params.id) });
+    if (!order) return notFound(res);
+
+    if (!canSeeOrder(req.user, order)) {
+      return forbidden(res, "You can only see your own orders");
+    }
+
+    res.status(200).json(order);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const order = {
+  createOrder,
+  authorizeOrder,
+  captureOrder,
+  failOrder,
+  refundOrder,
+  getRefundPolicy,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  getOrders,
+  getMyOrders,
+  getOrder,
+};
+
+export default order;
@@ -0,0 +1,295 @@
+import Progress, { COMPLETION_THRESHOLD } from '../model/progress.js'
+import Course from '../model/course.js'
+import CourseVideos from '../model/courseVideo.js'
+import Certificate from '../model/certificate.js'
+import { recordActivity, currentStreak } from '../services/streakService.js'
+import { awardXp } from '../services/xpService.js'
+import { evaluateAchievements } from '../services/achievementService.js'
+import { sendMail } from '../services/mail/index.js'
+import { hasActiveEnrollment } from '../services/enrollmentService.js'
+import { isAdmin, isSelf, canManageCourse, ownsCourse, forbidden } from '../middleware/policy.js'
+
+// XP for finishing a course, on top of one point per percent of progress
+const CERTIFICATE_XP = 100;
+
+/**
+ * Percentage of the course's current videos the student has finished.
+ * Videos removed from the course after being watched no longer count.
+ */
+const computeProgress = (completedVideos, videos) => {
+  if (videos.length === 0) return null;
+  const ids = new Set(videos.map(v => v.videoURL));
+  const done = completedVideos.filter(id => ids.has(id)).length;
+  return Math.round((done / ids.size) * 100);
+};
+
+const getMyProgress = async (req, res) => {
+  try {
+    const progress = await Progress.find({ userId: String(req.user.id) });
+    res.status(200).json(progress);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+/**
+ * Students see their own records, admins see everyone's and instructors
+ * only see the records for courses they teach.
+ */
+const getUserProgress = async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const progress = await Progress.find({ userId });
+
+    if (isAdmin(req.user) || isSelf(req.user, userId)) {
+      return res.status(200).json(progress);
+    }
+
+    const courses = await Course.find({ id: { $in: progress.map(p => Number(p.courseId)) } });
+    const taught = new Set(courses.filter(c => ownsCourse(req.user, c)).map(c => String(c.id)));
+
+    res.status(200).json(progress.filter(p => taught.has(p.courseId)));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getCourseProgress = async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const course = await Course.findOne({ id: courseId });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return forbidden(res, "Only the course instructor can see its students' progress");
+    }
+
+    const progress = await Progress.find({ courseId: String(courseId) });
+    res.status(200).json(progress);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const isPercent = (value) => typeof value === 'number' && !isNaN(value) && value >= 0 && value <= 100;
+
+/**
+ * Record a watch event for one of the course's videos. Each step only
+ * ever moves forward, so events may arrive late or more than once.
+ */
+const recordWatch = async (userId, courseId, videoId, watched) => {
+  const now = new Date();
+
+  await Progress.updateOne(
+    { userId, courseId, 'videos.videoId': { $ne: videoId } },
+    { $push: { videos: { videoId, startedAt: now, watched: 0 } } }
+  );
+
+  await Progress.updateOne(
+    { userId, courseId },
+    { $max: { 'videos.$[v].watched': watched }, $set: { lastVideo: videoId } },
+    { arrayFilters: [{ 'v.videoId': videoId }] }
+  );
+
+  if (watched >= COMPLETION_THRESHOLD) {
+    await Progress.updateOne(
+      { userId, courseId },
+      { $set: { 'videos.$[v].completedAt': now }, $addToSet: { completedVideos: videoId } },
+      { arrayFilters: [{ 'v.videoId': videoId, 'v.completedAt': null }] }
+    );
+  }
+};
+
+/**
+ * Record progress for the signed-in student.
+ * Body: { videoId?, watched?, lastVideo?, progress? }
+ *  - videoId + watched (0-100, defaults to 100) records how much of a chapter's video was seen
+ *  - progress is only used for courses without videos
+ * Progress never goes backwards, so replays from another device are harmless.
+ */
+const updateProgress = async (req, res) => {
+  try {
+    const courseId = String(req.params.courseId);
+    const userId = String(req.user.id);
+    const { videoId, watched = 100, lastVideo, progress } = req.body;
+
+    const course = await Course.findOne({ id: Number(courseId) });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found"
+      });
+    }
+
+    // The course's instructor and admins can try the course out but earn nothing for it
+    const manager = canManageCourse(req.user, course);
+    if (!manager && !(await hasActiveEnrollment(userId, course))) {
+      return forbidden(res, "You are not enrolled in this course");
+    }
+
+    if (progress != null && !isPercent(progress)) {
+      return res.status(400).json({
+        success: false,
+        message: "progress must be a number between 0 and 100"
+      });
+    }
+
+    if (videoId != null && !isPercent(watched)) {
+      return res.status(400).json({
+        success: false,
+        message: "watched must be a number between 0 and 100"
+      });
+    }
+
+    const courseVideos = await CourseVideos.findOne({ id: courseId });
+    const videos = courseVideos?.videos || [];
+
+    if (videoId != null && !videos.some(v => v.videoURL === String(videoId))) {
+      return res.status(400).json({
+        success: false,
+        message: "Video does not belong to this course"
+      });
+    }
+
+    const update = { $setOnInsert: { userId, courseId } };
+    if (lastVideo != null) update.$set = { lastVideo: String(lastVideo) };
+
+    let record = await Progress.findOneAndUpdate(
+      { userId, courseId },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (videoId != null) {
+      await recordWatch(userId, courseId, String(videoId), watched);
+      record = await Progress.findOne({ userId, courseId });
+    }
+
+    const computed = computeProgress(record.completedVideos, videos);
+    const percent = Math.max(record.progress, computed ?? progress ?? 0);
+
+    let gained = 0;
+    if (percent !== record.progress) {
+      const raise = { $max: { progress: percent, bestProgress: percent } };
+      if (percent === 100 && !record.completedAt) raise.$set = { completedAt: new Date() };
+
+      // The values before this update tell how much progress this request added,
+      // even when another device raised it at the same time. Progress made
+      // before a reset was already paid for, so only a new best earns XP
+      const before = await Progress.findOneAndUpdate({ userId, courseId }, raise, { new: false });
+      gained = Math.max(percent - Math.max(before.progress, before.bestProgress), 0);
+      record = await Progress.findOne({ userId, courseId });
+    }
+
+    let xp = await awardXp({
+      userId,
+      amount: manager ? 0 : gained,
+      source: 'progress',
+      reason: `Reached ${percent}% in ${course.title}`,
+      key: `progress:${courseId}:${percent}`,
+      courseId
+    });
+
+    // Finishing the course earns its certificate
+    const certificate = record.progress === 100 && !manager ? await Certificate.issueFor(req.user, course) : null;
+    if (certificate) {
+      const bonus = await awardXp({
+        userId,
+        amount: CERTIFICATE_XP,
+        source: 'certificate',
+        reason: `Certificate for ${course.title}`,
+        key: `certificate:${certificate.certificateId}`,
+        courseId
+      });
+      xp = { total: bonus.total, awarded: xp.awarded + bonus.awarded };
+
+      // The bonus is only ever awarded once, on the request that issued the certificate
+      if (!bonus.duplicate) {
+        sendMail('certificateIssued', req.user.email, { name: req.user.name, certificate });
+      }
+    }
+
+    const streak = await recordActivity(req.user);
+    const badges = await evaluateAchievements(userId, ['progress', 'streak', 'xp']);
+
+    return res.status(200).json({
+      success: true,
+      message: "Progress updated successfully",
+      progress: record,
+      certificate,
+      streak: currentStreak(streak, req.user.timezone),
+      xp: { total: xp.total, awarded: xp.awarded },
+      badges
+    });
+
+  } catch (error) {
+    console.error("Update progress error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update progress",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start the course over. The record is kept with its best progress, so the
+ * XP and refund rules still see how far the student got before.
+ */
+const deleteProgress = async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const courseId = String(req.params.courseId);
+
+    if (!isAdmin(req.user) && !isSelf(req.user, userId)) {
+      return forbidden(res, "You can only reset your own progress");
+    }
+
+    const existing = await Progress.findOne({ userId, courseId });
+
+    const result = await Progress.updateOne(
+      { userId, courseId },
+      {
+        $set: { completedVideos: [], videos: [], lastVideo: null, progress: 0, completedAt: null },
+        // Records from before bestProgress existed only know their current progress
+        $max: { bestProgress: existing?.progress ?? 0 }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Progress not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Progress reset successfully"
+    });
+
+  } catch (error) {
+    console.error("Delete progress error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete progress",
+      error: error.message
+    });
+  }
+};
+
+const progress = {
+  getMyProgress,
+  getUserProgress,
+  getCourseProgress,
+  updateProgress,
+  deleteProgress,
+};
+
+export default progress;
@@ -0,0 +1,43 @@
+import Streak from '../model/streak.js'
+import User from '../model/user.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { currentStreak } from '../services/streakService.js'
+
+const getMyStreak = async (req, res) => {
+  try {
+    const streak = await Streak.findOne({ userId: String(req.user.id) });
+    res.status(200).json(currentStreak(streak, req.user.timezone));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getStreak = async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+
+    if (!isAdmin(req.user) && !isSelf(req.user, userId)) {
+      return forbidden(res, "You can only see your own streak");
+    }
+
+    const user = await User.findOne({ id: Number(userId) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const streak = await Streak.findOne({ userId });
+    res.status(200).json(currentStreak(streak, user.timezone));
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const streak = {
+  getMyStreak,
+  getStreak,
+};
+
+export default streak;
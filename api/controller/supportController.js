@@ -0,0 +1,243 @@
+import SupportTicket, { TICKET_STATUSES } from '../model/supportTicket.js'
+import User from '../model/user.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+import { sendMail } from '../services/mail/index.js'
+import { notify, notifyAdmins } from '../services/notificationService.js'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: "Ticket not found"
+});
+
+const nextTicketId = async () => {
+  const last = await SupportTicket.findOne({}).sort({ id: -1 }).select('id');
+  return last ? last.id + 1 : 1;
+};
+
+/**
+ * @returns {string|null} why the message is unacceptable, or null when it is fine
+ */
+const checkMessage = (message) => {
+  if (!message) return "Message is required";
+  if (message.length > MAX_MESSAGE_LENGTH) return `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`;
+  return null;
+};
+
+const canSeeTicket = (user, ticket) => isAdmin(user) || (ticket.userId != null && isSelf(user, ticket.userId));
+
+// Public: the contact form in the site footer
+const createTicket = async (req, res) => {
+  try {
+    const name = String(req.body.name ?? '').trim();
+    const email = String(req.body.email ?? '').trim();
+    const message = String(req.body.message ?? '').trim();
+
+    if (!name || name.length > MAX_NAME_LENGTH) return badRequest(res, "A name of up to 100 characters is required");
+    if (!EMAIL_PATTERN.test(email)) return badRequest(res, "A valid email is required");
+    const invalid = checkMessage(message);
+    if (invalid) return badRequest(res, invalid);
+
+    const fields = { name, email, message, userId: req.user?.id ?? null };
+
+    let ticket;
+    try {
+      ticket = await SupportTicket.create({ id: await nextTicketId(), ...fields });
+    } catch (err) {
+      // Two tickets raced for the same id; the next one is free
+      if (err.code !== 11000) throw err;
+      ticket = await SupportTicket.create({ id: await nextTicketId(), ...fields });
+    }
+
+    sendMail('supportReceived', email, { ticket });
+
+    // SUPPORT_EMAIL collects new tickets; without it every admin gets a copy
+    const recipients = process.env.SUPPORT_EMAIL
+      ? [process.env.SUPPORT_EMAIL]
+      : (await User.find({ role: 'admin' }).select('email')).map(admin => admin.email);
+    recipients.forEach(to => sendMail('supportNew', to, { ticket }));
+
+    await notifyAdmins({ type: 'info', message: `New support ticket #${ticket.id} from ${name}`, link: '/pages/admin.html' });
+
+    return res.status(201).json({
+      success: true,
+      message: "Thanks! Your message was sent",
+      ticket: { id: ticket.id, status: ticket.status }
+    });
+  } catch (err) {
+    console.error("Create ticket error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to send message"
+    });
+  }
+};
+
+const getTickets = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assignee === 'me') filter.assignee = req.user.id;
+    else if (req.query.assignee === 'none') filter.assignee = null;
+
+    const tickets = await SupportTicket.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(tickets);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getMyTickets = async (req, res) => {
+  try {
+    const tickets = await SupportTicket.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.status(200).json(tickets);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getTicket = async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findOne({ id: Number(req.params.id) });
+    if (!ticket) return notFound(res);
+
+    if (!canSeeTicket(req.user, ticket)) {
+      return forbidden(res, "You can only see your own tickets");
+    }
+
+    res.status(200).json(ticket);
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+// Admin triage: status and assignee
+const updateTicket = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const changes = {};
+
+    if (req.body.status !== undefined) {
+      if (!TICKET_STATUSES.includes(req.body.status)) {
+        return badRequest(res, `Status must be one of: ${TICKET_STATUSES.join(', ')}`);
+      }
+      changes.status = req.body.status;
+    }
+
+    if (req.body.assignee !== undefined) {
+      if (req.body.assignee === null) {
+        changes.assignee = null;
+      } else {
+        const assignee = await User.findOne({ id: Number(req.body.assignee), role: 'admin' });
+        if (!assignee) return badRequest(res, "Tickets can only be assigned to admins");
+        changes.assignee = assignee.id;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return badRequest(res, "No updatable fields provided");
+    }
+
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const { doc: ticket, conflict, current } = await updateIfCurrent(SupportTicket, { id }, { $set: changes }, rev);
+
+    if (conflict) return sendConflict(res, current);
+    if (!ticket) return notFound(res);
+
+    if (changes.assignee != null && !isSelf(req.user, changes.assignee)) {
+      await notify(changes.assignee, { type: 'info', message: `Support ticket #${id} was assigned to you`, link: '/pages/admin.html' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Ticket updated successfully",
+      ticket
+    });
+  } catch (err) {
+    console.error("Update ticket error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update ticket",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Admins answer the requester (by email); a signed-in requester can add to
+ * their own ticket, which puts it back in the open queue.
+ */
+const addReply = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const message = String(req.body.message ?? '').trim();
+
+    const invalid = checkMessage(message);
+    if (invalid) return badRequest(res, invalid);
+
+    const existing = await SupportTicket.findOne({ id });
+    if (!existing) return notFound(res);
+
+    if (!canSeeTicket(req.user, existing)) {
+      return forbidden(res, "You can only reply to your own tickets");
+    }
+
+    const fromStaff = isAdmin(req.user);
+    const reply = { authorId: req.user.id, authorName: req.user.name, fromStaff, message, createdAt: new Date() };
+
+    // An admin answering an open ticket has picked it up
+    const status = fromStaff
+      ? (existing.status === 'open' ? 'in-progress' : existing.status)
+      : 'open';
+
+    const ticket = await SupportTicket.findOneAndUpdate(
+      { id },
+      { $push: { replies: reply }, $set: { status } },
+      { new: true }
+    );
+
+    if (fromStaff) {
+      sendMail('supportReply', ticket.email, { ticket, reply });
+      if (ticket.userId != null) {
+        await notify(ticket.userId, { type: 'info', message: `${reply.authorName} replied to your ticket #${id}` });
+      }
+    } else if (ticket.assignee != null) {
+      await notify(ticket.assignee, { type: 'info', message: `${reply.authorName} replied to ticket #${id}`, link: '/pages/admin.html' });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Reply added",
+      ticket
+    });
+  } catch (err) {
+    console.error("Reply ticket error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to add reply",
+      error: err.message
+    });
+  }
+};
+
+const support = {
+  createTicket,
+  getTickets,
+  getMyTickets,
+  getTicket,
+  updateTicket,
+  addReply,
+};
+
+export default support;
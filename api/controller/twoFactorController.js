@@ -0,0 +1,302 @@
+import User from '../model/user.js'
+import Session from '../model/session.js'
+import AuthToken from '../model/authToken.js'
+import { issueSession } from '../middleware/auth.js'
+import { requiresTwoFactor, hasTwoFactor, forbidden } from '../middleware/policy.js'
+import { generateSecret, verifyCode, provisioningUri } from '../utils/totp.js'
+import { checkLock, recordFailure, recordSuccess } from '../services/loginGuard.js'
+import { findChallengeUser, checkSecondFactor, generateBackupCodes } from '../services/twoFactorService.js'
+
+// Name authenticator apps show next to the code
+const ISSUER = () => process.env.TOTP_ISSUER || 'Peer Mentors';
+
+const EXPIRED = "Your sign-in has expired, please log in again";
+const INVALID_CODE = "Invalid authentication code";
+
+const sendExpired = (res) => res.status(401).json({
+  success: false,
+  code: "TWO_FACTOR_EXPIRED",
+  message: EXPIRED
+});
+
+const sendLocked = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Try again in ${Math.ceil(lock.retryAfter / 60)} minute(s)`
+  });
+};
+
+/**
+ * Setup and enabling work either for a signed-in user turning two-factor on,
+ * or in the middle of a login for a role that cannot sign in without it.
+ */
+const resolveUser = (req) => req.body.challenge ? findChallengeUser(req.body.challenge) : req.user;
+
+/**
+ * Second step of a login: { challenge, code } or { challenge, backupCode }
+ */
+const verify = async (req, res) => {
+  try {
+    const { challenge, code, backupCode } = req.body;
+
+    const user = await findChallengeUser(challenge);
+    if (!user || !hasTwoFactor(user)) return sendExpired(res);
+
+    // Codes are only six digits; they share the password's failure count
+    const lock = await checkLock(user.email, req.ip);
+    if (lock.locked) return sendLocked(res, lock);
+
+    if (!(await checkSecondFactor(user, { code, backupCode }))) {
+      await recordFailure(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: INVALID_CODE
+      });
+    }
+
+    if (!(await AuthToken.consume(challenge, 'two-factor'))) return sendExpired(res);
+
+    await recordSuccess(user.email, req.ip);
+    const fresh = await User.findOne({ id: user.id });
+    await issueSession(req, res, fresh);
+
+    return res.status(200).json({
+      success: true,
+      message: "Login successful",
+      user: fresh,
+      backupCodesLeft: fresh.twoFactor.backupCodes.length
+    });
+  } catch (err) {
+    console.error("Two-factor verify error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Login failed"
+    });
+  }
+}
+
+/**
+ * Generate a secret for the authenticator app. It only takes effect once
+ * enable() confirms a code from it, so an abandoned setup changes nothing.
+ */
+const setup = async (req, res) => {
+  try {
+    const user = await resolveUser(req);
+    if (!user) return sendExpired(res);
+
+    if (hasTwoFactor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on"
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ id: user.id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return res.status(200).json({
+      success: true,
+      secret,
+      uri: provisioningUri(secret, user.email, ISSUER())
+    });
+  } catch (err) {
+    console.error("Two-factor setup error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor setup"
+    });
+  }
+}
+
+/**
+ * Confirm the first code from the app. Body: { code, challenge? }
+ * Returns the backup codes, which are never shown again. When called
+ * during a login the session is issued here.
+ */
+const enable = async (req, res) => {
+  try {
+    const { challenge, code } = req.body;
+
+    const user = await resolveUser(req);
+    if (!user) return sendExpired(res);
+
+    if (hasTwoFactor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on"
+      });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first"
+      });
+    }
+
+    if (challenge) {
+      const lock = await checkLock(user.email, req.ip);
+      if (lock.locked) return sendLocked(res, lock);
+    }
+
+    const step = verifyCode(pendingSecret, code);
+    if (step == null) {
+      if (challenge) await recordFailure(user.email, req.ip);
+      return res.status(400).json({
+        success: false,
+        message: "That code did not match. Check the time on your device and try again"
+      });
+    }
+
+    if (challenge && !(await AuthToken.consume(challenge, 'two-factor'))) return sendExpired(res);
+
+    const { codes, hashes } = generateBackupCodes();
+
+    // Matching the secret that was checked means a setup restarted in another tab cannot be skipped
+    const updated = await User.findOneAndUpdate(
+      { id: user.id, 'twoFactor.pendingSecret': pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor setup was restarted elsewhere. Please scan the new code"
+      });
+    }
+
+    if (challenge) {
+      await recordSuccess(user.email, req.ip);
+      await issueSession(req, res, updated);
+    } else {
+      // Other devices signed in with only the password
+      await Session.deleteMany({ userId: user.id, _id: { $ne: req.sessionId } });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is on",
+      user: updated,
+      backupCodes: codes
+    });
+  } catch (err) {
+    console.error("Two-factor enable error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to turn on two-factor authentication"
+    });
+  }
+}
+
+/**
+ * Body: { password, code } or { password, backupCode }
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (requiresTwoFactor(req.user)) {
+      return forbidden(res, "Two-factor authentication is required for your account");
+    }
+
+    if (!hasTwoFactor(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not on"
+      });
+    }
+
+    const lock = await checkLock(req.user.email, req.ip);
+    if (lock.locked) return sendLocked(res, lock);
+
+    const valid = await req.user.comparePassword(password)
+      && await checkSecondFactor(req.user, { code, backupCode });
+
+    if (!valid) {
+      await recordFailure(req.user.email, req.ip);
+      return res.status(400).json({
+        success: false,
+        message: "Password or authentication code is incorrect"
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { id: req.user.id },
+      { $set: { twoFactor: { enabled: false } } },
+      { new: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is off",
+      user
+    });
+  } catch (err) {
+    console.error("Two-factor disable error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to turn off two-factor authentication"
+    });
+  }
+}
+
+/**
+ * Replace every backup code. Body: { code } from the authenticator app.
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!hasTwoFactor(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not on"
+      });
+    }
+
+    const lock = await checkLock(req.user.email, req.ip);
+    if (lock.locked) return sendLocked(res, lock);
+
+    if (!(await checkSecondFactor(req.user, { code: req.body.code }))) {
+      await recordFailure(req.user.email, req.ip);
+      return res.status(400).json({
+        success: false,
+        message: INVALID_CODE
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ id: req.user.id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    return res.status(200).json({
+      success: true,
+      message: "New backup codes created. The old ones no longer work",
+      backupCodes: codes
+    });
+  } catch (err) {
+    console.error("Backup codes error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create backup codes"
+    });
+  }
+}
+
+const twoFactor = {
+  verify,
+  setup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+};
+
+export default twoFactor;
@@ -1,14 +1,62 @@
 import User from '../model/user.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { updateIfCurrent, readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+
+// Fields a non-admin may change on their own record
+const SELF_EDITABLE_FIELDS = ['name', 'lastActive', 'timezone', 'leaderboardOptOut'];
+
+// Fields nobody may change through PATCH; passwords go through /api/auth
+// and enrolledCourses through /api/enrollments
+const PROTECTED_FIELDS = ['id', '_id', 'password', 'twoFactor', 'enrolledCourses', 'rev', 'createdAt', 'updatedAt'];
+
+const PUBLIC_FIELDS = 'id name role rev';
+
+const pick = (source, keys) => Object.fromEntries(
+	Object.entries(source).filter(([key]) => keys.includes(key))
+);
+
+const omit = (source, keys) => Object.fromEntries(
+	Object.entries(source).filter(([key]) => !keys.includes(key))
+);
+
+const nextUserId = async () => {
+	const last = await User.findOne({}).sort({ id: -1 }).select('id');
+	return last ? last.id + 1 : 1;
+};
 
 const getAllUsers = async (req, res) => {
 	try {
-		const users = await User.find({});
+		// Only admins see emails and enrollments; everyone else gets display names
+		const users = isAdmin(req.user)
+			? await User.find({})
+			: await User.find({}).select(PUBLIC_FIELDS);
 		res.status(200).json(users);
 	} catch (err) {
 		res.status(500).json({ error: 'Server Error' });
 	}
 };
 
+const getUser = async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		const query = User.findOne({ id });
+		const user = isAdmin(req.user) || isSelf(req.user, id)
+			? await query
+			: await query.select(PUBLIC_FIELDS);
+
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: "User not found"
+			});
+		}
+
+		res.status(200).json(user);
+	} catch (err) {
+		res.status(500).json({ error: 'Server Error' });
+	}
+};
+
 const addUser = async (req, res) => {
 	try {
 		const { id, name, email, password, role, lastActive } = req.body;
@@ -17,12 +65,14 @@ const addUser = async (req, res) => {
 			return res.status(400).json({ error: 'Name, email, and password are required' });
 		}
 
+		const taken = id != null && await User.exists({ id });
+
 		const newUser = new User({
-			id,
+			id: id != null && !taken ? id : await nextUserId(),
 			name,
 			email,
 			password,
-			role: role || 'user',
+			role: role || 'student',
 			lastActive: lastActive || new Date().toISOString()
 		});
 
@@ -43,50 +93,57 @@ const addUser = async (req, res) => {
 	}
 }
 
-const syncUsers = async (req, res) => {
+const updateUser = async (req, res) => {
 	try {
-		const users = req.body;
+		const id = Number(req.params.id);
+
+		if (!isAdmin(req.user) && !isSelf(req.user, id)) {
+			return forbidden(res, "You can only update your own account");
+		}
+
+		const changes = isAdmin(req.user)
+			? omit(req.body, PROTECTED_FIELDS)
+			: pick(req.body, SELF_EDITABLE_FIELDS);
 
-		if (!Array.isArray(users)) {
+		if (Object.keys(changes).length === 0) {
 			return res.status(400).json({
 				success: false,
-				message: "Request body must be an array"
+				message: "No updatable fields provided"
 			});
 		}
 
-		if (users.length === 0) {
-			return res.status(200).json({
-				success: true,
-				message: "Nothing to sync",
-				result: { matched: 0, upserted: 0 }
-			});
-		}
+		const rev = readRevision(req);
+		if (rev == null) return sendRevisionRequired(res);
+
+		const { doc: user, conflict, current } = await updateIfCurrent(User, { id }, { $set: changes }, rev);
 
-		const ops = users.map(user => ({
-			updateOne: {
-				filter: { id: user.id },
-				update: { $set: user },
-				upsert: true
-			}
-		}));
+		if (conflict) return sendConflict(res, current);
 
-		const result = await User.bulkWrite(ops);
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: "User not found"
+			});
+		}
 
 		return res.status(200).json({
 			success: true,
-			message: "Sync completed",
-			result: {
-				matched: result.matchedCount,
-				modified: result.modifiedCount,
-				upserted: result.upsertedCount
-			}
+			message: "User updated successfully",
+			user
 		});
 
 	} catch (err) {
-		console.error(err);
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({
+				success: false,
+				message: err.message
+			});
+		}
+
+		console.error("Update user error:", err);
 		return res.status(500).json({
 			success: false,
-			message: "Sync failed",
+			message: "Failed to update user",
 			error: err.message
 		});
 	}
@@ -94,18 +151,9 @@ const syncUsers = async (req, res) => {
 
 const deleteUser = async (req, res) => {
   try {
-    const { id, email } = req.body;
-
-    if (!id && !email) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide id or email to delete the user"
-      });
-    }
-
-    const query = id ? { id: id } : { email: email };
+    const id = Number(req.params.id);
 
-    const result = await User.deleteOne(query);
+    const result = await User.deleteOne({ id });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({
@@ -132,8 +180,9 @@ const deleteUser = async (req, res) => {
 
 const user = {
 	getAllUsers,
+	getUser,
 	addUser,
-	syncUsers,
+	updateUser,
 	deleteUser,
 };
 
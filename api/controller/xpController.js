@@ -1,118 +1,183 @@
+import crypto from 'crypto'
 import Xp from '../model/xp.js'
+import XpTransaction from '../model/xpTransaction.js'
+import User from '../model/user.js'
+import { isAdmin, isSelf, forbidden } from '../middleware/policy.js'
+import { readRevision, sendConflict, sendRevisionRequired } from '../model/revision.js'
+import { awardXp, xpSummary } from '../services/xpService.js'
+
+// Totals of users who opted out of the leaderboard are only shown to them and admins
+const canSeeTotal = (viewer, user) => !user?.leaderboardOptOut || (viewer && (isAdmin(viewer) || isSelf(viewer, user.id)));
 
 const getAllXps = async (req, res) => {
   try {
-    const xps = await Xp.find({});
+    const optedOut = await User.find({ leaderboardOptOut: true }).select('id leaderboardOptOut');
+    const hidden = optedOut.filter(u => !canSeeTotal(req.user, u)).map(u => String(u.id));
+
+    const xps = await Xp.find({ userId: { $nin: hidden } });
     res.status(200).json(xps);
   } catch (err) {
     res.status(500).json({ error: 'Server Error' });
   }
 };
 
-const addXp = async (req, res) => {
+const getXp = async (req, res) => {
   try {
-    const { userId, points } = req.body;
+    const userId = String(req.params.userId);
 
-    if (!userId) {
-      return res.status(400).json({ error: 'UserId is required' });
+    const user = await User.findOne({ id: Number(userId) }).select('id leaderboardOptOut');
+    if (!canSeeTotal(req.user, user)) {
+      return res.status(404).json({
+        success: false,
+        message: "xp not found"
+      });
     }
 
-    const newXp = new Xp({
-      userId,
-      points
-    });
+    const xp = await Xp.findOne({ userId });
+    res.status(200).json(xp || { userId, points: 0 });
+  } catch (err) {
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
+
+const getTransactions = async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
 
-    const savedXp = await newXp.save();
+    if (!isAdmin(req.user) && !isSelf(req.user, userId)) {
+      return forbidden(res, "You can only see your own XP history");
+    }
 
-    res.status(201).json({
-      message: 'xp created successfully',
-      xp: savedXp,
-    });
+    const transactions = await XpTransaction.find({ userId }).sort({ createdAt: -1 });
+    res.status(200).json(transactions);
   } catch (err) {
-    console.error(err);
+    res.status(500).json({ error: 'Server Error' });
+  }
+};
 
-    if (err.code === 11000) {
-      return res.status(400).json({ error: 'Id already exists' });
+/**
+ * Manual award or deduction by an admin. Body: { amount, reason, key? }
+ * Sending the same key twice only records the first.
+ */
+const addTransaction = async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const { amount, reason, key } = req.body;
+
+    if (typeof amount !== 'number' || isNaN(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a non-zero number"
+      });
     }
 
-    res.status(500).json({ error: 'Server error' });
+    const result = await awardXp({
+      userId,
+      amount,
+      source: 'admin',
+      reason: reason || 'Manual adjustment',
+      key: key ? `admin:${key}` : `admin:${crypto.randomUUID()}`
+    });
+
+    return res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: result.duplicate ? "Transaction already recorded" : "Transaction recorded successfully",
+      transaction: result.transaction,
+      xp: xpSummary(result)
+    });
+
+  } catch (err) {
+    console.error("Add xp transaction error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to record transaction",
+      error: err.message
+    });
   }
 }
 
-const syncXps = async (req, res) => {
+/**
+ * Admins may set a total outright; the difference is recorded as an
+ * adjustment so the ledger still adds up. { points, rev }
+ */
+const updateXp = async (req, res) => {
   try {
-    const xps = req.body;
+    const userId = String(req.params.userId);
+    const { points } = req.body;
 
-    if (!Array.isArray(xps)) {
+    if (typeof points !== 'number' || isNaN(points) || points < 0) {
       return res.status(400).json({
         success: false,
-        message: "Request body must be an array"
+        message: "points must be a non-negative number"
       });
     }
 
-    if (xps.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: "Nothing to sync",
-        result: { matched: 0, upserted: 0 }
+    const rev = readRevision(req);
+    if (rev == null) return sendRevisionRequired(res);
+
+    const current = await Xp.findOne({ userId });
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "xp not found"
       });
     }
+    if ((current.rev ?? 0) !== rev) return sendConflict(res, current);
 
-    const ops = xps.map(xp => ({
-      updateOne: {
-        filter: { userId: xp.userId },
-        update: { $set: xp },
-        upsert: true
-      }
-    }));
+    await awardXp({
+      userId,
+      amount: points - current.points,
+      source: 'admin',
+      reason: `Total set to ${points}`,
+      key: `admin:set:${current.rev ?? 0}`
+    });
 
-    const result = await Xp.bulkWrite(ops);
+    const xp = await Xp.findOne({ userId });
 
     return res.status(200).json({
       success: true,
-      message: "Sync completed",
-      result: {
-        matched: result.matchedCount,
-        modified: result.modifiedCount,
-        upserted: result.upsertedCount
-      }
+      message: "xp updated successfully",
+      xp
     });
 
   } catch (err) {
-    console.error(err);
+    console.error("Update xp error:", err);
     return res.status(500).json({
       success: false,
-      message: "Sync failed",
+      message: "Failed to update xp",
       error: err.message
     });
   }
 }
 
+/**
+ * Reset a user's total to 0. The ledger is append-only, so the reset is
+ * recorded as one entry taking back everything instead of erasing history.
+ */
 const deleteXp = async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide userId to delete the xp"
-      });
-    }
+    const userId = String(req.params.userId);
 
-    const query = { userId };
-
-    const result = await Xp.deleteOne(query);
-
-    if (result.deletedCount === 0) {
+    const current = await Xp.findOne({ userId });
+    if (!current) {
       return res.status(404).json({
         success: false,
         message: "xp not found"
       });
     }
 
+    const result = await awardXp({
+      userId,
+      amount: -current.points,
+      source: 'admin',
+      reason: 'Total reset to 0',
+      key: `admin:reset:${current.rev ?? 0}`
+    });
+
     return res.status(200).json({
       success: true,
-      message: "xp deleted successfully"
+      message: "xp reset successfully",
+      xp: xpSummary(result)
     });
 
   } catch (error) {
@@ -125,11 +190,12 @@ const deleteXp = async (req, res) => {
   }
 }
 
-
 const xp = {
   getAllXps,
-  addXp,
-  syncXps,
+  getXp,
+  getTransactions,
+  addTransaction,
+  updateXp,
   deleteXp,
 };
 
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import Session from '../model/session.js';
+import User from '../model/user.js';
+import { requiresTwoFactor, hasTwoFactor } from './policy.js';
+
+export const SESSION_COOKIE = 'cp_session';
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const idx = part.indexOf('=');
+    if (idx === -1) return cookies;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (key) cookies[key] = decodeURIComponent(value);
+    return cookies;
+  }, {});
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Create a session for the user and set the HttpOnly cookie on the response.
+ * @returns {Promise<string>} the raw session token
+ */
+export async function issueSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await Session.create({
+    tokenHash: hashToken(token),
+    userId: user.id,
+    userAgent: req.headers['user-agent'],
+    expiresAt
+  });
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: expiresAt
+  });
+
+  return token;
+}
+
+export async function destroySession(req, res) {
+  const token = readToken(req);
+  if (token) await Session.deleteOne({ tokenHash: hashToken(token) });
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Resolve the caller from the session cookie (or bearer token).
+ * Never rejects: anonymous requests simply continue without req.user.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const token = readToken(req);
+    if (!token) return next();
+
+    const session = await Session.findOne({ tokenHash: hashToken(token) });
+    if (!session || session.expiresAt < new Date()) return next();
+
+    const user = await User.findOne({ id: session.userId });
+    if (!user) return next();
+
+    // Sessions issued before the account's role required two-factor no longer count
+    if (requiresTwoFactor(user) && !hasTwoFactor(user)) return next();
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+  next();
+}
@@ -0,0 +1,66 @@
+// Role-based access rules shared by every /api router.
+// Routers use allowRoles() for coarse gating; controllers use the
+// predicates below for record-level checks (ownership, self-only writes).
+
+export const ROLES = ['user', 'student', 'instructor', 'admin'];
+
+export const isAdmin = (user) => user?.role === 'admin';
+
+export const isInstructor = (user) => user?.role === 'instructor';
+
+export const isStaff = (user) => isAdmin(user) || isInstructor(user);
+
+export const isSelf = (user, userId) => user != null && String(user.id) === String(userId);
+
+// Roles that may not sign in without a second factor
+export const TWO_FACTOR_ROLES = ['admin'];
+
+export const requiresTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user?.role);
+
+export const hasTwoFactor = (user) => Boolean(user?.twoFactor?.enabled);
+
+/**
+ * Courses created before instructorId existed only carry the instructor's name.
+ * @param {object} user
+ * @param {{instructorId?: number, instructor?: string}} course
+ * @returns {boolean}
+ */
+export const ownsCourse = (user, course) => {
+  if (!user || !course) return false;
+  if (course.instructorId != null) return Number(course.instructorId) === Number(user.id);
+  return course.instructor === user.name;
+};
+
+export const canManageCourse = (user, course) => isAdmin(user) || (isInstructor(user) && ownsCourse(user, course));
+
+/**
+ * Gate a route to authenticated callers holding one of the given roles.
+ * With no roles, any authenticated caller passes.
+ * @param {...string} roles
+ */
+export function allowRoles(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required"
+      });
+    }
+
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action"
+      });
+    }
+
+    next();
+  };
+}
+
+export function forbidden(res, message = "You do not have permission to perform this action") {
+  return res.status(403).json({
+    success: false,
+    message
+  });
+}
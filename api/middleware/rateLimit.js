@@ -0,0 +1,43 @@
+// Fixed-window request limiting kept in memory. Enough for a single
+// server; several instances would each count separately.
+
+/**
+ * @param {object} options
+ * @param {number} options.windowMs - length of a window
+ * @param {number} options.max - requests allowed per key and window
+ * @param {(req) => string} [options.key] - who is being limited (the client's IP by default)
+ * @param {string} [options.message]
+ */
+export function rateLimit({ windowMs, max, key = req => req.ip, message = "Too many requests, please try again later" }) {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, k) => { if (entry.resetAt <= now) hits.delete(k); });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const k = key(req);
+    let entry = hits.get(k);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Who did what to which record. Entries are only ever added
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. "order.refunded"; the prefix names the kind of record
+    action: { type: String, required: true },
+    // null when the system acted on its own
+    actorId: { type: Number, default: null },
+    targetType: { type: String, required: true },
+    targetId: { type: String, required: true },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+auditLogSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+auditLogSchema.set("toObject", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
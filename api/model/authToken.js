@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { hashToken } from '../middleware/auth.js';
+
+export const TOKEN_PURPOSES = ['verify-email', 'reset-password', 'two-factor'];
+
+// Single-use tokens sent by email, or handed out between the password and
+// two-factor steps of a login. Only the hash is stored, like sessions.
+const authTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: Number, required: true, index: true },
+    purpose: { type: String, required: true, enum: TOKEN_PURPOSES },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true, expires: 0 }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/**
+ * Create a token for the user, replacing any unused one with the same purpose
+ * so only the latest email works.
+ * @param {number} userId
+ * @param {'verify-email'|'reset-password'|'two-factor'} purpose
+ * @param {number} ttlMs
+ * @returns {Promise<string>} the raw token to put in the link
+ */
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    tokenHash: hashToken(token),
+    userId,
+    purpose,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+const usableFilter = (token, purpose) => ({
+  tokenHash: hashToken(String(token)),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Look a token up without using it
+ * @param {string} token
+ * @param {'verify-email'|'reset-password'|'two-factor'} purpose
+ * @returns {Promise<object|null>} the token record, or null when it is unknown, used or expired
+ */
+authTokenSchema.statics.findUsable = function (token, purpose) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne(usableFilter(token, purpose));
+};
+
+/**
+ * Use up a token. Marking it used in the same update that finds it means
+ * two requests with the same link cannot both succeed.
+ * @param {string} token
+ * @param {'verify-email'|'reset-password'|'two-factor'} purpose
+ * @returns {Promise<object|null>} the token record, or null when it is unknown, used or expired
+ */
+authTokenSchema.statics.consume = function (token, purpose) {
+  if (!token) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    usableFilter(token, purpose),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('AuthToken', authTokenSchema);
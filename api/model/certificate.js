@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Enrollment from './enrollment.js';
+
+const certificateSchema = new mongoose.Schema(
+  {
+    // Public identifier printed on the certificate; random so ids cannot be guessed
+    certificateId: { type: String, required: true, unique: true },
+    userId: { type: String, required: true },
+    courseId: { type: String, required: true },
+    // Names are copied at issue time so the certificate reads the same forever
+    studentName: { type: String, required: true },
+    courseTitle: { type: String, required: true },
+    instructorName: { type: String, required: true },
+    issuedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null }
+  },
+  {
+    versionKey: false
+  }
+);
+
+certificateSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+
+/**
+ * Issue the certificate for a finished course, or return the one already issued.
+ * A certificate revoked before the student's current enrollment (a refund,
+ * then a new purchase) is issued again under a new id; one revoked since stays revoked.
+ * @param {{id: number, name: string}} user
+ * @param {{id: number, title: string, instructor: string}} course
+ * @returns {Promise<import('mongoose').Document>}
+ */
+certificateSchema.statics.issueFor = async function (user, course) {
+  const filter = { userId: String(user.id), courseId: String(course.id) };
+  const issue = () => ({
+    certificateId: `CERT-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+    studentName: user.name,
+    courseTitle: course.title,
+    instructorName: course.instructor,
+    issuedAt: new Date()
+  });
+
+  const enrollment = await Enrollment.findOne({ userId: user.id, courseId: course.id, status: 'active' });
+  if (enrollment) {
+    const reissued = await this.findOneAndUpdate(
+      { ...filter, revokedAt: { $lt: enrollment.enrolledAt } },
+      { $set: { ...issue(), revokedAt: null } },
+      { new: true }
+    );
+    if (reissued) return reissued;
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    { $setOnInsert: { ...filter, ...issue() } },
+    { new: true, upsert: true }
+  );
+};
+
+certificateSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+certificateSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import revision from './revision.js';
+
+export const COUPON_TYPES = ['percent', 'fixed'];
+
+// Codes are stored upper-case so buyers can type them any way
+export const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// One use of the coupon. orderId is null when the coupon made the course free
+const redemptionSchema = new mongoose.Schema(
+  {
+    // Identifies the use so giving it back never takes another with it
+    ref: { type: String, required: true },
+    userId: { type: Number, required: true },
+    courseId: { type: Number, required: true },
+    orderId: { type: Number, default: null },
+    redeemedAt: { type: Date, default: Date.now }
+  },
+  {
+    _id: false
+  }
+);
+
+const couponSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true, unique: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    type: { type: String, required: true, enum: COUPON_TYPES },
+    // Percent off (1-100) or an amount in the course's currency
+    value: { type: Number, required: true, min: 0 },
+    // Empty lists mean the coupon works on every course
+    courseIds: { type: [Number], default: [] },
+    categories: { type: [String], default: [], lowercase: true, trim: true },
+    startsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    // null means no limit
+    maxUses: { type: Number, default: null, min: 1 },
+    maxUsesPerUser: { type: Number, default: 1, min: 1 },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Number, default: null },
+    // Kept on the coupon so the limits can be checked and taken in one update
+    redemptions: { type: [redemptionSchema], default: [] }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// Redeeming and releasing uses are not edits to the coupon
+couponSchema.plugin(revision, { counters: ['redemptions'] });
+
+couponSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    ret.uses = ret.redemptions.length;
+    delete ret.redemptions;
+    return ret;
+  }
+});
+
+couponSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Coupon', couponSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import revision from './revision.js';
 
 const courseSchema = new mongoose.Schema(
   {
@@ -6,6 +7,7 @@ const courseSchema = new mongoose.Schema(
     title: { type: String, required: true, trim: true },
     description: { type: String, required: true },
     instructor: { type: String, required: true },
+    instructorId: { type: Number },
     category: { type: String, required: true, trim: true },
     price: { type: Number, required: true, min: 0 },
     enrolled: { type: Number, default: 0, min: 0 },
@@ -26,6 +28,9 @@ const courseSchema = new mongoose.Schema(
   { versionKey: false }
 );
 
+// Page views are counted on the course but are not edits to it
+courseSchema.plugin(revision, { counters: ['visits'] });
+
 courseSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret._id;
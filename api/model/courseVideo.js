@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import revision from './revision.js';
 
 const videoSchema = new mongoose.Schema(
   {
@@ -35,6 +36,8 @@ const courseVideosSchema = new mongoose.Schema(
   }
 );
 
+courseVideosSchema.plugin(revision);
+
 courseVideosSchema.set('toJSON', {
   transform: (doc, ret) => {
     delete ret._id;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// How the student got into the course. legacy marks rosters from before
+// enrollments were recorded (see scripts/backfillEnrollments.js).
+export const ENROLLMENT_SOURCES = ['free', 'purchase', 'coupon', 'admin', 'legacy'];
+
+export const ENROLLMENT_STATUSES = ['active', 'revoked'];
+
+// The record of truth for who may take a course. Course.students and
+// User.enrolledCourses are copies kept for the existing readers.
+const enrollmentSchema = new mongoose.Schema(
+  {
+    userId: { type: Number, required: true },
+    courseId: { type: Number, required: true, index: true },
+    source: { type: String, required: true, enum: ENROLLMENT_SOURCES },
+    status: { type: String, enum: ENROLLMENT_STATUSES, default: 'active' },
+    // The captured order, for purchases
+    orderId: { type: Number, default: null },
+    couponCode: { type: String, default: null },
+    // The admin who granted it, for admin grants
+    grantedBy: { type: Number, default: null },
+    enrolledAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+  },
+  {
+    versionKey: false,
+    timestamps: true
+  }
+);
+
+// One record per student and course; re-enrolling after a revocation reuses it
+enrollmentSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+
+enrollmentSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+enrollmentSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Enrollment', enrollmentSchema);
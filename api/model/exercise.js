@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import revision from './revision.js';
+
+export const QUESTION_TYPES = ['single', 'multiple', 'short', 'code-output'];
+
+// The most XP a single exercise can pay out
+export const MAX_XP_REWARD = 100;
+
+/*
+ * answer holds what counts as correct, per question type:
+ *  - single:      index of the right option
+ *  - multiple:    indexes of every right option
+ *  - short:       accepted answers (compared case-insensitively)
+ *  - code-output: accepted outputs of `code` (compared line by line)
+ */
+const questionSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, enum: QUESTION_TYPES },
+    prompt: { type: String, required: true, trim: true },
+    code: { type: String, default: null },
+    options: { type: [String], default: [] },
+    answer: { type: mongoose.Schema.Types.Mixed, required: true },
+    points: { type: Number, default: 1, min: 0 }
+  },
+  {
+    _id: false
+  }
+);
+
+const exerciseSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true, unique: true },
+    courseId: { type: String, required: true, index: true },
+    topic: { type: String, default: '', trim: true },
+    title: { type: String, required: true, trim: true },
+    // The quiz is shown after this chapter (1-based) on the course page
+    afterChapter: { type: Number, default: 1, min: 0 },
+    questions: { type: [questionSchema], default: [] },
+    // 0 means unlimited attempts
+    maxAttempts: { type: Number, default: 3, min: 0 },
+    passPercent: { type: Number, default: 70, min: 0, max: 100 },
+    xpReward: { type: Number, default: 20, min: 0, max: MAX_XP_REWARD }
+  },
+  {
+    versionKey: false
+  }
+);
+
+exerciseSchema.plugin(revision);
+
+exerciseSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+exerciseSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Exercise', exerciseSchema);
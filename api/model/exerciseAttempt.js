@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const exerciseAttemptSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    exerciseId: { type: Number, required: true },
+    courseId: { type: String, required: true },
+    attemptNumber: { type: Number, required: true, min: 1 },
+    answers: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Per question: whether it was right and the points it earned
+    results: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    score: { type: Number, default: 0 },
+    maxScore: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 },
+    passed: { type: Boolean, default: false },
+    xpAwarded: { type: Number, default: 0 },
+    submittedAt: { type: Date, default: Date.now }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// One document per attempt number, so parallel submissions cannot exceed the limit
+exerciseAttemptSchema.index({ userId: 1, exerciseId: 1, attemptNumber: 1 }, { unique: true });
+
+exerciseAttemptSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+exerciseAttemptSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('ExerciseAttempt', exerciseAttemptSchema);
@@ -1,9 +1,13 @@
 import mongoose from 'mongoose';
+import revision from './revision.js';
 
 const singleFeedbackSchema = new mongoose.Schema({
   userId: { type: String },
   stars: { type: Number, min: 1, max: 5 },
-  comment: { type: String }
+  comment: { type: String },
+  // Reviews are edited individually, so each one carries its own revision
+  rev: { type: Number, default: 0, min: 0 },
+  updatedAt: { type: Date, default: Date.now }
 },
 {
   versionKey: false
@@ -34,6 +38,8 @@ const feedbackSchema = new mongoose.Schema(
   }
 );
 
+feedbackSchema.plugin(revision);
+
 feedbackSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret._id;
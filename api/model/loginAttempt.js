@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Failed logins counted per account (email) and per client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    kind: { type: String, required: true, enum: ['email', 'ip'] },
+    // Lowercased email or the IP address
+    value: { type: String, required: true },
+    // Failures since the last success or lockout
+    failures: { type: Number, default: 0 },
+    // How many times this key has been locked; each lockout lasts twice as long as the last
+    lockouts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    lastFailureAt: { type: Date, default: null },
+    // A quiet day wipes the record, and with it the lockout history
+    expiresAt: { type: Date, required: true, expires: 0 }
+  },
+  {
+    versionKey: false
+  }
+);
+
+loginAttemptSchema.index({ kind: 1, value: 1 }, { unique: true });
+
+loginAttemptSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+loginAttemptSchema.set("toObject", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
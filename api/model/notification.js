@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['info', 'course', 'review', 'badge'];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, default: 'info' },
+    message: { type: String, required: true, trim: true },
+    // Page the notification points at, relative to the site root
+    link: { type: String, default: null },
+    isRead: { type: Boolean, default: false },
+    readAt: { type: Date, default: null }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+notificationSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+notificationSchema.set("toObject", {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Notification', notificationSchema);
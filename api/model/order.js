@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+export const ORDER_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'refunded'];
+
+export const PAYMENT_METHODS = ['card', 'paypal', 'vodafone'];
+
+export const REFUND_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Which statuses each step may start from; controllers move orders with
+// conditional updates on these so two requests cannot both take a step
+export const TRANSITIONS = {
+  authorize: ['pending'],
+  capture: ['authorized'],
+  fail: ['pending', 'authorized'],
+  refund: ['captured']
+};
+
+// One call to the payment provider and what it answered
+const transactionSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, enum: ['authorize', 'capture', 'void', 'refund'] },
+    succeeded: { type: Boolean, required: true },
+    amount: { type: Number, required: true },
+    reference: { type: String, default: null },
+    message: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+  },
+  {
+    _id: false
+  }
+);
+
+// A buyer asking for their money back; an admin approves or rejects it
+const refundRequestSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: REFUND_REQUEST_STATUSES, default: 'pending' },
+    reason: { type: String, default: '', trim: true },
+    // Course progress when the request was made, shown to the admin deciding it
+    progress: { type: Number, default: 0 },
+    requestedAt: { type: Date, default: Date.now },
+    decidedBy: { type: Number, default: null },
+    decidedAt: { type: Date, default: null },
+    note: { type: String, default: null }
+  },
+  {
+    _id: false
+  }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true, unique: true },
+    userId: { type: Number, required: true, index: true },
+    courseId: { type: Number, required: true, index: true },
+    // Copied when the order is placed so earnings and receipts survive course edits
+    courseTitle: { type: String, required: true },
+    instructorId: { type: Number, default: null, index: true },
+    // Priced by the server when the order is placed: subtotal - discount = amount
+    subtotal: { type: Number, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    couponCode: { type: String, default: null },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: 'USD' },
+    method: { type: String, required: true, enum: PAYMENT_METHODS },
+    // What the buyer can recognise the payment by, e.g. the last four card digits; never full details
+    methodLabel: { type: String, default: null },
+    provider: { type: String, required: true },
+    status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+    // The provider's id for the hold; capture, void and refund all refer to it
+    authorizationRef: { type: String, default: null },
+    failureReason: { type: String, default: null },
+    // Set while the provider is being called, so a double click cannot pay twice
+    processingAt: { type: Date, default: null },
+    capturedAt: { type: Date, default: null },
+    refundedAt: { type: Date, default: null },
+    // One request per order; a rejected one is final
+    refundRequest: { type: refundRequestSchema, default: null },
+    transactions: { type: [transactionSchema], default: [] }
+  },
+  {
+    versionKey: false,
+    timestamps: true
+  }
+);
+
+orderSchema.index({ status: 1, createdAt: -1 });
+
+orderSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+orderSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Order', orderSchema);
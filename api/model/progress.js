@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import revision from './revision.js';
+
+// Share of a video that has to be watched before its chapter counts as done
+export const COMPLETION_THRESHOLD = 90;
+
+// Watch state of a single chapter video
+const videoWatchSchema = new mongoose.Schema(
+  {
+    videoId: { type: String, required: true },
+    startedAt: { type: Date, default: Date.now },
+    watched: { type: Number, default: 0, min: 0, max: 100 },
+    completedAt: { type: Date, default: null }
+  },
+  {
+    _id: false
+  }
+);
+
+const progressSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    courseId: { type: String, required: true },
+    // Videos are identified by their Vimeo id, one video per chapter
+    completedVideos: { type: [String], default: [] },
+    videos: { type: [videoWatchSchema], default: [] },
+    lastVideo: { type: String, default: null },
+    progress: { type: Number, default: 0, min: 0, max: 100 },
+    // The highest progress ever reached; a reset leaves it alone
+    bestProgress: { type: Number, default: 0, min: 0, max: 100 },
+    completedAt: { type: Date, default: null }
+  },
+  {
+    versionKey: false
+  }
+);
+
+progressSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+progressSchema.index({ courseId: 1 });
+
+progressSchema.plugin(revision);
+
+progressSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+progressSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Progress', progressSchema);
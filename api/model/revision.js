@@ -0,0 +1,95 @@
+// Schema plugin: every document carries a `rev` counter plus timestamps.
+// `rev` is bumped on every write so clients can send the revision they
+// last saw and the server can refuse a write based on a stale copy.
+// Paths listed in `counters` (e.g. view counts) are not edits anyone makes,
+// so an update that only touches them leaves `rev` alone.
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const TIMESTAMP_PATHS = ['createdAt', 'updatedAt'];
+
+// Paths an update writes, leaving out the timestamps mongoose adds itself
+const touchedPaths = (operators) => Object.values(operators)
+  .flatMap(fields => Object.keys(fields || {}))
+  .filter(path => !TIMESTAMP_PATHS.includes(path));
+
+function bumpRevision(counters) {
+  return function () {
+    const update = this.getUpdate() || {};
+    if (Array.isArray(update) || update.$inc?.rev != null || update.$set?.rev != null) return;
+
+    // A bare replacement object ({ field: value }) is treated as $set by mongoose
+    const operators = Object.keys(update).some(key => key.startsWith('$'))
+      ? update
+      : { $set: update };
+
+    const paths = touchedPaths(operators);
+    if (paths.length > 0 && paths.every(path => counters.includes(path))) return;
+
+    this.setUpdate({ ...operators, $inc: { ...(operators.$inc || {}), rev: 1 } });
+  };
+}
+
+/**
+ * @param {import('mongoose').Schema} schema
+ * @param {{counters?: string[]}} [options]
+ */
+export default function revision(schema, { counters = [] } = {}) {
+  schema.add({ rev: { type: Number, default: 0, min: 0 } });
+  schema.set('timestamps', true);
+
+  schema.pre('save', function () {
+    if (!this.isNew) this.rev = (this.rev || 0) + 1;
+  });
+
+  UPDATE_HOOKS.forEach(hook => schema.pre(hook, bumpRevision(counters)));
+}
+
+/**
+ * Apply `update` only if the stored document is still at `expectedRev`.
+ * @param {import('mongoose').Model} Model
+ * @param {object} filter - identifies the record, e.g. { id }
+ * @param {object} update - mongo update operators
+ * @param {number} expectedRev - revision the client based its edit on
+ * @returns {Promise<{doc: object|null, conflict: boolean, current: object|null}>}
+ */
+export async function updateIfCurrent(Model, filter, update, expectedRev) {
+  // Documents written before revisions existed have no rev field; treat them as 0
+  const revFilter = Number(expectedRev) === 0 ? { $in: [0, null] } : Number(expectedRev);
+
+  const doc = await Model.findOneAndUpdate(
+    { ...filter, rev: revFilter },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (doc) return { doc, conflict: false, current: doc };
+
+  const current = await Model.findOne(filter);
+  return { doc: null, conflict: current != null, current };
+}
+
+/**
+ * Read the client's base revision from the body or an If-Match header.
+ * @returns {number|null}
+ */
+export function readRevision(req) {
+  const raw = req.body?.rev ?? req.get('If-Match');
+  if (raw == null || raw === '') return null;
+  const rev = Number(String(raw).replace(/"/g, ''));
+  return Number.isInteger(rev) && rev >= 0 ? rev : null;
+}
+
+export function sendConflict(res, current) {
+  return res.status(409).json({
+    success: false,
+    message: "This record was changed by someone else. Reload and try again.",
+    current
+  });
+}
+
+export function sendRevisionRequired(res) {
+  return res.status(428).json({
+    success: false,
+    message: "rev is required to update this record"
+  });
+}
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // sha256 of the cookie value; the raw token never touches the database
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: Number, required: true, index: true },
+    userAgent: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 }
+  },
+  {
+    versionKey: false
+  }
+);
+
+sessionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A streak that ended, kept for the longest-streak history
+const pastStreakSchema = new mongoose.Schema(
+  {
+    startDay: { type: String, required: true },
+    endDay: { type: String, required: true },
+    length: { type: Number, required: true }
+  },
+  {
+    _id: false
+  }
+);
+
+const streakSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, unique: true },
+    // Days are YYYY-MM-DD in the user's timezone
+    current: { type: Number, default: 0, min: 0 },
+    startDay: { type: String, default: null },
+    lastActiveDay: { type: String, default: null },
+    longest: { type: Number, default: 0, min: 0 },
+    freezeTokens: { type: Number, default: 1, min: 0 },
+    frozenDays: { type: [String], default: [] },
+    history: { type: [pastStreakSchema], default: [] }
+  },
+  {
+    versionKey: false,
+    timestamps: true
+  }
+);
+
+streakSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+streakSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('Streak', streakSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import revision from './revision.js';
+
+export const TICKET_STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+
+const replySchema = new mongoose.Schema(
+  {
+    authorId: { type: Number, default: null },
+    authorName: { type: String, required: true },
+    // Staff replies are emailed to the requester; the requester's own are not
+    fromStaff: { type: Boolean, default: false },
+    message: { type: String, required: true, trim: true },
+    createdAt: { type: Date, default: Date.now }
+  },
+  {
+    _id: false
+  }
+);
+
+const supportTicketSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    message: { type: String, required: true, trim: true },
+    // Set when the requester was signed in, so they can follow the ticket
+    userId: { type: Number, default: null },
+    status: { type: String, enum: TICKET_STATUSES, default: 'open' },
+    // Id of the admin handling the ticket
+    assignee: { type: Number, default: null },
+    replies: { type: [replySchema], default: [] }
+  },
+  {
+    versionKey: false
+  }
+);
+
+supportTicketSchema.plugin(revision);
+
+supportTicketSchema.index({ status: 1, createdAt: -1 });
+
+supportTicketSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+supportTicketSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('SupportTicket', supportTicketSchema);
@@ -1,23 +1,91 @@
 import mongoose from 'mongoose';
+import revision from './revision.js';
+import bcrypt from 'bcryptjs';
+import { isValidTimeZone } from '../utils/dates.js';
+
+const SALT_ROUNDS = 10;
 
 const userSchema = new mongoose.Schema(
   {
     id: { type: Number, required: true, unique: true },
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true},
+    email: { type: String, required: true, unique: true, trim: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    role: { type: String, enum: ['user', 'student', 'instructor', 'admin'], default: 'student' },
     enrolledCourses: [{ type: Number, required: true }],
     lastActive: { type: String },
+    // false until the emailed link is opened; accounts from before
+    // verification existed have no value and are treated as verified
+    emailVerified: { type: Boolean },
+    // Authenticator app codes, checked after the password. Never leaves the server.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String },
+      // Set by setup and only moved to secret once a code from it is confirmed
+      pendingSecret: { type: String },
+      // sha256 of each unused backup code
+      backupCodes: [{ type: String }],
+      // Step of the last accepted code, so a code cannot be replayed
+      lastUsedStep: { type: Number }
+    },
+    // Hides the user from every leaderboard
+    leaderboardOptOut: { type: Boolean, default: false },
+    // IANA timezone used to decide which calendar day activity falls on
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: { validator: isValidTimeZone, message: 'timezone must be an IANA timezone name' }
+    },
   },
   {
     versionKey: false
   }
 );
 
+// Hash on every save that touches the password, so controllers never store plaintext
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || isHashed(this.password)) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+/**
+ * Compare a plaintext candidate against the stored password.
+ * Accounts written before hashing was introduced still hold plaintext;
+ * those are matched directly and re-hashed on the next save.
+ * @param {string} candidate
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.comparePassword = async function (candidate) {
+  if (!candidate || !this.password) return false;
+  if (!isHashed(this.password)) return candidate === this.password;
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Case-insensitive email lookup; stored emails keep the casing they were registered with.
+ * @param {string} email
+ */
+userSchema.statics.findByEmail = function (email) {
+  return this.findOne({ email: String(email || '').trim() })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+userSchema.methods.needsRehash = function () {
+  return !isHashed(this.password);
+};
+
+function isHashed(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
+userSchema.plugin(revision);
+
 userSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret._id;
+    delete ret.password;
+    ret.twoFactorEnabled = Boolean(ret.twoFactor?.enabled);
+    delete ret.twoFactor;
     return ret;
   }
 });
@@ -25,8 +93,11 @@ userSchema.set("toJSON", {
 userSchema.set("toObject", {
   transform: (doc, ret) => {
     delete ret._id;
+    delete ret.password;
+    ret.twoFactorEnabled = Boolean(ret.twoFactor?.enabled);
+    delete ret.twoFactor;
     return ret;
   }
 });
 
-export default mongoose.model('User', userSchema);
\ No newline at end of file
+export default mongoose.model('User', userSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// An achievement a user has unlocked; the rules themselves live in services/achievementService.js
+const userBadgeSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    badgeKey: { type: String, required: true },
+    unlockedAt: { type: Date, default: Date.now }
+  },
+  {
+    versionKey: false
+  }
+);
+
+userBadgeSchema.index({ userId: 1, badgeKey: 1 }, { unique: true });
+
+userBadgeSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+userBadgeSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('UserBadge', userBadgeSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import revision from './revision.js';
 
 const xpSchema = new mongoose.Schema(
   {
@@ -10,6 +11,8 @@ const xpSchema = new mongoose.Schema(
   }
 );
 
+xpSchema.plugin(revision);
+
 xpSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret._id;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+export const XP_SOURCES = ['progress', 'feedback', 'certificate', 'quiz', 'admin'];
+
+// Append-only: every award or adjustment is its own document and is never edited
+const xpTransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    source: { type: String, required: true, enum: XP_SOURCES },
+    reason: { type: String, default: '' },
+    // Course the XP was earned in, for per-course leaderboards (null for admin adjustments)
+    courseId: { type: String, default: null },
+    // Identifies the event that earned the XP, so replays never pay twice
+    idempotencyKey: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  },
+  {
+    versionKey: false
+  }
+);
+
+xpTransactionSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true });
+xpTransactionSchema.index({ userId: 1, createdAt: -1 });
+xpTransactionSchema.index({ createdAt: -1, courseId: 1 });
+
+xpTransactionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+xpTransactionSchema.set("toObject", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    return ret;
+  }
+});
+
+export default mongoose.model('XpTransaction', xpTransactionSchema);
@@ -0,0 +1,10 @@
+import express from 'express';
+const router = express.Router();
+import achievementController from '../controller/achievementController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', achievementController.getCatalog);
+router.get('/me', allowRoles(), achievementController.getUserBadges);
+router.get('/users/:userId', allowRoles(), achievementController.getUserBadges);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+const router = express.Router();
+import authController from '../controller/authController.js';
+import twoFactorController from '../controller/twoFactorController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// Each of these sends an email; keep them from being used to flood inboxes
+const emailLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 5, message: "Too many emails requested, please try again later" });
+
+// Bursts are cut off here; sustained guessing is handled by the lockouts in services/loginGuard.js
+const loginLimit = rateLimit({ windowMs: 60 * 1000, max: 30, message: "Too many login attempts, please slow down" });
+
+router.post('/register', authController.register);
+router.post('/login', loginLimit, authController.login);
+router.post('/logout', authController.logout);
+router.get('/me', requireAuth, authController.me);
+router.post('/password', requireAuth, authController.changePassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/verify-email/resend', emailLimit, authController.resendVerification);
+router.post('/forgot-password', emailLimit, authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+
+// Two-factor: verify finishes a login; setup and enable also accept a login challenge
+router.post('/2fa/verify', loginLimit, twoFactorController.verify);
+router.post('/2fa/setup', twoFactorController.setup);
+router.post('/2fa/enable', loginLimit, twoFactorController.enable);
+router.post('/2fa/disable', requireAuth, twoFactorController.disable);
+router.post('/2fa/backup-codes', requireAuth, twoFactorController.regenerateBackupCodes);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+const router = express.Router();
+import certificateController from '../controller/certificateController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', allowRoles('admin'), certificateController.getAllCertificates);
+router.get('/me', allowRoles(), certificateController.getMyCertificates);
+router.post('/', allowRoles(), certificateController.issueCertificate);
+router.get('/:id/verify', certificateController.verifyCertificate);
+router.get('/:id/download', certificateController.downloadCertificate);
+router.post('/:id/revoke', allowRoles('admin'), certificateController.revokeCertificate);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+const router = express.Router();
+import contactController from '../controller/contactController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.post('/users/:id', allowRoles('admin'), contactController.messageUser);
+
+export default router;
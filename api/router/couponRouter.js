@@ -0,0 +1,21 @@
+import express from 'express';
+const router = express.Router();
+import couponController from '../controller/couponController.js';
+import { allowRoles } from '../middleware/policy.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// Keep codes from being guessed one after another
+const validateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  key: req => String(req.user.id),
+  message: "Too many coupon attempts, please try again later"
+});
+
+router.post('/validate', allowRoles(), validateLimit, couponController.validateCoupon);
+router.get('/', allowRoles('admin'), couponController.getCoupons);
+router.post('/', allowRoles('admin'), couponController.createCoupon);
+router.patch('/:id', allowRoles('admin'), couponController.updateCoupon);
+router.delete('/:id', allowRoles('admin'), couponController.deleteCoupon);
+
+export default router;
@@ -1,10 +1,14 @@
 import express from 'express';
 const router = express.Router();
 import courseController from '../controller/courseController.js';
+import { allowRoles } from '../middleware/policy.js';
 
 router.get('/', courseController.getAllCourses);
-router.post('/add', courseController.addCourse);
-router.post('/sync', courseController.syncCourses);
-router.delete('/delete', courseController.deleteCourse);
+router.get('/:id', courseController.getCourse);
+router.get('/:id/content', allowRoles(), courseController.getCourseContent);
+router.post('/', allowRoles('instructor', 'admin'), courseController.addCourse);
+router.patch('/:id', allowRoles('instructor', 'admin'), courseController.updateCourse);
+router.delete('/:id', allowRoles('instructor', 'admin'), courseController.deleteCourse);
+router.post('/:id/visits', courseController.recordVisit);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,10 +1,13 @@
 import express from 'express';
 const router = express.Router();
 import courseVideoController from '../controller/courseVideoController.js';
+import { allowRoles } from '../middleware/policy.js';
 
-router.get('/', courseVideoController.getAllCourseVideos);
-router.post('/add', courseVideoController.addCourseVideo);
-router.post('/sync', courseVideoController.syncCourseVideos);
-router.delete('/delete', courseVideoController.deleteCourseVideo);
+// Students read videos through GET /api/courses/:id/content, which checks enrollment
+router.get('/', allowRoles('instructor', 'admin'), courseVideoController.getAllCourseVideos);
+router.get('/:id', allowRoles('instructor', 'admin'), courseVideoController.getCourseVideo);
+router.post('/', allowRoles('instructor', 'admin'), courseVideoController.addCourseVideo);
+router.patch('/:id', allowRoles('instructor', 'admin'), courseVideoController.updateCourseVideo);
+router.delete('/:id', allowRoles('instructor', 'admin'), courseVideoController.deleteCourseVideo);
 
-export default router;
\ No newline at end of file
+export default router;
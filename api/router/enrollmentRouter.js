@@ -0,0 +1,11 @@
+import express from 'express';
+const router = express.Router();
+import enrollmentController from '../controller/enrollmentController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', allowRoles('admin'), enrollmentController.getEnrollments);
+router.get('/me', allowRoles(), enrollmentController.getMyEnrollments);
+router.post('/', allowRoles(), enrollmentController.createEnrollment);
+router.delete('/courses/:courseId/users/:userId', allowRoles('admin'), enrollmentController.revokeEnrollment);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+const router = express.Router();
+import eventController from '../controller/eventController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', allowRoles(), eventController.stream);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+const router = express.Router();
+import exerciseController from '../controller/exerciseController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', exerciseController.getAllExercises);
+router.get('/:id', exerciseController.getExercise);
+router.post('/', allowRoles('instructor', 'admin'), exerciseController.addExercise);
+router.patch('/:id', allowRoles('instructor', 'admin'), exerciseController.updateExercise);
+router.delete('/:id', allowRoles('instructor', 'admin'), exerciseController.deleteExercise);
+router.post('/:id/attempts', allowRoles(), exerciseController.submitAttempt);
+router.get('/:id/attempts', allowRoles(), exerciseController.getAttempts);
+
+export default router;
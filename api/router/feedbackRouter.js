@@ -1,10 +1,12 @@
 import express from 'express';
 const router = express.Router();
 import feedbackController from '../controller/feedbackController.js';
+import { allowRoles } from '../middleware/policy.js';
 
 router.get('/', feedbackController.getAllFeedbacks);
-router.post('/add', feedbackController.addFeedback);
-router.post('/sync', feedbackController.syncFeedbacks);
-router.delete('/delete', feedbackController.deleteFeedback);
+router.get('/:courseId', feedbackController.getFeedback);
+router.post('/', allowRoles(), feedbackController.addFeedback);
+router.patch('/:courseId', allowRoles(), feedbackController.updateFeedback);
+router.delete('/:courseId', allowRoles(), feedbackController.deleteFeedback);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,7 @@
+import express from 'express';
+const router = express.Router();
+import leaderboardController from '../controller/leaderboardController.js';
+
+router.get('/', leaderboardController.getLeaderboard);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+const router = express.Router();
+import lockoutController from '../controller/lockoutController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', allowRoles('admin'), lockoutController.getLockouts);
+router.delete('/:id', allowRoles('admin'), lockoutController.unlock);
+
+export default router;
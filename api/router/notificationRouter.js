@@ -0,0 +1,12 @@
+import express from 'express';
+const router = express.Router();
+import notificationController from '../controller/notificationController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/', allowRoles(), notificationController.getNotifications);
+router.get('/unread-count', allowRoles(), notificationController.getUnreadCount);
+router.patch('/read-all', allowRoles(), notificationController.markAllRead);
+router.patch('/:id/read', allowRoles(), notificationController.markRead);
+router.delete('/:id', allowRoles(), notificationController.deleteNotification);
+
+export default router;
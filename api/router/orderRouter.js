@@ -0,0 +1,38 @@
+import express from 'express';
+const router = express.Router();
+import orderController from '../controller/orderController.js';
+import { allowRoles } from '../middleware/policy.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { providerProblem } from '../services/payments/index.js';
+
+// Every attempt reaches the payment provider; cap how fast cards can be tried
+const paymentLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: req => String(req.user.id),
+  message: "Too many payment attempts, please try again later"
+});
+
+// Without a usable payment provider nothing can be paid or refunded; orders can still be read
+const requireProvider = (req, res, next) => {
+  if (!providerProblem()) return next();
+  return res.status(503).json({
+    success: false,
+    message: "Payments are unavailable right now, please try again later"
+  });
+};
+
+router.get('/', allowRoles('admin'), orderController.getOrders);
+router.get('/me', allowRoles(), orderController.getMyOrders);
+router.get('/refund-policy', orderController.getRefundPolicy);
+router.get('/:id', allowRoles(), orderController.getOrder);
+router.post('/', allowRoles(), requireProvider, orderController.createOrder);
+router.post('/:id/authorize', allowRoles(), requireProvider, paymentLimit, orderController.authorizeOrder);
+router.post('/:id/capture', allowRoles(), requireProvider, orderController.captureOrder);
+router.post('/:id/fail', allowRoles(), orderController.failOrder);
+router.post('/:id/refund', allowRoles('admin'), requireProvider, orderController.refundOrder);
+router.post('/:id/refund-request', allowRoles(), orderController.requestRefund);
+router.post('/:id/refund-request/approve', allowRoles('admin'), requireProvider, orderController.approveRefund);
+router.post('/:id/refund-request/reject', allowRoles('admin'), orderController.rejectRefund);
+
+export default router;
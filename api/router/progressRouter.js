@@ -0,0 +1,12 @@
+import express from 'express';
+const router = express.Router();
+import progressController from '../controller/progressController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/me', allowRoles(), progressController.getMyProgress);
+router.get('/users/:userId', allowRoles(), progressController.getUserProgress);
+router.get('/courses/:courseId', allowRoles('instructor', 'admin'), progressController.getCourseProgress);
+router.patch('/:courseId', allowRoles(), progressController.updateProgress);
+router.delete('/users/:userId/:courseId', allowRoles(), progressController.deleteProgress);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+const router = express.Router();
+import streakController from '../controller/streakController.js';
+import { allowRoles } from '../middleware/policy.js';
+
+router.get('/me', allowRoles(), streakController.getMyStreak);
+router.get('/:userId', allowRoles(), streakController.getStreak);
+
+export default router;
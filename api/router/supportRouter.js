@@ -0,0 +1,23 @@
+import express from 'express';
+const router = express.Router();
+import supportController from '../controller/supportController.js';
+import { allowRoles } from '../middleware/policy.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// The form is public; keep one sender from flooding the queue and the mailbox
+const ticketLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many messages, please try again in a few minutes"
+});
+
+const replyLimit = rateLimit({ windowMs: 60 * 1000, max: 10, key: req => String(req.user.id) });
+
+router.post('/', ticketLimit, supportController.createTicket);
+router.get('/', allowRoles('admin'), supportController.getTickets);
+router.get('/mine', allowRoles(), supportController.getMyTickets);
+router.get('/:id', allowRoles(), supportController.getTicket);
+router.patch('/:id', allowRoles('admin'), supportController.updateTicket);
+router.post('/:id/replies', allowRoles(), replyLimit, supportController.addReply);
+
+export default router;
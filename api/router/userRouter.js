@@ -1,10 +1,16 @@
 import express from 'express';
 const router = express.Router();
 import userController from '../controller/userController.js';
+import { allowRoles } from '../middleware/policy.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
-router.get('/', userController.getAllUsers);
-router.post('/add', userController.addUser);
-router.post('/sync', userController.syncUsers);
-router.delete('/delete', userController.deleteUser);
+// The user list is public; keep it from being scraped or hammered
+const userLimit = rateLimit({ windowMs: 60 * 1000, max: 60 });
 
-export default router;
\ No newline at end of file
+router.get('/', userLimit, userController.getAllUsers);
+router.get('/:id', userLimit, userController.getUser);
+router.post('/', userLimit, allowRoles('admin'), userController.addUser);
+router.patch('/:id', userLimit, allowRoles(), userController.updateUser);
+router.delete('/:id', userLimit, allowRoles('admin'), userController.deleteUser);
+
+export default router;
@@ -1,10 +1,13 @@
 import express from 'express';
 const router = express.Router();
 import xpController from '../controller/xpController.js';
+import { allowRoles } from '../middleware/policy.js';
 
 router.get('/', xpController.getAllXps);
-router.post('/add', xpController.addXp);
-router.post('/sync', xpController.syncXps);
-router.delete('/delete', xpController.deleteXp);
+router.get('/:userId', xpController.getXp);
+router.get('/:userId/transactions', allowRoles(), xpController.getTransactions);
+router.post('/:userId/transactions', allowRoles('admin'), xpController.addTransaction);
+router.patch('/:userId', allowRoles('admin'), xpController.updateXp);
+router.delete('/:userId', allowRoles('admin'), xpController.deleteXp);
 
-export default router;
\ No newline at end of file
+export default router;
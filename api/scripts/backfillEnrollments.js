@@ -0,0 +1,37 @@
+// One-off: record an enrollment for every student already on a course
+// roster, so rosters from before /api/enrollments existed have a record
+// like everyone else. Safe to run more than once.
+//
+//   npm run enrollments:backfill
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../config/config.js';
+import Course from '../model/course.js';
+import User from '../model/user.js';
+import Enrollment from '../model/enrollment.js';
+
+await connectDB();
+
+let created = 0;
+const courses = await Course.find({});
+
+for (const course of courses) {
+  for (const [userId, enrolledAt] of course.students) {
+    const id = Number(userId);
+    if (!Number.isInteger(id)) continue;
+
+    const result = await Enrollment.updateOne(
+      { userId: id, courseId: course.id },
+      { $setOnInsert: { source: 'legacy', status: 'active', enrolledAt: new Date(enrolledAt || course.createdAt || Date.now()) } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+
+    // The user's list was kept by the browser and may have missed the course
+    await User.updateOne({ id }, { $addToSet: { enrolledCourses: course.id } });
+  }
+}
+
+console.log(`Recorded ${created} enrollment(s) across ${courses.length} course(s)`);
+await mongoose.disconnect();
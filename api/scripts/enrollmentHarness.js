@@ -0,0 +1,109 @@
+// Check that an admin revocation sticks: a student whose enrollment was
+// revoked cannot get back in by sending their paid order again.
+// Starts the enrollments router with stand-in users against the database
+// in MONGODB_URI (use a scratch one), and removes what it created.
+//
+//   npm run enrollments:harness
+
+import 'dotenv/config';
+import express from 'express';
+import mongoose from 'mongoose';
+import connectDB from '../config/config.js';
+import enrollmentRouter from '../router/enrollmentRouter.js';
+import Course from '../model/course.js';
+import User from '../model/user.js';
+import Order from '../model/order.js';
+import Enrollment from '../model/enrollment.js';
+import Notification from '../model/notification.js';
+import UserBadge from '../model/userBadge.js';
+import AuditLog from '../model/auditLog.js';
+
+await connectDB();
+
+// Ids far above anything the app hands out
+const base = 900000000 + Math.floor(Math.random() * 1000000);
+const USERS = {
+  admin: { id: base, role: 'admin', name: 'Harness Admin', email: `admin-${base}@example.com` },
+  student: { id: base + 1, role: 'student', name: 'Harness Student', email: `student-${base}@example.com` }
+};
+const courseId = base;
+const orderId = base;
+
+await User.create({ ...USERS.student, password: 'x' });
+await Course.create({
+  id: courseId,
+  title: 'Harness course',
+  description: 'Created by enrollmentHarness.js',
+  instructor: 'Harness Admin',
+  category: 'test',
+  price: 10,
+  status: 'Approved',
+  duration: '1h'
+});
+await Order.create({
+  id: orderId,
+  userId: USERS.student.id,
+  courseId,
+  courseTitle: 'Harness course',
+  subtotal: 10,
+  amount: 10,
+  method: 'card',
+  provider: 'fake',
+  status: 'captured',
+  capturedAt: new Date()
+});
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = USERS[req.query.as];
+  next();
+});
+app.use('/api/enrollments', enrollmentRouter);
+
+const server = app.listen(0);
+const port = await new Promise(resolve => server.on('listening', () => resolve(server.address().port)));
+
+const call = async (as, method, path, body) => {
+  const res = await fetch(`http://127.0.0.1:${port}/api/enrollments${path}?as=${as}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return res.status;
+};
+
+const steps = [
+  ['student enrolls with the paid order', 201,
+    () => call('student', 'POST', '/', { courseId, orderId })],
+  ['admin revokes the enrollment', 200,
+    () => call('admin', 'DELETE', `/courses/${courseId}/users/${USERS.student.id}`, { reason: 'Harness' })],
+  ['student sends the order again', 403,
+    () => call('student', 'POST', '/', { courseId, orderId })],
+  ['admin grants the course back', 201,
+    () => call('admin', 'POST', '/', { courseId, userId: USERS.student.id, source: 'admin' })]
+];
+
+let failed = false;
+try {
+  for (const [name, expected, run] of steps) {
+    const status = await run();
+    failed ||= status !== expected;
+    console.log(`${status === expected ? 'ok  ' : 'FAIL'} ${name}: ${status}`);
+  }
+} finally {
+  server.close();
+  const studentId = String(USERS.student.id);
+  await Promise.all([
+    User.deleteOne({ id: USERS.student.id }),
+    Course.deleteOne({ id: courseId }),
+    Order.deleteOne({ id: orderId }),
+    Enrollment.deleteMany({ courseId }),
+    Notification.deleteMany({ userId: studentId }),
+    UserBadge.deleteMany({ userId: studentId }),
+    AuditLog.deleteMany({ actorId: USERS.admin.id })
+  ]);
+  await mongoose.disconnect();
+}
+
+process.exit(failed ? 1 : 0);
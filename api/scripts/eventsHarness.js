@@ -0,0 +1,83 @@
+// Local check of the /api/events push channel: no database, no broker.
+// Starts the events router with stand-in users, connects one stream per
+// user, publishes a few events and checks who received what.
+//
+//   npm run events:harness
+
+import express from 'express';
+import http from 'http';
+import eventRouter from '../router/eventRouter.js';
+import { publish } from '../services/eventBus.js';
+
+const USERS = {
+  admin: { id: 1, role: 'admin' },
+  instructor: { id: 2, role: 'instructor' },
+  student: { id: 3, role: 'student' }
+};
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = USERS[req.query.as];
+  next();
+});
+app.use('/api/events', eventRouter);
+
+const server = app.listen(0);
+const port = await new Promise(resolve => server.on('listening', () => resolve(server.address().port)));
+
+function connect(name) {
+  const received = [];
+  return new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${port}/api/events?as=${name}`, res => {
+      res.setEncoding('utf8');
+      let buffer = '';
+      res.on('data', chunk => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          const type = frame.match(/^event: (.*)$/m)?.[1];
+          if (type) received.push(type);
+        }
+      });
+      resolve({ name, received, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+const clients = await Promise.all(Object.keys(USERS).map(connect));
+
+publish('notification', { message: 'hello' }, { userIds: [3] });
+publish('enrollment', { courseId: 10, userId: 3 }, { roles: ['admin'], userIds: [2] });
+publish('review', { courseId: 10, stars: 5 }, { roles: ['admin'], userIds: [2] });
+publish('course', { action: 'created' }, { roles: ['admin'] });
+
+await new Promise(resolve => setTimeout(resolve, 200));
+
+const expected = {
+  admin: ['enrollment', 'review', 'course'],
+  instructor: ['enrollment', 'review'],
+  student: ['notification']
+};
+
+let failed = false;
+for (const client of clients) {
+  const ok = JSON.stringify(client.received) === JSON.stringify(expected[client.name]);
+  failed ||= !ok;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${client.name}: ${client.received.join(', ') || '(nothing)'}`);
+  client.close();
+}
+
+// An anonymous caller is turned away before a stream opens
+const anonymous = await new Promise(resolve => http.get(`http://127.0.0.1:${port}/api/events`, res => {
+  res.resume();
+  resolve(res.statusCode);
+}));
+failed ||= anonymous !== 401;
+console.log(`${anonymous === 401 ? 'ok  ' : 'FAIL'} anonymous: ${anonymous}`);
+
+server.close();
+server.closeAllConnections();
+process.exit(failed ? 1 : 0);
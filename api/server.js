@@ -9,11 +9,28 @@ import { fileURLToPath } from 'url';
 // App modules
 import connectDB from './config/config.js';
 import homePage from './router/homePage.js';
+import authRouter from './router/authRouter.js';
 import xpRouter from './router/xpRouter.js'
 import userRouter from './router/userRouter.js';
 import courseRouter from './router/courseRouter.js'
 import feedbackRouter from './router/feedbackRouter.js';
 import courseVideoRouter from './router/courseVideoRouter.js'
+import progressRouter from './router/progressRouter.js';
+import certificateRouter from './router/certificateRouter.js';
+import exerciseRouter from './router/exerciseRouter.js';
+import streakRouter from './router/streakRouter.js';
+import leaderboardRouter from './router/leaderboardRouter.js';
+import achievementRouter from './router/achievementRouter.js';
+import notificationRouter from './router/notificationRouter.js';
+import eventRouter from './router/eventRouter.js';
+import contactRouter from './router/contactRouter.js';
+import supportRouter from './router/supportRouter.js';
+import lockoutRouter from './router/lockoutRouter.js';
+import orderRouter from './router/orderRouter.js';
+import enrollmentRouter from './router/enrollmentRouter.js';
+import couponRouter from './router/couponRouter.js';
+import { authenticate } from './middleware/auth.js';
+import { providerProblem } from './services/payments/index.js';
 
 // ESM dirname fix
 const __filename = fileURLToPath(import.meta.url);
@@ -26,18 +43,38 @@ const port = process.env.PORT || 8000;
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../src')));
+app.use('/api', authenticate);
 
 // Routes (uncomment when ready)
 app.use('/', homePage);
+app.use('/api/auth', authRouter);
 app.use('/api/xps', xpRouter); 
 app.use('/api/users', userRouter);
 app.use('/api/courses', courseRouter);
 app.use('/api/feedbacks', feedbackRouter);
 app.use('/api/courseVideos', courseVideoRouter);
+app.use('/api/progress', progressRouter);
+app.use('/api/certificates', certificateRouter);
+app.use('/api/exercises', exerciseRouter);
+app.use('/api/streaks', streakRouter);
+app.use('/api/leaderboard', leaderboardRouter);
+app.use('/api/achievements', achievementRouter);
+app.use('/api/notifications', notificationRouter);
+app.use('/api/events', eventRouter);
+app.use('/api/contact', contactRouter);
+app.use('/api/support', supportRouter);
+app.use('/api/lockouts', lockoutRouter);
+app.use('/api/orders', orderRouter);
+app.use('/api/enrollments', enrollmentRouter);
+app.use('/api/coupons', couponRouter);
 
 // Startup
 (async () => {
   try {
+    // The rest of the API works without payments; checkout answers 503 until a provider is set
+    const paymentProblem = providerProblem();
+    if (paymentProblem) console.warn(`Payments disabled: ${paymentProblem}`);
+
     await connectDB();
     app.listen(port, () => {
       console.log(`Server running on port ${port}`);
@@ -0,0 +1,170 @@
+import UserBadge from '../model/userBadge.js';
+import Progress from '../model/progress.js';
+import Course from '../model/course.js';
+import Feedback from '../model/feedback.js';
+import Streak from '../model/streak.js';
+import ExerciseAttempt from '../model/exerciseAttempt.js';
+import { totalFor } from './xpService.js';
+import { notify } from './notificationService.js';
+
+// Learning events that can unlock achievements
+export const EVENTS = ['progress', 'feedback', 'xp', 'enrollment', 'streak', 'quiz'];
+
+// Facts about the user, loaded at most once per evaluation
+const facts = {
+  completedCourses: (userId) => Progress.find({ userId, progress: 100 }).select('courseId').lean()
+    .then(rows => rows.map(r => r.courseId)),
+  reviews: (userId) => Feedback.countDocuments({ 'feedbacks.userId': userId }),
+  xp: (userId) => totalFor(userId),
+  longestStreak: (userId) => Streak.findOne({ userId }).then(s => s ? s.longest : 0),
+  enrollments: (userId) => Course.countDocuments({ students: { $elemMatch: { 0: { $in: [userId, Number(userId)] } } } }),
+  perfectQuiz: (userId) => ExerciseAttempt.exists({ userId, percent: 100 }).then(Boolean)
+};
+
+/**
+ * Every course of at least one category is finished. Only categories
+ * with two or more approved courses count.
+ */
+const finishedCategory = async (completed) => {
+  if (completed.length === 0) return false;
+
+  const courses = await Course.find({ status: 'Approved' }).select('id category').lean();
+  const byCategory = new Map();
+  courses.forEach(c => byCategory.set(c.category, [...(byCategory.get(c.category) || []), String(c.id)]));
+
+  return [...byCategory.values()].some(ids => ids.length >= 2 && ids.every(id => completed.includes(id)));
+};
+
+/*
+ * Rules: `events` says which events can unlock the badge,
+ * `check` decides from the user's facts whether it is earned.
+ */
+export const ACHIEVEMENTS = [
+  {
+    key: 'first-enrollment',
+    title: 'First Step',
+    description: 'Enroll in your first course',
+    icon: 'ri-door-open-line',
+    events: ['enrollment'],
+    check: async (get) => (await get('enrollments')) >= 1
+  },
+  {
+    key: 'five-enrollments',
+    title: 'Curious Mind',
+    description: 'Enroll in 5 courses',
+    icon: 'ri-book-open-line',
+    events: ['enrollment'],
+    check: async (get) => (await get('enrollments')) >= 5
+  },
+  {
+    key: 'first-course-completed',
+    title: 'Finisher',
+    description: 'Complete your first course',
+    icon: 'ri-graduation-cap-line',
+    events: ['progress'],
+    check: async (get) => (await get('completedCourses')).length >= 1
+  },
+  {
+    key: 'five-courses-completed',
+    title: 'Scholar',
+    description: 'Complete 5 courses',
+    icon: 'ri-medal-line',
+    events: ['progress'],
+    check: async (get) => (await get('completedCourses')).length >= 5
+  },
+  {
+    key: 'category-finished',
+    title: 'Specialist',
+    description: 'Finish every course in a category',
+    icon: 'ri-stack-line',
+    events: ['progress'],
+    check: async (get) => finishedCategory(await get('completedCourses'))
+  },
+  {
+    key: 'streak-7',
+    title: 'On Fire',
+    description: 'Keep a 7-day learning streak',
+    icon: 'ri-fire-line',
+    events: ['streak'],
+    check: async (get) => (await get('longestStreak')) >= 7
+  },
+  {
+    key: 'streak-30',
+    title: 'Unstoppable',
+    description: 'Keep a 30-day learning streak',
+    icon: 'ri-fire-fill',
+    events: ['streak'],
+    check: async (get) => (await get('longestStreak')) >= 30
+  },
+  {
+    key: 'first-review',
+    title: 'Critic',
+    description: 'Write your first review',
+    icon: 'ri-chat-quote-line',
+    events: ['feedback'],
+    check: async (get) => (await get('reviews')) >= 1
+  },
+  {
+    key: 'ten-reviews',
+    title: 'Trusted Reviewer',
+    description: 'Write 10 reviews',
+    icon: 'ri-chat-heart-line',
+    events: ['feedback'],
+    check: async (get) => (await get('reviews')) >= 10
+  },
+  {
+    key: 'perfect-quiz',
+    title: 'Flawless',
+    description: 'Score 100% on a quiz',
+    icon: 'ri-checkbox-circle-line',
+    events: ['quiz'],
+    check: async (get) => get('perfectQuiz')
+  },
+  {
+    key: 'xp-1000',
+    title: 'XP Hunter',
+    description: 'Earn 1000 XP',
+    icon: 'ri-star-line',
+    events: ['xp'],
+    check: async (get) => (await get('xp')) >= 1000
+  }
+];
+
+// What clients see of a rule
+export const describe = ({ key, title, description, icon }) => ({ key, title, description, icon });
+
+/**
+ * Check the rules listening to any of `events` and unlock the ones now earned.
+ * @param {number|string} userId
+ * @param {string[]} events - see EVENTS
+ * @returns {Promise<Array<object>>} the badges unlocked by this call
+ */
+export async function evaluateAchievements(userId, events) {
+  const id = String(userId);
+  const candidates = ACHIEVEMENTS.filter(rule => rule.events.some(e => events.includes(e)));
+  if (candidates.length === 0) return [];
+
+  const owned = new Set((await UserBadge.find({ userId: id }).select('badgeKey')).map(b => b.badgeKey));
+
+  const cache = new Map();
+  const get = (fact) => {
+    if (!cache.has(fact)) cache.set(fact, facts[fact](id));
+    return cache.get(fact);
+  };
+
+  const unlocked = [];
+  for (const rule of candidates) {
+    if (owned.has(rule.key) || !(await rule.check(get))) continue;
+
+    try {
+      const badge = await UserBadge.create({ userId: id, badgeKey: rule.key });
+      unlocked.push({ ...describe(rule), unlockedAt: badge.unlockedAt });
+      await notify(id, { type: 'badge', message: `Badge unlocked: ${rule.title}`, link: '/pages/profile.html' });
+    } catch (err) {
+      // Unlocked by a parallel request
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return unlocked;
+}
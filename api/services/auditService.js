@@ -0,0 +1,25 @@
+import AuditLog from '../model/auditLog.js';
+
+/**
+ * Record an action in the audit log. Like notifications this is a side
+ * effect of the request, so failures are logged rather than thrown.
+ * @param {object|null} actor - the user who acted
+ * @param {string} action - e.g. "order.refunded"
+ * @param {{type: string, id: number|string}} target
+ * @param {object} [details]
+ * @returns {Promise<object|null>} the stored entry
+ */
+export async function audit(actor, action, target, details = {}) {
+  try {
+    return await AuditLog.create({
+      action,
+      actorId: actor?.id ?? null,
+      targetType: target.type,
+      targetId: String(target.id),
+      details
+    });
+  } catch (err) {
+    console.error('Audit log failed:', err);
+    return null;
+  }
+}
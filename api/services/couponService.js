@@ -0,0 +1,122 @@
+import crypto from 'crypto'
+import Coupon from '../model/coupon.js'
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+export const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+/**
+ * @param {object} coupon
+ * @param {object} course - a Course document
+ * @returns {boolean}
+ */
+export const appliesTo = (coupon, course) => {
+  if (coupon.courseIds.length === 0 && coupon.categories.length === 0) return true;
+  if (coupon.courseIds.includes(course.id)) return true;
+
+  const categories = [course.category, ...(course.categories || [])].map(c => String(c).toLowerCase());
+  return coupon.categories.some(c => categories.includes(c));
+};
+
+/**
+ * What the buyer pays for the course, with the coupon if one is given.
+ * @param {object} course
+ * @param {object|null} [coupon]
+ * @returns {{subtotal: number, discount: number, amount: number}}
+ */
+export function priceFor(course, coupon = null) {
+  const subtotal = roundCents(course.price);
+  if (!coupon) return { subtotal, discount: 0, amount: subtotal };
+
+  const off = coupon.type === 'percent' ? subtotal * coupon.value / 100 : coupon.value;
+  const discount = roundCents(Math.min(Math.max(off, 0), subtotal));
+  return { subtotal, discount, amount: roundCents(subtotal - discount) };
+}
+
+/**
+ * Why the user cannot use the coupon on the course right now, or null if they can
+ * @param {object|null} coupon
+ * @param {object} course
+ * @param {number} userId
+ * @returns {string|null}
+ */
+export function couponProblem(coupon, course, userId) {
+  const now = new Date();
+
+  if (!coupon || !coupon.active) return "This coupon code is not valid";
+  if (coupon.startsAt && coupon.startsAt > now) return "This coupon is not active yet";
+  if (coupon.expiresAt && coupon.expiresAt <= now) return "This coupon has expired";
+  if (!appliesTo(coupon, course)) return "This coupon does not apply to this course";
+  if (coupon.maxUses != null && coupon.redemptions.length >= coupon.maxUses) return "This coupon has been fully used";
+
+  const used = coupon.redemptions.filter(r => r.userId === userId).length;
+  if (coupon.maxUsesPerUser != null && used >= coupon.maxUsesPerUser) return "You have already used this coupon";
+
+  return null;
+}
+
+/**
+ * Look the code up and price the course with it.
+ * @param {string} code
+ * @param {object} course
+ * @param {number} userId
+ * @returns {Promise<{coupon?: object, pricing?: object, error?: string}>}
+ */
+export async function quote(code, course, userId) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  const error = couponProblem(coupon, course, userId);
+  if (error) return { error };
+
+  return { coupon, pricing: priceFor(course, coupon) };
+}
+
+// An order holds at most one use, so its use is named after it
+export const orderRef = (orderId) => `order-${orderId}`;
+
+/**
+ * Take one use of the coupon. The limits are part of the update's filter,
+ * so two buyers racing for the last use cannot both get it. Taking a use
+ * again for the same order is a no-op.
+ * @param {string} code
+ * @param {{userId: number, courseId: number, orderId?: number|null}} use
+ * @returns {Promise<string|null>} the use's ref for release(), or null when the coupon can no longer be used
+ */
+export async function redeem(code, { userId, courseId, orderId = null }) {
+  const now = new Date();
+  const ref = orderId != null ? orderRef(orderId) : crypto.randomUUID();
+
+  if (orderId != null && await Coupon.exists({ code, 'redemptions.ref': ref })) return ref;
+
+  const usesBy = { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.userId', userId] } } } };
+
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      code,
+      active: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+      ],
+      $expr: {
+        $and: [
+          { $or: [{ $eq: ['$maxUses', null] }, { $lt: [{ $size: '$redemptions' }, '$maxUses'] }] },
+          { $or: [{ $eq: ['$maxUsesPerUser', null] }, { $lt: [usesBy, '$maxUsesPerUser'] }] }
+        ]
+      }
+    },
+    { $push: { redemptions: { ref, userId, courseId, orderId, redeemedAt: now } } },
+    { new: true }
+  );
+
+  return coupon ? ref : null;
+}
+
+/**
+ * Give back a use taken by redeem()
+ * @param {string} code
+ * @param {string} ref
+ */
+export function release(code, ref) {
+  return Coupon.updateOne({ code }, { $pull: { redemptions: { ref } } });
+}
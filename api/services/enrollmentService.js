@@ -0,0 +1,148 @@
+import Course from '../model/course.js'
+import User from '../model/user.js'
+import Enrollment from '../model/enrollment.js'
+import { evaluateAchievements } from './achievementService.js'
+import { sendMail } from './mail/index.js'
+import { publish } from './eventBus.js'
+import { canManageCourse } from '../middleware/policy.js'
+
+export const isEnrolled = (course, userId) => course.students.some(s => String(s[0]) === String(userId));
+
+/**
+ * The student's enrollment in the course, active or revoked
+ * @param {number} userId
+ * @param {number} courseId
+ */
+export function findEnrollment(userId, courseId) {
+  return Enrollment.findOne({ userId, courseId });
+}
+
+/**
+ * Whether the user may watch the course: admins, the owning instructor
+ * and students with an active enrollment.
+ * @param {object|null} user
+ * @param {object} course - a Course document
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessContent(user, course) {
+  if (!user) return false;
+  if (canManageCourse(user, course)) return true;
+  return hasActiveEnrollment(user.id, course);
+}
+
+/**
+ * Whether the student is enrolled in the course right now
+ * @param {number} userId
+ * @param {object} course - a Course document
+ * @returns {Promise<boolean>}
+ */
+export async function hasActiveEnrollment(userId, course) {
+  const enrollment = await findEnrollment(Number(userId), course.id);
+  if (enrollment) return enrollment.status === 'active';
+
+  // Rosters from before enrollments were recorded, until the backfill has run
+  return isEnrolled(course, userId);
+}
+
+/**
+ * Whether the course was taken away after the order paid for it, by an
+ * admin or a refund. Such an order does not enroll the buyer again.
+ * @param {object|null} enrollment - the student's enrollment in the order's course
+ * @param {object} order - a captured order
+ * @returns {boolean}
+ */
+export function revokedSince(enrollment, order) {
+  if (enrollment?.status !== 'revoked') return false;
+  return enrollment.orderId === order.id || enrollment.revokedAt >= order.capturedAt;
+}
+
+/**
+ * Enroll the student. The unique enrollment record decides the race: only
+ * the request that creates (or revives) it updates the roster and the user,
+ * sends the receipt, checks badges and tells the dashboards.
+ * @param {object} user
+ * @param {object} course - a Course document
+ * @param {{source: string, order?: object, couponCode?: string, grantedBy?: number}} options
+ * @returns {Promise<{enrollment: object, created: boolean, badges: object[]}>}
+ *   created is false when the student already had an active enrollment, which is returned as is
+ */
+export async function enrollStudent(user, course, { source, order = null, couponCode = null, grantedBy = null }) {
+  const fields = {
+    source,
+    status: 'active',
+    orderId: order?.id ?? null,
+    couponCode,
+    grantedBy,
+    enrolledAt: new Date(),
+    revokedAt: null,
+    revokedReason: null
+  };
+
+  let enrollment;
+  try {
+    enrollment = await Enrollment.create({ userId: user.id, courseId: course.id, ...fields });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // Enrolled before and since revoked: the same record comes back
+    enrollment = await Enrollment.findOneAndUpdate(
+      { userId: user.id, courseId: course.id, status: 'revoked' },
+      { $set: fields },
+      { new: true }
+    );
+    if (!enrollment) {
+      return { enrollment: await findEnrollment(user.id, course.id), created: false, badges: [] };
+    }
+  }
+
+  const enrolledAt = enrollment.enrolledAt.toISOString();
+  await User.updateOne({ id: user.id }, { $addToSet: { enrolledCourses: course.id } });
+  if (!isEnrolled(course, user.id)) {
+    await Course.updateOne({ id: course.id }, { $push: { students: [user.id, enrolledAt] } });
+  }
+
+  sendMail('enrollmentReceipt', user.email, { name: user.name, course, enrolledAt, order, couponCode });
+
+  const badges = await evaluateAchievements(user.id, ['enrollment']);
+
+  publish('enrollment', { courseId: course.id, userId: user.id, students: course.students.length + 1 }, {
+    roles: ['admin'],
+    userIds: [course.instructorId]
+  });
+
+  return { enrollment, created: true, badges };
+}
+
+/**
+ * Take a student out of a course, e.g. after a refund. Progress is kept.
+ * @param {number} userId
+ * @param {number} courseId
+ * @param {{reason?: string}} [options]
+ * @returns {Promise<object|null>} the revoked enrollment, or null when there was no active one
+ */
+export async function unenrollStudent(userId, courseId, { reason = null } = {}) {
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { userId, courseId, status: 'active' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+  if (!enrollment) return null;
+
+  await User.updateOne({ id: userId }, { $pull: { enrolledCourses: courseId } });
+
+  // Roster entries are [userId, enrolledAt]; pull exactly the ones stored for this student
+  const course = await Course.findOne({ id: courseId });
+  const entries = course ? course.students.filter(s => String(s[0]) === String(userId)) : [];
+  if (entries.length > 0) {
+    await Course.updateOne({ id: courseId }, { $pull: { students: { $in: entries } } });
+  }
+
+  if (course) {
+    publish('enrollment', { courseId, userId, students: course.students.length - entries.length, removed: true }, {
+      roles: ['admin'],
+      userIds: [course.instructorId]
+    });
+  }
+
+  return enrollment;
+}
@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+
+// In-process pub/sub behind /api/events. A single server needs no external
+// broker; running several instances would mean swapping this for one.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let nextEventId = 1;
+
+/**
+ * @typedef {Object} Audience
+ * @property {Array<number|string>} [userIds] - these users receive the event
+ * @property {string[]} [roles] - as does everyone holding one of these roles
+ */
+
+/**
+ * Push an event to the connected clients in its audience
+ * @param {'notification'|'enrollment'|'review'|'course'} type
+ * @param {object} data
+ * @param {Audience} audience
+ */
+export function publish(type, data, { userIds = [], roles = [] } = {}) {
+  bus.emit('event', {
+    id: nextEventId++,
+    type,
+    data,
+    audience: { userIds: userIds.filter(id => id != null).map(String), roles }
+  });
+}
+
+/**
+ * @param {(event: {id: number, type: string, data: object, audience: Audience}) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+export const canReceive = (user, { userIds, roles }) =>
+  userIds.includes(String(user.id)) || roles.includes(user.role);
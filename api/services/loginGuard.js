@@ -0,0 +1,80 @@
+import LoginAttempt from '../model/loginAttempt.js';
+
+// Failures allowed before a lockout. An IP is shared by everyone behind
+// the same network, so it gets more room than a single account.
+export const MAX_FAILURES = { email: 5, ip: 20 };
+
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const keysFor = (email, ip) => [
+  { kind: 'email', value: String(email || '').trim().toLowerCase() },
+  { kind: 'ip', value: String(ip || 'unknown') }
+].filter(key => key.value);
+
+/**
+ * Lockout length after `lockouts` earlier lockouts: 1, 2, 4, 8... minutes, at most a day
+ * @param {number} lockouts
+ * @returns {number} milliseconds
+ */
+export const lockoutDuration = (lockouts) => Math.min(BASE_LOCKOUT_MS * 2 ** lockouts, MAX_LOCKOUT_MS);
+
+/**
+ * Whether the account or the IP is locked out right now
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<{locked: boolean, retryAfter: number}>} retryAfter in seconds
+ */
+export async function checkLock(email, ip) {
+  const records = await LoginAttempt.find({ $or: keysFor(email, ip), lockedUntil: { $gt: new Date() } });
+  if (records.length === 0) return { locked: false, retryAfter: 0 };
+
+  const until = Math.max(...records.map(r => r.lockedUntil.getTime()));
+  return { locked: true, retryAfter: Math.ceil((until - Date.now()) / 1000) };
+}
+
+/**
+ * Count a failed login against the account and the IP, locking whichever
+ * reached its limit.
+ * @param {string} email
+ * @param {string} ip
+ */
+export async function recordFailure(email, ip) {
+  const now = new Date();
+
+  await Promise.all(keysFor(email, ip).map(async (key) => {
+    const record = await LoginAttempt.findOneAndUpdate(
+      key,
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + RECORD_TTL_MS) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (record.failures < MAX_FAILURES[key.kind]) return;
+
+    // The failures guard lets only one of several racing requests apply the lockout
+    const lockedUntil = new Date(now.getTime() + lockoutDuration(record.lockouts));
+    await LoginAttempt.updateOne(
+      { _id: record._id, failures: record.failures },
+      {
+        $set: { failures: 0, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + RECORD_TTL_MS) },
+        $inc: { lockouts: 1 }
+      }
+    );
+  }));
+}
+
+/**
+ * A successful login clears the account's record and the IP's failure count
+ * @param {string} email
+ * @param {string} ip
+ */
+export async function recordSuccess(email, ip) {
+  await Promise.all(keysFor(email, ip).map(key => key.kind === 'email'
+    ? LoginAttempt.deleteOne(key)
+    : LoginAttempt.updateOne(key, { $set: { failures: 0 } })
+  ));
+}
@@ -0,0 +1,70 @@
+import { templates } from './templates.js';
+import consoleTransport from './transports/console.js';
+import fileTransport from './transports/file.js';
+import smtpTransport from './transports/smtp.js';
+
+// Transports by name; MAIL_TRANSPORT picks one (console by default, except in
+// production, where it has to name one that delivers)
+const factories = new Map([
+  ['console', consoleTransport],
+  ['file', fileTransport],
+  ['smtp', smtpTransport]
+]);
+
+// Transports that print the mail, reset and verification links included
+const TEST_TRANSPORTS = new Set(['console']);
+
+let transport = null;
+
+/**
+ * Make another transport available to MAIL_TRANSPORT / useTransport
+ * @param {string} name
+ * @param {(options?: object) => {name: string, send: (message: object) => Promise<object>}} factory
+ */
+export function registerTransport(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Switch the transport at runtime (tests, scripts)
+ * @param {string} name
+ * @param {object} [options] - passed to the transport's factory
+ */
+export function useTransport(name, options) {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+  if (TEST_TRANSPORTS.has(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`Mail transport "${name}" is for development only; set MAIL_TRANSPORT to a real transport`);
+  }
+  transport = factory(options);
+  return transport;
+}
+
+function getTransport() {
+  return transport || useTransport(process.env.MAIL_TRANSPORT || 'console');
+}
+
+/**
+ * Render a template and deliver it. Email is a side effect of whatever the
+ * request did, so failures are logged and the promise never rejects;
+ * callers do not wait on it.
+ * @param {keyof templates} template
+ * @param {string} to
+ * @param {object} data - the template's fields
+ * @returns {Promise<object|null>} the transport's receipt, or null when sending failed
+ */
+export async function sendMail(template, to, data) {
+  try {
+    const render = templates[template];
+    if (!render) throw new Error(`Unknown mail template "${template}"`);
+    if (!to) throw new Error(`No recipient for "${template}"`);
+
+    const { subject, text, html, replyTo } = render(data);
+    const from = process.env.MAIL_FROM || 'Peer Mentors <no-reply@peermentors.local>';
+
+    return await getTransport().send({ from, to, subject, text, html, ...(replyTo ? { replyTo } : {}) });
+  } catch (err) {
+    console.error(`Mail "${template}" failed:`, err);
+    return null;
+  }
+}
@@ -0,0 +1,139 @@
+// Outbound email templates. Each one turns its data into a subject and
+// matching plain-text and HTML bodies.
+
+const APP_URL = () => (process.env.APP_URL || 'http://127.0.0.1:8000').replace(/\/$/, '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const link = (path) => `${APP_URL()}${path}`;
+
+/**
+ * Wrap paragraphs (and an optional call to action) in the shared layout
+ * @param {string[]} paragraphs - plain text; escaped for the HTML part
+ * @param {{label: string, url: string}} [action]
+ */
+function layout(paragraphs, action = null) {
+  const text = [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : [])].join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f8fafc;font-family:Poppins,Arial,sans-serif;color:#1e293b">
+  <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:12px;padding:32px">
+    <h2 style="margin-top:0;color:#4f46e5">Peer Mentors</h2>
+    ${paragraphs.map(p => `<p style="line-height:1.6">${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;background:#4f46e5;color:#fff;padding:10px 18px;border-radius:8px;text-decoration:none">${escapeHtml(action.label)}</a></p>` : ''}
+  </div>
+</body>
+</html>`;
+
+  return { text, html };
+}
+
+export const templates = {
+  welcome: ({ name }) => ({
+    subject: 'Welcome to Peer Mentors',
+    ...layout([
+      `Hi ${name},`,
+      'Your account is ready. Browse the catalog and enroll in your first course.'
+    ], { label: 'Explore courses', url: link('/index.html') })
+  }),
+
+  verifyEmail: ({ name, token, expiresInHours }) => ({
+    subject: 'Confirm your email address',
+    ...layout([
+      `Hi ${name},`,
+      `Confirm this is your email address to activate your account. The link below works for ${expiresInHours} hours.`,
+      'If you did not sign up, ignore this email.'
+    ], { label: 'Confirm email', url: link(`/pages/verify-email.html?token=${token}`) })
+  }),
+
+  accountExists: ({ name }) => ({
+    subject: 'You already have an account',
+    ...layout([
+      `Hi ${name},`,
+      'Someone tried to sign up with this email address, which already has an account.',
+      'If that was you, log in instead, or reset your password if you forgot it. If not, ignore this email.'
+    ], { label: 'Log in', url: link('/pages/login.html') })
+  }),
+
+  passwordReset: ({ name, token, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    ...layout([
+      `Hi ${name},`,
+      `Someone asked to reset the password of your account. The link below works for ${expiresInMinutes} minutes.`,
+      'If this was not you, ignore this email; your password stays the same.'
+    ], { label: 'Choose a new password', url: link(`/pages/reset-password.html?token=${token}`) })
+  }),
+
+  enrollmentReceipt: ({ name, course, enrolledAt, order = null, couponCode = null }) => ({
+    subject: `You are enrolled in ${course.title}`,
+    ...layout([
+      `Hi ${name},`,
+      `This confirms your enrollment in "${course.title}" by ${course.instructor} on ${new Date(enrolledAt).toUTCString()}.`,
+      order
+        ? `Paid: ${order.amount.toFixed(2)} ${order.currency}${order.methodLabel ? ` with ${order.methodLabel}` : ''} (order #${order.id})`
+          + (order.couponCode ? `, ${order.discount.toFixed(2)} off with coupon ${order.couponCode}` : '')
+        : couponCode
+          ? `Price: free with coupon ${couponCode}`
+          : `Price: ${Number(course.price || 0).toFixed(2)} $`
+    ], { label: 'Start learning', url: link(`/pages/coursepage.html?id=${course.id}`) })
+  }),
+
+  orderRefunded: ({ name, order }) => ({
+    subject: `Refund for ${order.courseTitle}`,
+    ...layout([
+      `Hi ${name},`,
+      `We refunded ${order.amount.toFixed(2)} ${order.currency} for "${order.courseTitle}" (order #${order.id}). It can take a few days to show up on your statement.`
+    ])
+  }),
+
+  courseApproved: ({ name, course }) => ({
+    subject: `"${course.title}" is approved`,
+    ...layout([
+      `Hi ${name},`,
+      `Your course "${course.title}" was approved and students can now enroll.`
+    ], { label: 'View the course', url: link(`/pages/information.html?id=${course.id}`) })
+  }),
+
+  certificateIssued: ({ name, certificate }) => ({
+    subject: `Your certificate for ${certificate.courseTitle}`,
+    ...layout([
+      `Congratulations ${name}!`,
+      `You completed "${certificate.courseTitle}". Your certificate id is ${certificate.certificateId}; anyone can check it with the link below.`
+    ], { label: 'Verify certificate', url: link(`/api/certificates/${certificate.certificateId}/verify`) })
+  }),
+
+  // Anyone can fill in the contact form with any address, so nothing they typed is repeated back
+  supportReceived: ({ ticket }) => ({
+    subject: `[Ticket #${ticket.id}] We received your message`,
+    ...layout([
+      `Hi,`,
+      `Thanks for reaching out. Your message is ticket #${ticket.id}; we will reply to this address.`
+    ])
+  }),
+
+  supportNew: ({ ticket }) => ({
+    subject: `[Ticket #${ticket.id}] New message from ${ticket.name}`,
+    replyTo: ticket.email,
+    ...layout([`${ticket.name} <${ticket.email}> wrote:`, ticket.message], {
+      label: 'Open the Support tab',
+      url: link('/pages/admin.html')
+    })
+  }),
+
+  supportReply: ({ ticket, reply }) => ({
+    subject: `[Ticket #${ticket.id}] ${reply.authorName} replied`,
+    ...layout([`Hi ${ticket.name},`, reply.message, `— ${reply.authorName}, Peer Mentors`])
+  }),
+
+  adminMessage: ({ name, subject, message, senderName }) => ({
+    subject,
+    ...layout([`Hi ${name},`, message, `— ${senderName}, Peer Mentors`])
+  })
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
@@ -0,0 +1,10 @@
+// Prints each email instead of sending it; the default during development
+export default function consoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}\n`);
+      return { id: null };
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Subjects carry user input; a line break there would start a new header
+const header = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+/**
+ * Writes each email as an .eml file that any mail client can open.
+ * Meant for local development and tests that need to read what was sent.
+ * @param {{dir?: string}} [options]
+ */
+export default function fileTransport({ dir = process.env.MAIL_DIR || path.resolve('.mail') } = {}) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const boundary = `boundary-${id}`;
+      const eml = [
+        `From: ${header(message.from)}`,
+        `To: ${header(message.to)}`,
+        ...(message.replyTo ? [`Reply-To: ${header(message.replyTo)}`] : []),
+        `Subject: ${header(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        message.html,
+        `--${boundary}--`,
+        ''
+      ].join('\r\n');
+
+      const file = path.join(dir, `${id}.eml`);
+      await fs.writeFile(file, eml);
+      return { id, file };
+    }
+  };
+}
@@ -0,0 +1,30 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Delivers through an SMTP server, configured from SMTP_* variables
+ * @param {{host?: string, port?: number, secure?: boolean, user?: string, pass?: string}} [options]
+ */
+export default function smtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) {
+  if (!host) throw new Error('SMTP_HOST is required for the smtp mail transport');
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {})
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import Notification from '../model/notification.js';
+import User from '../model/user.js';
+import { publish } from './eventBus.js';
+
+/**
+ * Put a notification in a user's inbox. Notifying is a side effect of
+ * whatever the request did, so failures are logged rather than thrown.
+ * @param {number|string} userId
+ * @param {{type?: string, message: string, link?: string|null}} notification
+ * @returns {Promise<object|null>} the stored notification
+ */
+export async function notify(userId, { type = 'info', message, link = null }) {
+  try {
+    const notification = await Notification.create({ userId: String(userId), type, message, link });
+    publish('notification', notification.toJSON(), { userIds: [userId] });
+    return notification;
+  } catch (err) {
+    console.error('Notification failed:', err);
+    return null;
+  }
+}
+
+/**
+ * The instructor who owns a course. Older courses only carry the
+ * instructor's name, so the owner is looked up by it.
+ * @param {{instructorId?: number, instructor?: string}} course
+ * @returns {Promise<object|null>}
+ */
+export async function findCourseOwner(course) {
+  if (course.instructorId != null) return User.findOne({ id: course.instructorId });
+  return User.findOne({ name: course.instructor, role: 'instructor' });
+}
+
+/**
+ * Notify the instructor who owns a course
+ * @param {{instructorId?: number, instructor?: string}} course
+ * @param {{type?: string, message: string, link?: string|null}} notification
+ */
+export async function notifyCourseOwner(course, notification) {
+  const owner = await findCourseOwner(course);
+  return owner ? notify(owner.id, notification) : null;
+}
+
+/**
+ * Notify every admin, e.g. about something waiting for their approval
+ * @param {{type?: string, message: string, link?: string|null}} notification
+ */
+export async function notifyAdmins(notification) {
+  const admins = await User.find({ role: 'admin' }).select('id');
+  return Promise.all(admins.map(admin => notify(admin.id, notification)));
+}
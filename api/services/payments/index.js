@@ -0,0 +1,61 @@
+import fakeProvider from './providers/fake.js';
+
+// Providers by name; PAYMENT_PROVIDER picks one (fake by default, except in
+// production, where it has to name a real provider)
+//
+// A provider is { name, authorize, capture, void, refund }. Each method
+// resolves to { ok, reference?, message? } and only rejects when the
+// provider could not be reached, so a decline is never mistaken for an outage.
+//   authorize({ orderId, amount, currency, method, details }) - hold the money; reference identifies the hold
+//   capture({ reference, amount })  - take held money
+//   void({ reference })             - release a hold that will not be captured
+//   refund({ reference, amount })   - return captured money; reference is the authorization's
+const factories = new Map([
+  ['fake', fakeProvider]
+]);
+
+// Providers that approve any card; never allowed to take real orders
+const TEST_PROVIDERS = new Set(['fake']);
+
+let provider = null;
+
+/**
+ * Make another provider available to PAYMENT_PROVIDER / useProvider
+ * @param {string} name
+ * @param {(options?: object) => object} factory
+ */
+export function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Switch the provider at runtime (tests, scripts)
+ * @param {string} name
+ * @param {object} [options] - passed to the provider's factory
+ */
+export function useProvider(name, options) {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown payment provider "${name}"`);
+  if (TEST_PROVIDERS.has(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`Payment provider "${name}" is for testing only; set PAYMENT_PROVIDER to a real provider`);
+  }
+  provider = factory(options);
+  return provider;
+}
+
+export function getProvider() {
+  return provider || useProvider(process.env.PAYMENT_PROVIDER || 'fake');
+}
+
+/**
+ * Why no payment can be taken right now, e.g. no real provider is set in production
+ * @returns {string|null}
+ */
+export function providerProblem() {
+  try {
+    getProvider();
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Details that make the fake provider refuse, so failures can be tried from the purchase page
+const DECLINED = {
+  card: (details) => String(details.cardNumber || '').replace(/\D/g, '').endsWith('0002'),
+  paypal: (details) => /decline/i.test(details.email || ''),
+  vodafone: (details) => String(details.phone || '').replace(/\D/g, '').endsWith('0000')
+};
+
+const reference = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Approves everything except the details in DECLINED and keeps its state in
+ * memory, so authorizations do not survive a restart. For local testing only.
+ * @param {{delayMs?: number}} [options] - simulated network latency
+ */
+export default function fakeProvider({ delayMs = 0 } = {}) {
+  const authorizations = new Map();
+  const wait = () => new Promise(resolve => setTimeout(resolve, delayMs));
+
+  return {
+    name: 'fake',
+
+    async authorize({ amount, method, details = {} }) {
+      await wait();
+      const declined = DECLINED[method];
+      if (!declined) return { ok: false, message: `Unsupported payment method "${method}"` };
+      if (declined(details)) return { ok: false, message: 'Payment declined' };
+
+      const ref = reference('auth');
+      authorizations.set(ref, { amount, captured: 0, refunded: 0 });
+      return { ok: true, reference: ref };
+    },
+
+    async capture({ reference: ref, amount }) {
+      await wait();
+      const auth = authorizations.get(ref);
+      if (!auth) return { ok: false, message: 'Authorization not found or expired' };
+      if (auth.captured > 0) return { ok: false, message: 'Authorization already captured' };
+      if (amount > auth.amount) return { ok: false, message: 'Capture exceeds the authorized amount' };
+
+      auth.captured = amount;
+      return { ok: true, reference: reference('cap') };
+    },
+
+    async void({ reference: ref }) {
+      await wait();
+      authorizations.delete(ref);
+      return { ok: true };
+    },
+
+    async refund({ reference: ref, amount }) {
+      await wait();
+      const auth = authorizations.get(ref);
+      // Captures from before a restart are still refundable; there is nothing real to check
+      if (auth && auth.refunded + amount > auth.captured) return { ok: false, message: 'Refund exceeds the captured amount' };
+      if (auth) auth.refunded += amount;
+      return { ok: true, reference: reference('ref') };
+    }
+  };
+}
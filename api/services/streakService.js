@@ -0,0 +1,85 @@
+import Streak from '../model/streak.js';
+import { dayInZone, daysBetween, addDays } from '../utils/dates.js';
+
+// A freeze token is earned for every full week of streak, up to this many
+export const MAX_FREEZE_TOKENS = 2;
+const DAYS_PER_TOKEN = 7;
+
+// Only the most recent finished streaks are kept
+const HISTORY_LIMIT = 20;
+
+/**
+ * Count a learning activity towards the user's streak. Days are taken in
+ * the user's own timezone, and missed days are bridged with freeze tokens
+ * when enough are available.
+ * @param {{id: number, timezone?: string}} user
+ * @param {Date} [at]
+ * @returns {Promise<import('mongoose').Document>}
+ */
+export async function recordActivity(user, at = new Date()) {
+  const userId = String(user.id);
+  const today = dayInZone(at, user.timezone);
+
+  const streak = await Streak.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (streak.lastActiveDay === today) return streak;
+
+  const gap = streak.lastActiveDay ? daysBetween(streak.lastActiveDay, today) : null;
+
+  // Activity from an earlier day arriving late (e.g. a replayed offline write)
+  if (gap != null && gap < 0) return streak;
+
+  const missed = gap == null ? 0 : gap - 1;
+
+  if (gap != null && missed <= streak.freezeTokens) {
+    for (let i = 1; i <= missed; i++) streak.frozenDays.push(addDays(streak.lastActiveDay, i));
+    streak.freezeTokens -= missed;
+    streak.current += 1;
+  } else {
+    if (streak.current > 0) {
+      streak.history.push({ startDay: streak.startDay, endDay: streak.lastActiveDay, length: streak.current });
+      streak.history = streak.history.slice(-HISTORY_LIMIT);
+    }
+    streak.current = 1;
+    streak.startDay = today;
+    streak.frozenDays = [];
+  }
+
+  if (streak.current % DAYS_PER_TOKEN === 0) {
+    streak.freezeTokens = Math.min(streak.freezeTokens + 1, MAX_FREEZE_TOKENS);
+  }
+
+  streak.lastActiveDay = today;
+  streak.longest = Math.max(streak.longest, streak.current);
+
+  return streak.save();
+}
+
+/**
+ * The streak as it stands right now. A streak whose missed days can no
+ * longer be covered by freeze tokens reads as 0 until the next activity.
+ * @param {object|null} streak
+ * @param {string} [timeZone]
+ * @returns {object}
+ */
+export function currentStreak(streak, timeZone) {
+  const today = dayInZone(new Date(), timeZone);
+  const base = streak ? streak.toJSON() : { current: 0, longest: 0, freezeTokens: 1, frozenDays: [], history: [], lastActiveDay: null };
+
+  if (!base.lastActiveDay) return { ...base, today, active: false };
+
+  const missed = daysBetween(base.lastActiveDay, today) - 1;
+  const alive = missed <= base.freezeTokens;
+
+  return {
+    ...base,
+    current: alive ? base.current : 0,
+    today,
+    // Whether today already counts
+    active: base.lastActiveDay === today
+  };
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto'
+import User from '../model/user.js'
+import AuthToken from '../model/authToken.js'
+import { hashToken } from '../middleware/auth.js'
+import { verifyCode } from '../utils/totp.js'
+
+// How long the password step of a login stays good while the code is typed in
+const CHALLENGE_MINUTES = 5;
+
+const BACKUP_CODE_COUNT = 10;
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Start the second step of a login. The returned token stands in for the
+ * password until a code is checked, so it is short-lived and single-use.
+ * @param {object} user
+ * @returns {Promise<string>}
+ */
+export function issueChallenge(user) {
+  return AuthToken.issue(user.id, 'two-factor', CHALLENGE_MINUTES * 60 * 1000);
+}
+
+/**
+ * @param {string} challenge
+ * @returns {Promise<object|null>} the user the challenge was issued to, if it is still usable
+ */
+export async function findChallengeUser(challenge) {
+  const pending = await AuthToken.findUsable(challenge, 'two-factor');
+  return pending ? User.findOne({ id: pending.userId }) : null;
+}
+
+/**
+ * Fresh backup codes, shown to the user once. Only their hashes are kept.
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+export function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeBackupCode(code))) };
+}
+
+/**
+ * Check an authenticator code or a backup code for a user with two-factor enabled.
+ * Both are used up in the same update that accepts them, so two requests
+ * racing with the same code cannot both pass.
+ * @param {object} user
+ * @param {{code?: string, backupCode?: string}} input
+ * @returns {Promise<boolean>}
+ */
+export async function checkSecondFactor(user, { code, backupCode }) {
+  if (!user.twoFactor?.enabled) return false;
+
+  if (backupCode) {
+    const hash = hashToken(normalizeBackupCode(backupCode));
+    const result = await User.updateOne(
+      { id: user.id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step == null) return false;
+
+  const result = await User.updateOne(
+    {
+      id: user.id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+}
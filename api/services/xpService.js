@@ -0,0 +1,95 @@
+import Xp from '../model/xp.js';
+import XpTransaction from '../model/xpTransaction.js';
+
+/**
+ * Record an XP award in the ledger and add it to the user's total.
+ * An award whose idempotency key was already used is ignored.
+ * @param {{userId: number|string, amount: number, source: string, reason?: string, key: string, courseId?: number|string}} award
+ * @returns {Promise<{total: number, awarded: number, duplicate: boolean, transaction: object|null}>}
+ */
+export async function awardXp({ userId, amount, source, reason = '', key, courseId = null }) {
+  const id = String(userId);
+
+  if (!amount) {
+    return { total: await totalFor(id), awarded: 0, duplicate: false, transaction: null };
+  }
+
+  await ensureOpeningBalance(id);
+
+  let transaction;
+  try {
+    transaction = await XpTransaction.create({
+      userId: id,
+      amount,
+      source,
+      reason,
+      idempotencyKey: key,
+      courseId: courseId == null ? null : String(courseId)
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return { total: await totalFor(id), awarded: 0, duplicate: true, transaction: null };
+  }
+
+  // Xp holds the running total so reads stay cheap; the ledger stays the source of truth
+  const xp = await Xp.findOneAndUpdate(
+    { userId: id },
+    { $inc: { points: amount } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { total: xp.points, awarded: amount, duplicate: false, transaction };
+}
+
+/**
+ * Totals from before the ledger existed become its first entry, so
+ * rebuilding from the ledger never loses them.
+ */
+async function ensureOpeningBalance(userId) {
+  if (await XpTransaction.exists({ userId })) return;
+
+  const xp = await Xp.findOne({ userId });
+  if (!xp || !xp.points) return;
+
+  try {
+    await XpTransaction.create({ userId, amount: xp.points, source: 'admin', reason: 'Opening balance', idempotencyKey: 'opening-balance' });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * @param {number|string} userId
+ * @returns {Promise<number>}
+ */
+export async function totalFor(userId) {
+  const xp = await Xp.findOne({ userId: String(userId) });
+  return xp ? xp.points : 0;
+}
+
+/**
+ * Rebuild a user's total from the ledger.
+ * @param {number|string} userId
+ * @returns {Promise<number>}
+ */
+export async function recalculateTotal(userId) {
+  const id = String(userId);
+  await ensureOpeningBalance(id);
+
+  const [sum] = await XpTransaction.aggregate([
+    { $match: { userId: id } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  const total = sum ? sum.total : 0;
+
+  await Xp.findOneAndUpdate(
+    { userId: id },
+    { $set: { points: total } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return total;
+}
+
+// What award sites send back so the client can show the new total
+export const xpSummary = (result) => ({ total: result.total, awarded: result.awarded });
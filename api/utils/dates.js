@@ -0,0 +1,53 @@
+// Calendar-day helpers. Days are 'YYYY-MM-DD' strings so they compare and
+// store without any timezone attached.
+
+/**
+ * @param {string} timeZone - IANA name, e.g. 'Africa/Cairo'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The calendar day an instant falls on in the given timezone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+export function dayInZone(date, timeZone = 'UTC') {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Whole days from one calendar day to another (negative when `to` is earlier).
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} amount
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(day, amount) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + amount);
+  return date.toISOString().slice(0, 10);
+}
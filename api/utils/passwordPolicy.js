@@ -0,0 +1,29 @@
+// Rules every new password must meet; register.html shows the same list
+const RULES = [
+  { test: pw => pw.length >= 8, message: 'at least 8 characters' },
+  { test: pw => /[A-Z]/.test(pw), message: 'an uppercase letter' },
+  { test: pw => /[0-9]/.test(pw), message: 'a number' },
+  { test: pw => /[^A-Za-z0-9]/.test(pw), message: 'a symbol' }
+];
+
+const MAX_LENGTH = 128;
+
+/**
+ * @param {string} password
+ * @param {{email?: string}} [user] - the password may not contain the email's name part
+ * @returns {string|null} what is wrong with the password, or null when it is acceptable
+ */
+export function checkPassword(password, { email } = {}) {
+  if (typeof password !== 'string' || password.length === 0) return 'Password is required';
+  if (password.length > MAX_LENGTH) return `Password must be at most ${MAX_LENGTH} characters`;
+
+  const missing = RULES.filter(rule => !rule.test(password)).map(rule => rule.message);
+  if (missing.length) return `Password needs ${missing.join(', ')}`;
+
+  const name = String(email || '').split('@')[0].toLowerCase();
+  if (name.length >= 3 && password.toLowerCase().includes(name)) {
+    return 'Password must not contain your email address';
+  }
+
+  return null;
+}
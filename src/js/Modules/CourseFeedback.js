@@ -1,6 +1,6 @@
 import { getCourse, courseList } from "./courseSystem.js";
-import { updateXP } from "./progressSystem.js";
-import { api } from "./api.js";
+import { applyXP, applyBadges } from "./progressSystem.js";
+import { api, enqueue } from "./api.js";
 import { mergeFeedbackData } from "./helper.js";
 
 /* =========================
@@ -61,16 +61,6 @@ export async function syncFeedbackFromAPI() {
 }
 syncFeedbackFromAPI()
 
-/**
- * Push local data to backend (fire-and-forget)
- */
-function syncFeedbackToAPI(data) {
-  try {
-    api.post("/feedbacks/sync", data);
-  } catch {
-    /* ignore */
-  }
-}
 
 /* =========================
    MAIN API (LOGIC UNCHANGED)
@@ -82,7 +72,7 @@ export const CourseFeedback = {
     const course = getCourse(Number(courseId));
     if (!course) return false;
 
-    if (stars < 0 || stars > 5) return false;
+    if (stars < 1 || stars > 5) return false;
 
     const feedbackData = initializeFeedbackData();
     let feedbackEntry = feedbackData.find(
@@ -99,16 +89,22 @@ export const CourseFeedback = {
     );
     if (existingFeedback) return false;
 
-    feedbackEntry.feedbacks.push({
+    const review = {
       userId,
       ...(comment ? { comment: comment.trim() } : {}),
       stars: Number(stars.toFixed(1))
-    });
+    };
+    feedbackEntry.feedbacks.push(review);
 
     saveFeedbackData(feedbackData);
-    syncFeedbackToAPI(feedbackData);
+    // Reviewing earns XP on the server; the response carries the new total
+    enqueue("POST", "/feedbacks", { courseId: Number(courseId), ...review }, { key: `feedbacks:${courseId}:${userId}` })
+      .then(body => {
+        applyXP(userId, body?.xp);
+        applyBadges(body?.badges);
+      })
+      .catch(console.error);
 
-    updateXP(userId, 10);
     return true;
   },
 
@@ -135,7 +131,7 @@ export const CourseFeedback = {
   },
 
   updateFeedback(courseId, userId, comment, stars) {
-    if (stars < 0 || stars > 5) return false;
+    if (stars < 1 || stars > 5) return false;
 
     const feedbackData = initializeFeedbackData();
     const feedbackEntry = feedbackData.find(
@@ -149,14 +145,23 @@ export const CourseFeedback = {
     );
     if (idx === -1) return false;
 
+    const base = feedbackEntry.feedbacks[idx];
     feedbackEntry.feedbacks[idx] = {
+      ...base,
       userId,
-      ...(comment ? { comment: comment.trim() } : {}),
+      ...(comment ? { comment: comment.trim() } : { comment: undefined }),
       stars: Number(stars.toFixed(1))
     };
 
     saveFeedbackData(feedbackData);
-    syncFeedbackToAPI(feedbackData);
+
+    const changes = { comment: comment ? comment.trim() : "", stars: Number(stars.toFixed(1)) };
+    enqueue("PATCH", `/feedbacks/${courseId}`, changes, { key: `feedbacks:${courseId}:${userId}`, base, recordKey: "review" })
+      .then(({ record } = {}) => {
+        if (!record) return;
+        saveFeedbackData(mergeFeedbackData(initializeFeedbackData(), [{ courseId, feedbacks: [record] }]));
+      })
+      .catch(console.error);
     return true;
   },
 
@@ -179,7 +184,7 @@ export const CourseFeedback = {
     }
 
     saveFeedbackData(feedbackData);
-    syncFeedbackToAPI(feedbackData);
+    enqueue("DELETE", `/feedbacks/${courseId}?userId=${encodeURIComponent(userId)}`, null, { key: `feedbacks:${courseId}:${userId}` }).catch(console.error);
     return true;
   },
 
@@ -198,6 +203,5 @@ export const CourseFeedback = {
     });
 
     saveFeedbackData(cleaned);
-    syncFeedbackToAPI(cleaned);
   }
 };
\ No newline at end of file
@@ -1,7 +1,9 @@
 import { getCourse } from "./courseSystem.js";
 import { CourseFeedback } from "./CourseFeedback.js";
-import { api } from './api.js';
+import { api, enqueue } from './api.js';
 import { mergeItems } from "./helper.js";
+import { getProgress } from "./progressSystem.js";
+import { getCurrentUser } from "./userSystem.js";
 
 const STORAGE_KEY_COURSES = "cp_courses_videos";
 
@@ -32,8 +34,6 @@ function loadCourseVideos() {
 function saveCourseVideos() {
   try {
     localStorage.setItem(STORAGE_KEY_COURSES, JSON.stringify(courseVideos));
-    // Optional backend sync
-    api.post('/courseVideos/sync', JSON.stringify(courseVideos)).catch(console.error);
   } catch (e) {}
 }
 
@@ -57,7 +57,50 @@ export async function fetchAndMergeCourseVideos(url) {
   }
 }
 
-fetchAndMergeCourseVideos('/courseVideos/')
+/**
+ * Load one course's videos through the server's access check.
+ * @param {number|string} courseId
+ * @returns {Promise<{ok: boolean, denied?: boolean, error?: string, videos?: Array}>}
+ *   denied when the user is not allowed to watch the course; any other
+ *   failure (e.g. offline) leaves the cached copy in place
+ */
+export async function fetchCourseContent(courseId) {
+  const id = String(courseId);
+  try {
+    const { content } = await api.get(`/courses/${id}/content`);
+
+    const merged = mergeItems(courseVideos, [content], 'id');
+    courseVideos.length = 0;
+    courseVideos.push(...merged);
+    saveCourseVideos();
+
+    return { ok: true, videos: content.videos };
+  } catch (e) {
+    if (e.status === 401 || e.status === 403) {
+      forgetCourseVideos(id);
+      return { ok: false, denied: true, error: e.message };
+    }
+    return { ok: false, error: e.message };
+  }
+}
+
+function forgetCourseVideos(id) {
+  const index = courseVideos.findIndex(course => course.id === id);
+  if (index === -1) return;
+  courseVideos.splice(index, 1);
+  saveCourseVideos();
+}
+
+// Staff manage videos in bulk; students only ever hold the courses they are enrolled in
+const viewer = getCurrentUser();
+if (viewer?.role === "admin" || viewer?.role === "instructor") {
+  fetchAndMergeCourseVideos('/courseVideos/')
+} else {
+  const enrolled = (viewer?.enrolledCourses || []).map(String);
+  courseVideos
+    .filter(course => !enrolled.includes(course.id))
+    .forEach(course => forgetCourseVideos(course.id));
+}
 
 /* =========================
    VIDEO MANAGEMENT
@@ -70,11 +113,20 @@ export function createVideo(id, url, title) {
 
   if (videoFind) {
     // Add only if video URL+title not exists
-    if (!videoFind.videos.some(v => v.videoURL === url && v.videoTitle === title)) {
-      videoFind.videos.push(newVideo);
-    }
+    if (videoFind.videos.some(v => v.videoURL === url && v.videoTitle === title)) return;
+    const base = { ...videoFind, videos: [...videoFind.videos] };
+    videoFind.videos.push(newVideo);
+
+    enqueue("PATCH", `/courseVideos/${id}`, { videos: videoFind.videos }, { key: `courseVideos:${id}`, base, recordKey: "courseVideo" })
+      .then(({ record } = {}) => {
+        if (!record) return;
+        Object.assign(videoFind, record);
+        saveCourseVideos();
+      })
+      .catch(console.error);
   } else {
     courseVideos.push({ id, videos: [newVideo] });
+    enqueue("POST", '/courseVideos', { id, videos: [newVideo] }, { key: `courseVideos:${id}` }).catch(console.error);
   }
 
   saveCourseVideos();
@@ -95,6 +147,25 @@ export const CourseInformation = {
     return params.get("id");
   },
 
+  /**
+   * The course's videos with the user's watch state for each chapter
+   * @param {string} id - course id
+   * @param {number|string} userId
+   * @returns {Array<{videoTitle: string, videoURL: string, started: boolean, watched: number, completed: boolean}>}
+   */
+  getVideosWithProgress(id, userId) {
+    const watches = getProgress(userId, id)?.videos || [];
+    return this.getVideos(id).map(video => {
+      const watch = watches.find(w => w.videoId === String(video.videoURL));
+      return {
+        ...video,
+        started: Boolean(watch),
+        watched: watch?.watched || 0,
+        completed: Boolean(watch?.completedAt)
+      };
+    });
+  },
+
   getCourseVideoById(id) {
     return courseVideos.find(course => course.id === id) || null;
   },
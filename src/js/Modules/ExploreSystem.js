@@ -93,7 +93,7 @@ export const ExploreSystem = {
   searchInstructor(instructors, keyword) {
     const lower = keyword.toLowerCase();
     return instructors.filter(c =>
-      c.name.toLowerCase().includes(lower) && c.role === "admin"
+      c.name.toLowerCase().includes(lower) && (c.role === "instructor" || c.role === "admin")
     );
   },
 
@@ -1,3 +1,5 @@
+import { api } from './api.js';
+
 // Variables
 
 /**
@@ -21,27 +23,24 @@ const data ={
 export const Feedback = {
 
   /**
-   * Submits the Feedback message.
+   * Submits the Feedback message as a support ticket.
    * @param {object} data 
-   * @returns {boolean}
+   * @returns {Promise<{id: number, status: string}|null>} the ticket, or null when it was not sent
    */
 
-  submitFeedback(event, data){    
+  async submitFeedback(event, data){    
 
     event.preventDefault();
-    console.log(JSON.stringify(data))
 
     try{
-      fetch("/feedback", {
-        method: "POST",
-        headers: {"Content-Type": "application/json"},
-        bodyOfMessage: JSON.stringify(data),
-      });
+      const { ticket } = await api.post("/support", data);
+      return ticket;
     }
-    catch{
-      return false;
+    catch(err){
+      console.error("Feedback failed:", err);
+      alert(err.status === 429 || err.status === 400 ? err.message : "Your message could not be sent. Please try again later.");
+      return null;
     }
-    return true;
   }
 }
 
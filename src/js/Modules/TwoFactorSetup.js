@@ -0,0 +1,34 @@
+/* =========================
+   TWO-FACTOR SETUP UI
+========================= */
+
+// Shared by two-factor.html (setup during login) and the profile page.
+// The QR code is drawn in the browser so the secret never goes to a third party;
+// pages load qrcode-generator, and without it only the typed key is shown.
+
+/**
+ * @param {HTMLElement} container
+ * @param {string} uri - otpauth:// link from startTwoFactorSetup
+ */
+export function renderQrCode(container, uri) {
+  container.innerHTML = ``;
+  if (typeof window.qrcode !== `function`) return;
+
+  const qr = window.qrcode(0, `M`);
+  qr.addData(uri);
+  qr.make();
+  container.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+}
+
+/**
+ * @param {HTMLElement} list
+ * @param {string[]} codes
+ */
+export function renderBackupCodes(list, codes) {
+  list.innerHTML = ``;
+  codes.forEach(code => {
+    const li = document.createElement(`li`);
+    li.textContent = code;
+    list.appendChild(li);
+  });
+}
@@ -1,3 +1,5 @@
+import { resolveConflict } from './helper.js';
+
 const BASE_URL = "http://127.0.0.1:8000/api";
 
 export async function apiFetch(
@@ -26,11 +28,15 @@ export async function apiFetch(
 
   if (!response.ok) {
     let errorMessage = `HTTP ${response.status}`;
+    let errorData = null;
     try {
-      const errorData = await response.json();
-      errorMessage = errorData.message || errorMessage;
+      errorData = await response.json();
+      errorMessage = errorData.message || errorData.error || errorMessage;
     } catch (_) {}
-    throw new Error(errorMessage);
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
   }
 
   if (response.status === 204) {
@@ -40,9 +46,377 @@ export async function apiFetch(
   return response.json();
 }
 
+/**
+ * Absolute URL of an API endpoint, for links the browser opens directly (downloads)
+ * @param {string} endpoint
+ * @returns {string}
+ */
+export const apiUrl = (endpoint) => `${BASE_URL}${endpoint}`;
+
 export const api = {
   get: (url) => apiFetch(url),
   post: (url, body) => apiFetch(url, { method: "POST", body }),
   put: (url, body) => apiFetch(url, { method: "PUT", body }),
+  patch: (url, body) => apiFetch(url, { method: "PATCH", body }),
   delete: (url, body = null) => apiFetch(url, { method: "DELETE", body })
 };
+
+/**
+ * PATCH a record guarded by its revision. When the server answers 409 the
+ * edit is re-merged onto the server's copy and retried once; fields both
+ * sides changed keep the server's value and are reported through a
+ * `cp:sync-conflict` window event.
+ *
+ * @param {string} url
+ * @param {object} base - the record as last seen from the server (carries `rev`)
+ * @param {object} changes - fields to write
+ * @param {{extract?: Function, volatile?: string[]}} [options]
+ *   extract pulls the saved record out of the response body
+ * @returns {Promise<{record: object, conflicts: Array}>}
+ */
+export async function patchWithRevision(url, base, changes, { extract = body => body, volatile = [] } = {}) {
+  try {
+    const body = await api.patch(url, { ...changes, rev: base?.rev ?? 0 });
+    return { record: extract(body), conflicts: [] };
+  } catch (err) {
+    if (err.status !== 409 || !err.data?.current) throw err;
+
+    const current = err.data.current;
+    const resolved = resolveConflict(base, changes, current, { volatile });
+
+    if (resolved.conflicts.length) {
+      window.dispatchEvent(new CustomEvent("cp:sync-conflict", {
+        detail: { url, conflicts: resolved.conflicts, current }
+      }));
+    }
+
+    if (Object.keys(resolved.changes).length === 0) {
+      return { record: current, conflicts: resolved.conflicts };
+    }
+
+    const body = await api.patch(url, { ...resolved.changes, rev: current.rev ?? 0 });
+    return { record: extract(body), conflicts: resolved.conflicts };
+  }
+}
+
+/* =========================
+   OFFLINE OUTBOX
+========================= */
+
+// Every mutation is recorded here before it is sent, so writes made while
+// the server is unreachable survive reloads and are replayed in order once
+// it answers again.
+//
+// Each account has its own outbox. Writes like PATCH /progress/:courseId
+// name no user, so the server credits them to whoever the session belongs
+// to; an entry is only sent while its owner is the confirmed signed-in user.
+// Entries left at logout wait until that user signs in again.
+
+const STORAGE_KEY_OUTBOX = "cp_outbox_v1";
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// The signed-in user (null for nobody), and whether the server has
+// confirmed the session is theirs rather than a cached guess
+let owner = null;
+let ownerConfirmed = false;
+
+const storedKeys = new Set();
+let outbox = loadOutbox();
+let flushing = false;
+let retryTimer = null;
+let nextEntryId = outbox.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+
+// Delivery callbacks only live for the current page; replayed entries from
+// an earlier page load simply complete silently
+const waiters = new Map();
+const listeners = new Set();
+
+const storageKey = (userId) => `${STORAGE_KEY_OUTBOX}:${userId ?? "guest"}`;
+
+const isMine = (entry) => entry.userId === owner;
+
+function loadOutbox() {
+  const stored = [];
+  try {
+    // The shared outbox of older builds cannot tell whose writes it holds
+    localStorage.removeItem(STORAGE_KEY_OUTBOX);
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(`${STORAGE_KEY_OUTBOX}:`)) continue;
+      storedKeys.add(key);
+      stored.push(...(JSON.parse(localStorage.getItem(key)) || []));
+    }
+  } catch (e) {}
+
+  // Anything in flight when the page closed is unconfirmed; send it again
+  return stored
+    .sort((a, b) => a.id - b.id)
+    .map(entry => ({ ...entry, inFlight: false }));
+}
+
+function saveOutbox() {
+  try {
+    const byKey = new Map([...storedKeys].map(key => [key, []]));
+    outbox.forEach(entry => {
+      const key = storageKey(entry.userId);
+      byKey.set(key, [...(byKey.get(key) || []), entry]);
+    });
+
+    byKey.forEach((entries, key) => {
+      if (entries.length) {
+        localStorage.setItem(key, JSON.stringify(entries));
+        storedKeys.add(key);
+      } else {
+        localStorage.removeItem(key);
+        storedKeys.delete(key);
+      }
+    });
+  } catch (e) {}
+
+  const state = getOutboxState();
+  listeners.forEach(fn => {
+    try { fn(state); } catch (e) { console.error(e); }
+  });
+  window.dispatchEvent(new CustomEvent("cp:outbox-change", { detail: state }));
+}
+
+/**
+ * Network failures, timeouts and server-side errors are worth retrying;
+ * a 4xx means the request itself is wrong and retrying will not help.
+ */
+function isRetryable(err) {
+  return err.status == null || err.status >= 500 || err.status === 408 || err.status === 429;
+}
+
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempts, BACKOFF_MAX_MS);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Fold a new write into the pending one for the same record.
+ * @returns {boolean} true when the new write was absorbed
+ */
+function coalesce(pending, entry) {
+  if (entry.method === "DELETE") {
+    // Created and deleted before the server ever saw it: nothing to send
+    if (pending.method === "POST") {
+      outbox = outbox.filter(e => e !== pending);
+      return true;
+    }
+    Object.assign(pending, { method: "DELETE", url: entry.url, body: entry.body, revision: false, base: null });
+    return true;
+  }
+
+  if (pending.method === "DELETE") return false;
+
+  if (entry.body?.increment != null && pending.body?.increment != null) {
+    pending.body = { ...pending.body, increment: pending.body.increment + entry.body.increment };
+    return true;
+  }
+
+  // POST + PATCH or PATCH + PATCH: send the latest values in a single write
+  pending.body = { ...pending.body, ...entry.body };
+  return true;
+}
+
+/**
+ * Record a mutation and try to deliver it.
+ *
+ * @param {string} method
+ * @param {string} url
+ * @param {object|null} [body]
+ * @param {object} [options]
+ * @param {string} [options.key] - record identity used to dedupe writes (defaults to method + url)
+ * @param {object} [options.base] - when set, the write is a revision-guarded PATCH (see patchWithRevision)
+ * @param {string[]} [options.volatile] - passed through to patchWithRevision
+ * @param {string} [options.recordKey] - response field holding the saved record of a revision-guarded write
+ * @returns {Promise<any>} resolves once delivered during this page's lifetime: with the response
+ *   body, or with patchWithRevision's { record, conflicts } for revision-guarded writes
+ */
+export function enqueue(method, url, body = null, { key = `${method} ${url}`, base = null, volatile = [], recordKey = null } = {}) {
+  const entry = {
+    id: nextEntryId++,
+    userId: owner,
+    key,
+    method,
+    url,
+    body,
+    base,
+    revision: base != null,
+    volatile,
+    recordKey,
+    attempts: 0,
+    nextAttemptAt: 0,
+    status: "pending",
+    lastError: null,
+    inFlight: false,
+    createdAt: new Date().toISOString()
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    const pending = outbox.find(e => isMine(e) && e.key === key && e.status === "pending" && !e.inFlight);
+    let target = entry;
+
+    if (pending && coalesce(pending, entry)) {
+      // The write cancelled out a create that was never sent
+      if (!outbox.includes(pending)) {
+        resolve(null);
+        return;
+      }
+      target = pending;
+    } else {
+      outbox.push(entry);
+    }
+
+    const list = waiters.get(target.id) || [];
+    list.push({ resolve, reject });
+    waiters.set(target.id, list);
+  });
+
+  saveOutbox();
+  flushOutbox();
+  return promise;
+}
+
+function settle(entry, outcome, value) {
+  const list = waiters.get(entry.id) || [];
+  waiters.delete(entry.id);
+  list.forEach(waiter => waiter[outcome](value));
+}
+
+async function deliver(entry) {
+  if (entry.revision) {
+    const extract = body => entry.recordKey ? body?.[entry.recordKey] : body;
+    return patchWithRevision(entry.url, entry.base, entry.body, { volatile: entry.volatile, extract });
+  }
+  return apiFetch(entry.url, { method: entry.method, body: entry.body });
+}
+
+/**
+ * Send pending writes in the order they were made. Stops at the first
+ * retryable failure so later writes never overtake earlier ones.
+ */
+export async function flushOutbox() {
+  if (flushing || !ownerConfirmed) return;
+  flushing = true;
+  clearTimeout(retryTimer);
+
+  try {
+    for (const entry of [...outbox]) {
+      // The user can change while a write is on its way; stop sending theirs
+      if (!ownerConfirmed) break;
+      if (!isMine(entry) || entry.status !== "pending" || entry.inFlight) continue;
+      if (entry.nextAttemptAt > Date.now()) break;
+
+      entry.inFlight = true;
+      saveOutbox();
+
+      try {
+        const result = await deliver(entry);
+        outbox = outbox.filter(e => e !== entry);
+
+        // Later writes to the same record were based on the copy we just replaced
+        if (entry.revision && result?.record) {
+          outbox
+            .filter(e => e.userId === entry.userId && e.key === entry.key && e.revision)
+            .forEach(e => { e.base = { ...e.base, ...result.record }; });
+        }
+
+        saveOutbox();
+        settle(entry, "resolve", result);
+      } catch (err) {
+        entry.inFlight = false;
+        entry.attempts++;
+        entry.lastError = err.message;
+
+        if (isRetryable(err)) {
+          entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+          saveOutbox();
+          break;
+        }
+
+        entry.status = "failed";
+        saveOutbox();
+        settle(entry, "reject", err);
+      }
+    }
+  } finally {
+    flushing = false;
+    scheduleRetry();
+  }
+}
+
+function scheduleRetry() {
+  const next = outbox.find(e => isMine(e) && e.status === "pending" && !e.inFlight);
+  if (!next || !ownerConfirmed) return;
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(flushOutbox, Math.max(next.nextAttemptAt - Date.now(), 0));
+}
+
+/**
+ * @returns {{pending: number, failed: number, items: Array<object>}}
+ */
+export function getOutboxState() {
+  const mine = outbox.filter(isMine);
+  return {
+    pending: mine.filter(e => e.status === "pending").length,
+    failed: mine.filter(e => e.status === "failed").length,
+    items: mine.map(({ base, ...entry }) => ({ ...entry }))
+  };
+}
+
+/**
+ * Subscribe to outbox changes. The listener is called right away with the current state.
+ * @param {(state: ReturnType<typeof getOutboxState>) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onOutboxChange(fn) {
+  listeners.add(fn);
+  fn(getOutboxState());
+  return () => listeners.delete(fn);
+}
+
+export function retryFailed() {
+  outbox.forEach(entry => {
+    if (!isMine(entry) || entry.status !== "failed") return;
+    entry.status = "pending";
+    entry.attempts = 0;
+    entry.nextAttemptAt = 0;
+  });
+  saveOutbox();
+  flushOutbox();
+}
+
+export function discardFailed() {
+  outbox = outbox.filter(entry => !isMine(entry) || entry.status !== "failed");
+  saveOutbox();
+}
+
+// Connectivity is back: retry immediately instead of waiting out the backoff
+function wakeUp() {
+  outbox.forEach(entry => { if (isMine(entry) && entry.status === "pending") entry.nextAttemptAt = 0; });
+  flushOutbox();
+}
+
+/**
+ * Set whose session writes are sent under. userSystem calls this whenever
+ * the signed-in user changes; entries queued by anyone else are held.
+ * @param {number|null} userId - null when nobody is signed in
+ * @param {{confirmed?: boolean}} [options] - false while the user is only
+ *   the cached one and the server has not answered yet; nothing is sent until then
+ */
+export function setOutboxOwner(userId, { confirmed = true } = {}) {
+  owner = userId ?? null;
+  ownerConfirmed = confirmed;
+  clearTimeout(retryTimer);
+  saveOutbox();
+  flushOutbox();
+}
+
+window.addEventListener("online", wakeUp);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") wakeUp();
+});
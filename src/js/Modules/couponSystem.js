@@ -0,0 +1,98 @@
+import { api, patchWithRevision } from './api.js';
+
+/* =========================
+   TYPES
+========================= */
+
+/**
+ * @typedef {Object} Coupon
+ * @property {number} id
+ * @property {string} code
+ * @property {"percent"|"fixed"} type
+ * @property {number} value - percent off, or an amount off
+ * @property {number[]} courseIds - empty with no categories: every course
+ * @property {string[]} categories
+ * @property {string|null} startsAt
+ * @property {string|null} expiresAt
+ * @property {number|null} maxUses
+ * @property {number|null} maxUsesPerUser
+ * @property {number} uses
+ * @property {boolean} active
+ * @property {number} rev
+ */
+
+/**
+ * @typedef {Object} Pricing
+ * @property {number} subtotal
+ * @property {number} discount
+ * @property {number} amount - what the buyer pays
+ */
+
+/* =========================
+   CHECKOUT
+========================= */
+
+/**
+ * Price a course with a coupon code. The server prices the order again when
+ * it is placed, so this is only what the buyer is shown.
+ * @param {string} code
+ * @param {number} courseId
+ * @returns {Promise<{ok: boolean, error?: string, message?: string, code?: string, pricing?: Pricing}>}
+ */
+export async function validateCoupon(code, courseId) {
+  try {
+    const { coupon, pricing, message } = await api.post('/coupons/validate', { code, courseId });
+    return { ok: true, code: coupon.code, pricing, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/* =========================
+   ADMIN
+========================= */
+
+/**
+ * @param {{active?: boolean}} [filter]
+ * @returns {Promise<Coupon[]>} newest first
+ */
+export function fetchCoupons(filter = {}) {
+  return api.get(`/coupons${filter.active ? `?active=true` : ``}`);
+}
+
+/**
+ * @param {object} fields - code, type, value and optionally courseIds, categories, startsAt, expiresAt, maxUses, maxUsesPerUser
+ */
+export async function createCoupon(fields) {
+  try {
+    const { coupon, message } = await api.post('/coupons', fields);
+    return { ok: true, coupon, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * @param {Coupon} coupon - as last loaded; its rev guards the edit
+ * @param {object} changes
+ */
+export async function updateCoupon(coupon, changes) {
+  try {
+    const { record } = await patchWithRevision(`/coupons/${coupon.id}`, coupon, changes, { extract: body => body.coupon });
+    return { ok: true, coupon: record };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * @param {number} couponId
+ */
+export async function deleteCoupon(couponId) {
+  try {
+    const { message } = await api.delete(`/coupons/${couponId}`);
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
@@ -1,6 +1,6 @@
-import { cleanupCourseData } from './progressSystem.js';
-import { listUsers, updateUser } from "./userSystem.js";
-import { api } from './api.js';
+import { cleanupCourseData, applyBadges } from './progressSystem.js';
+import { applyEnrollment, applyServerUser, cleanupUserEnrollments } from "./userSystem.js";
+import { api, enqueue } from './api.js';
 import {mergeItems} from './helper.js'
 
 const STORAGE_KEY_COURSES = "cp_courses_v1";
@@ -23,11 +23,9 @@ function loadCourses() {
   }
 }
 
-async function saveCourses() {
+function saveCourses() {
   try {
     localStorage.setItem(STORAGE_KEY_COURSES, JSON.stringify(courseList));
-    // Optional backend sync
-    api.post('/courses/sync', JSON.stringify(courseList)).catch(console.error);
   } catch (e) {}
 }
 
@@ -92,6 +90,17 @@ export function createCourse(course) {
   };
   courseList.push(newCourse);
   saveCourses();
+
+  // The server keeps our id unless another tab already took it
+  enqueue("POST", '/courses', newCourse, { key: `courses:${newCourse.id}` })
+    .then(({ course } = {}) => {
+      if (course && course.id !== newCourse.id) {
+        newCourse.id = course.id;
+        saveCourses();
+      }
+    })
+    .catch(console.error);
+
   return newCourse;
 }
 
@@ -105,8 +114,20 @@ export function editCourse(id, data) {
     data.categories = [...new Set([...oldCategories, ...data.categories])];
   }
 
-  courseList[idx] = { ...courseList[idx], ...data };
+  const base = { ...courseList[idx] };
+  courseList[idx] = { ...base, ...data };
   saveCourses();
+
+  enqueue("PATCH", `/courses/${id}`, data, { key: `courses:${id}`, base, recordKey: "course" })
+    .then(({ record } = {}) => {
+      const current = _findCourseIndex(id);
+      if (record && current !== -1) {
+        courseList[current] = { ...courseList[current], ...record };
+        saveCourses();
+      }
+    })
+    .catch(console.error);
+
   return courseList[idx];
 }
 
@@ -114,7 +135,7 @@ export async function deleteCourse(id) {
   const idx = _findCourseIndex(id);
   if (idx === -1) return false;
   courseList.splice(idx, 1);
-  api.delete('/courses/delete', {id})
+  enqueue("DELETE", `/courses/${id}`, null, { key: `courses:${id}` }).catch(console.error);
   saveCourses();
   return true;
 }
@@ -132,6 +153,8 @@ export function incrementVisits(courseId) {
   if (!c) return null;
   c.visits = (c.visits || 0) + 1;
   saveCourses();
+  // Every visit counts, so each one gets its own outbox entry
+  enqueue("POST", `/courses/${courseId}/visits`, null, { key: `courses:${courseId}:visit:${Date.now()}` }).catch(console.error);
   return c.visits;
 }
 
@@ -151,6 +174,13 @@ export function getAnalytics() {
    ENROLLMENT
 ========================= */
 
+/**
+ * Enroll in a free course, or (admins) grant one to another user.
+ * Paid courses are enrolled by checkout in orderSystem.js.
+ * @param {number} userId
+ * @param {number} courseId
+ * @returns {boolean} false when the user was already enrolled
+ */
 export function enrollUser(userId, courseId) {
   const c = getCourse(courseId);
   if (!c) return false;
@@ -158,6 +188,15 @@ export function enrollUser(userId, courseId) {
   if (c.students.some(s => s[0] === userId)) return false;
   c.students.push([userId, new Date().toISOString()]);
   saveCourses();
+  applyEnrollment(userId, courseId);
+
+  // Both the roster and the user's list are updated by the server in one go
+  enqueue("POST", "/enrollments", { courseId, userId }, { key: `enrollments:${courseId}:${userId}` })
+    .then(body => {
+      applyBadges(body?.badges);
+      applyServerUser(body?.user);
+    })
+    .catch(console.error);
   return true;
 }
 
@@ -179,12 +218,8 @@ export function courseDeletion(courseId) {
   if (!courseDeleted) return false;
 
   cleanupCourseData(courseId);
-
-  const students = listUsers().filter(u => u.role === "student");
-  students.forEach(student => {
-    const remainingCourses = student.enrolledCourses.filter(course => String(course) !== String(courseId));
-    updateUser(student, { enrolledCourses: remainingCourses });
-  });
+  // The server drops the course from every user when it deletes it
+  cleanupUserEnrollments(courseId);
 
   return true;
 }
@@ -0,0 +1,50 @@
+import { apiUrl } from './api.js';
+import { getCurrentUser } from './userSystem.js';
+
+/* =========================
+   SERVER PUSH
+========================= */
+
+// One EventSource per page, opened when the first listener subscribes.
+// The browser reconnects on its own; events sent while it was away are
+// not replayed, so listeners of "reconnect" should refetch what they show.
+
+const listeners = new Map();
+let source = null;
+let connectedBefore = false;
+
+function dispatch(type, data) {
+  (listeners.get(type) || []).forEach(fn => {
+    try { fn(data); } catch (e) { console.error(e); }
+  });
+}
+
+function connect() {
+  if (source || !getCurrentUser() || typeof EventSource === "undefined") return;
+
+  source = new EventSource(apiUrl("/events"), { withCredentials: true });
+
+  source.addEventListener("open", () => {
+    if (connectedBefore) dispatch("reconnect", null);
+    connectedBefore = true;
+  });
+
+  ["notification", "enrollment", "review", "course"].forEach(type => {
+    source.addEventListener(type, (e) => {
+      try { dispatch(type, JSON.parse(e.data)); } catch (err) { console.error(err); }
+    });
+  });
+}
+
+/**
+ * Listen for events pushed by the server
+ * @param {"notification"|"enrollment"|"review"|"course"|"reconnect"} type
+ * @param {(data: object|null) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onServerEvent(type, fn) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(fn);
+  connect();
+  return () => listeners.get(type).delete(fn);
+}
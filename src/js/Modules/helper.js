@@ -1,3 +1,18 @@
+// Fields the server maintains; never compared or sent back as edits
+const SERVER_FIELDS = ['rev', 'createdAt', 'updatedAt'];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * A newer server revision always wins; a stale one never overwrites what we
+ * already have (e.g. the fresher copy returned by our own PATCH).
+ */
+function isStale(existing, incoming) {
+  return existing?.rev != null && incoming?.rev != null && incoming.rev < existing.rev;
+}
+
 export function mergeItems(existingItems, incomingItems, idKey = 'id') {
   const merged = [...existingItems];
   const existingMap = new Map(existingItems.map(item => [item[idKey], item]));
@@ -7,7 +22,7 @@ export function mergeItems(existingItems, incomingItems, idKey = 'id') {
     if (!existing) {
       // New item, add it
       merged.push(incoming);
-    } else {
+    } else if (!isStale(existing, incoming)) {
       // Existing item, update keys that have changed
       Object.keys(incoming).forEach(key => {
         // Update only if different
@@ -21,6 +36,62 @@ export function mergeItems(existingItems, incomingItems, idKey = 'id') {
   return merged;
 }
 
+/**
+ * Three-way merge of a rejected edit onto the server's current copy.
+ *
+ * `base` is the record our edit started from, `changes` the fields we tried
+ * to write, `server` the copy returned with the 409. Fields only we touched
+ * are re-applied; arrays both sides touched are merged item by item; any
+ * other field both sides changed is a real conflict and the server keeps it.
+ *
+ * @param {object} base
+ * @param {object} changes
+ * @param {object} server
+ * @param {{volatile?: string[]}} [options] - fields where our value always wins silently
+ * @returns {{merged: object, changes: object, conflicts: Array<{field: string, local: any, server: any}>}}
+ */
+export function resolveConflict(base, changes, server, { volatile = [] } = {}) {
+  const remaining = {};
+  const conflicts = [];
+
+  Object.keys(changes)
+    .filter(key => !SERVER_FIELDS.includes(key))
+    .forEach(key => {
+      const local = changes[key];
+      const theirs = server[key];
+
+      if (same(local, theirs)) return;
+
+      const serverChanged = !same(theirs, base?.[key]);
+
+      if (!serverChanged || volatile.includes(key)) {
+        remaining[key] = local;
+        return;
+      }
+
+      if (Array.isArray(local) && Array.isArray(theirs)) {
+        const before = (base?.[key] || []).map(item => JSON.stringify(item));
+        const ours = local.map(item => JSON.stringify(item));
+        const added = local.filter(item => !before.includes(JSON.stringify(item)));
+        const removed = before.filter(item => !ours.includes(item));
+
+        remaining[key] = [
+          ...theirs.filter(item => !removed.includes(JSON.stringify(item))),
+          ...added.filter(item => !theirs.some(t => same(t, item)))
+        ];
+        return;
+      }
+
+      conflicts.push({ field: key, local, server: theirs });
+    });
+
+  return {
+    merged: { ...server, ...remaining },
+    changes: remaining,
+    conflicts
+  };
+}
+
 
 export function mergeFeedbackData(existingData, incomingData) {
   const map = new Map();
@@ -55,8 +126,8 @@ export function mergeFeedbackData(existingData, incomingData) {
       if (idx === -1) {
         // new user feedback
         existingEntry.feedbacks.push(incomingFb);
-      } else {
-        // overwrite changed values
+      } else if (!isStale(existingEntry.feedbacks[idx], incomingFb)) {
+        // the server's review is at least as new as ours
         existingEntry.feedbacks[idx] = {
           ...existingEntry.feedbacks[idx],
           ...incomingFb
@@ -71,24 +142,17 @@ export function mergeFeedbackData(existingData, incomingData) {
 export function mergeXP(localXP, serverXP) {
   const map = new Map();
 
-  // Server = source of truth
+  // Server = source of truth; totals are summed from its XP ledger
   serverXP.forEach(xp => {
     map.set(xp.userId, { ...xp });
   });
 
-  // Merge local (only if missing or higher)
+  // Keep local-only records until the server has seen them
   localXP.forEach(local => {
-    const server = map.get(local.userId);
-    if (!server) {
+    if (!map.has(local.userId)) {
       map.set(local.userId, { ...local });
-    } else if (local.points !== server.points) {
-      // choose higher to avoid loss
-      map.set(local.userId, {
-        userId: local.userId,
-        points: Math.max(local.points, server.points),
-      });
     }
   });
 
   return [...map.values()];
-}
\ No newline at end of file
+}
@@ -0,0 +1,159 @@
+import { api, enqueue } from './api.js';
+import { getCurrentUser } from './userSystem.js';
+import { onServerEvent } from './eventStream.js';
+
+/* =========================
+   CONSTANTS
+========================= */
+
+const STORAGE_KEY_INBOX = "cp_notifications_v2";
+
+// The old list was shared by everyone who used the device
+localStorage.removeItem("cp_notifications_v1");
+
+/* =========================
+   INTERNAL STATE
+========================= */
+
+/**
+ * @typedef {Object} AppNotification
+ * @property {string} id
+ * @property {"info"|"course"|"review"|"badge"} type
+ * @property {string} message
+ * @property {string|null} link
+ * @property {boolean} isRead
+ * @property {string} createdAt
+ */
+
+// Latest page of the signed-in user's inbox, cached so the bell renders offline
+let inbox = loadInbox();
+const listeners = new Set();
+
+/* =========================
+   STORAGE HELPERS
+========================= */
+
+function loadInbox() {
+  const empty = { userId: null, notifications: [], unread: 0 };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_INBOX)) || empty;
+    // Never show one user's inbox to the next person signing in on this device
+    return stored.userId === String(getCurrentUser()?.id) ? stored : empty;
+  } catch (e) {
+    return empty;
+  }
+}
+
+function saveInbox() {
+  try { localStorage.setItem(STORAGE_KEY_INBOX, JSON.stringify(inbox)); } catch (e) {}
+  listeners.forEach(fn => {
+    try { fn(inbox); } catch (e) { console.error(e); }
+  });
+}
+
+/* =========================
+   API FETCH
+========================= */
+
+/**
+ * Load a page of the signed-in user's notifications (newest first).
+ * The first page of the full list is kept as the local cache.
+ * @param {{page?: number, limit?: number, unreadOnly?: boolean}} [options]
+ * @returns {Promise<{notifications: AppNotification[], total: number, unread: number}>}
+ */
+export async function fetchNotifications({ page = 1, limit = 20, unreadOnly = false } = {}) {
+  const user = getCurrentUser();
+  if (!user) return { notifications: [], total: 0, unread: 0 };
+
+  const params = new URLSearchParams({ page, limit });
+  if (unreadOnly) params.set("unread", "true");
+
+  const body = await api.get(`/notifications?${params}`);
+
+  if (page === 1 && !unreadOnly) {
+    inbox = { userId: String(user.id), notifications: body.notifications, unread: body.unread };
+    saveInbox();
+  }
+
+  return body;
+}
+
+/* =========================
+   READ / DELETE
+========================= */
+
+/**
+ * Mark one notification, or all of them, as read
+ * @param {string|null} [notificationId=null] - null marks everything read
+ */
+export function markAsRead(notificationId = null) {
+  const targets = inbox.notifications.filter(n => !n.isRead && (notificationId == null || n.id === notificationId));
+  if (notificationId != null && targets.length === 0) return;
+
+  targets.forEach(n => { n.isRead = true; });
+  inbox.unread = notificationId == null ? 0 : Math.max(inbox.unread - targets.length, 0);
+  saveInbox();
+
+  const write = notificationId == null
+    ? enqueue("PATCH", "/notifications/read-all", null, { key: `notifications:${inbox.userId}:read-all` })
+    : enqueue("PATCH", `/notifications/${notificationId}/read`, null, { key: `notifications:${notificationId}` });
+
+  write.catch(console.error);
+}
+
+/**
+ * @param {string} notificationId
+ */
+export function deleteNotification(notificationId) {
+  const notification = inbox.notifications.find(n => n.id === notificationId);
+  if (!notification) return;
+
+  inbox.notifications = inbox.notifications.filter(n => n !== notification);
+  if (!notification.isRead) inbox.unread = Math.max(inbox.unread - 1, 0);
+  saveInbox();
+
+  enqueue("DELETE", `/notifications/${notificationId}`, null, { key: `notifications:${notificationId}` }).catch(console.error);
+}
+
+/* =========================
+   GETTERS
+========================= */
+
+/**
+ * @returns {AppNotification[]}
+ */
+export function getNotifications() { return inbox.notifications; }
+
+/**
+ * @returns {number}
+ */
+export function getUnreadCount() { return inbox.unread; }
+
+/**
+ * Subscribe to inbox changes. The listener is called right away with the current inbox.
+ * @param {(inbox: {notifications: AppNotification[], unread: number}) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onNotificationsChange(fn) {
+  listeners.add(fn);
+  fn(inbox);
+  return () => listeners.delete(fn);
+}
+
+/* =========================
+   LIVE UPDATES
+========================= */
+
+onServerEvent("notification", (notification) => {
+  if (inbox.notifications.some(n => n.id === notification.id)) return;
+  inbox.userId = String(getCurrentUser()?.id);
+  inbox.notifications = [notification, ...inbox.notifications];
+  inbox.unread++;
+  saveInbox();
+});
+
+onServerEvent("reconnect", () => {
+  fetchNotifications().catch(err => console.error("Failed to fetch notifications:", err));
+});
+
+fetchNotifications().catch(err => console.error("Failed to fetch notifications:", err));
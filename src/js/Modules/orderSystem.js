@@ -0,0 +1,193 @@
+import { api } from './api.js';
+import { refreshCurrentUser } from './userSystem.js';
+import { fetchAndMergeCourses } from './courseSystem.js';
+import { applyBadges } from './progressSystem.js';
+
+/* =========================
+   TYPES
+========================= */
+
+/**
+ * @typedef {Object} Order
+ * @property {number} id
+ * @property {number} userId
+ * @property {number} courseId
+ * @property {string} courseTitle
+ * @property {number} subtotal - the course price
+ * @property {number} discount
+ * @property {string|null} couponCode
+ * @property {number} amount - what was charged
+ * @property {string} currency
+ * @property {"card"|"paypal"|"vodafone"} method
+ * @property {string|null} methodLabel
+ * @property {"pending"|"authorized"|"captured"|"failed"|"refunded"} status
+ * @property {string|null} failureReason
+ * @property {RefundRequest|null} refundRequest
+ * @property {string|null} capturedAt
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} RefundRequest
+ * @property {"pending"|"approved"|"rejected"} status
+ * @property {string} reason
+ * @property {number} progress - course progress when it was asked for
+ * @property {string} requestedAt
+ * @property {string|null} note - the admin's answer
+ */
+
+/* =========================
+   CHECKOUT
+========================= */
+
+// Payments never go through the offline outbox: the buyer has to see the outcome
+
+/**
+ * Buy a course: open an order, authorize the payment, then capture it.
+ * The server enrolls the buyer on capture.
+ * @param {number} courseId
+ * @param {"card"|"paypal"|"vodafone"} method
+ * @param {object} details - card: {cardNumber, expiry, cvv}, paypal: {email}, vodafone: {phone}
+ * @param {string|null} [couponCode]
+ * @returns {Promise<{ok: boolean, error?: string, couponUnavailable?: boolean, order?: Order}>}
+ */
+export async function checkout(courseId, method, details, couponCode = null) {
+  let order = null;
+  try {
+    ({ order } = await api.post('/orders', { courseId, method, couponCode }));
+
+    // An order left authorized by an earlier attempt only needs capturing; one
+    // already paid whose enrollment failed is finished by capturing it again
+    if (order.status === "pending") {
+      ({ order } = await api.post(`/orders/${order.id}/authorize`, { details }));
+    }
+
+    const captured = await api.post(`/orders/${order.id}/capture`);
+    applyBadges(captured.badges);
+
+    await Promise.all([refreshCurrentUser(), fetchAndMergeCourses('/courses/')]);
+    return { ok: true, order: captured.order };
+  } catch (e) {
+    return { ok: false, error: e.message, couponUnavailable: e.data?.code === "COUPON_UNAVAILABLE", order: e.data?.order || order };
+  }
+}
+
+/**
+ * Enroll in a free course, or a paid one with a coupon that covers all of it.
+ * Like checkout this waits for the server, since the course page only opens
+ * once the enrollment is recorded there.
+ * @param {number} courseId
+ * @param {string|null} [couponCode]
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function enrollFree(courseId, couponCode = null) {
+  try {
+    const { badges } = await api.post('/enrollments', { courseId, ...(couponCode ? { couponCode } : {}) });
+    applyBadges(badges);
+
+    await Promise.all([refreshCurrentUser(), fetchAndMergeCourses('/courses/')]);
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/* =========================
+   HISTORY
+========================= */
+
+/**
+ * @returns {Promise<Order[]>} the signed-in user's orders, newest first
+ */
+export function fetchMyOrders() {
+  return api.get('/orders/me');
+}
+
+/**
+ * Admin: every order, newest first
+ * @param {{status?: string, userId?: number, courseId?: number}} [filter]
+ * @returns {Promise<Order[]>}
+ */
+export function fetchOrders(filter = {}) {
+  const params = new URLSearchParams(Object.entries(filter).filter(([, v]) => v != null && v !== ""));
+  return api.get(`/orders${params.size ? `?${params}` : ""}`);
+}
+
+/* =========================
+   REFUNDS
+========================= */
+
+/**
+ * @returns {Promise<{windowDays: number, maxProgress: number}>}
+ */
+export function fetchRefundPolicy() {
+  return api.get('/orders/refund-policy');
+}
+
+/**
+ * Whether the buyer may still ask for this order to be refunded
+ * @param {Order} order
+ * @param {{windowDays: number, maxProgress: number}} policy
+ * @param {number} progress - the buyer's progress in the course
+ */
+export function canRequestRefund(order, policy, progress) {
+  if (order.status !== "captured" || order.refundRequest || !order.capturedAt) return false;
+  const deadline = new Date(order.capturedAt).getTime() + policy.windowDays * 24 * 60 * 60 * 1000;
+  return Date.now() < deadline && progress < policy.maxProgress;
+}
+
+/**
+ * Ask an admin to refund an order
+ * @param {number} orderId
+ * @param {string} reason
+ */
+export async function requestRefund(orderId, reason) {
+  try {
+    const { order, message } = await api.post(`/orders/${orderId}/refund-request`, { reason });
+    return { ok: true, order, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Admin: return the money and remove the buyer from the course
+ * @param {number} orderId
+ * @param {string} [note] - passed on to the buyer
+ */
+export async function refundOrder(orderId, note) {
+  try {
+    const { order, message } = await api.post(`/orders/${orderId}/refund`, { note });
+    return { ok: true, order, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Admin: grant a refund request, which refunds the order
+ * @param {number} orderId
+ * @param {string} [note]
+ */
+export async function approveRefund(orderId, note) {
+  try {
+    const { order, message } = await api.post(`/orders/${orderId}/refund-request/approve`, { note });
+    return { ok: true, order, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Admin: turn a refund request down
+ * @param {number} orderId
+ * @param {string} [note] - why, shown to the buyer
+ */
+export async function rejectRefund(orderId, note) {
+  try {
+    const { order, message } = await api.post(`/orders/${orderId}/refund-request/reject`, { note });
+    return { ok: true, order, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
@@ -1,9 +1,10 @@
 // Complete Progress System:
-// trackProgress, XP, streaks, certificates, exercises, notifications (PERSISTENT)
+// trackProgress, XP, streaks, certificates, exercises (PERSISTENT)
 
 import { courseList } from './courseSystem.js';
 import { mergeXP } from './helper.js';
-import { api } from './api.js';
+import { api, apiUrl, enqueue } from './api.js';
+import { getCurrentUser } from './userSystem.js';
 
 // STORAGE KEYS 
 const STORAGE_KEY_PROGRESS = "cp_progress_v2";
@@ -11,7 +12,9 @@ const STORAGE_KEY_CERTIFICATES = "cp_certificates_v2";
 const STORAGE_KEY_STREAKS = "cp_streaks_v2";
 const STORAGE_KEY_XP = "cp_xp_v2";
 const STORAGE_KEY_EXERCISES = "cp_exercises_v2";
-const STORAGE_KEY_NOTIFICATIONS = "cp_notifications_v1"; // Key for storing notifications
+
+// Share of a video (in %) that has to be watched before its chapter counts as done
+export const COMPLETION_THRESHOLD = 90;
 
 // IN MEMORY DATA 
 let progressList = loadProgress() || [];
@@ -19,14 +22,19 @@ let certificates = loadCertificates() || [];
 let streaks = loadStreaks() || [];
 let xpList = loadXP() || [];
 let exercisesList = loadExercises() || [];
-let notificationList = loadNotifications() || []; // in memory list for notifications
 
 //  Load & Save Helpers
 /**
  * Load progress from localStorage
- * @returns {Array<{userId: number|string, courseId: number|string, progress: number, updatedAt: string}>}
+ * @returns {Array<{userId: string, courseId: string, progress: number, completedVideos: string[], videos: VideoWatch[], lastVideo: string|null, updatedAt: string}>}
  */
-function loadProgress() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_PROGRESS)) || []; } catch (e) { return []; } }
+function loadProgress() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PROGRESS)) || [];
+    // Older records kept numeric ids
+    return stored.map(p => ({ ...p, userId: String(p.userId), courseId: String(p.courseId) }));
+  } catch (e) { return []; }
+}
 /**
  * Save progress to localStorage
  */
@@ -34,7 +42,7 @@ function saveProgress() { localStorage.setItem(STORAGE_KEY_PROGRESS, JSON.string
 
 /**
  * Load certificates from localStorage
- * @returns {Array<{userId: number|string, courseId: number|string, issuedAt: string, certificateId: string}>}
+ * @returns {Array<Certificate>}
  */
 function loadCertificates() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_CERTIFICATES)) || []; } catch (e) { return []; } }
 /**
@@ -44,7 +52,7 @@ function saveCertificates() { localStorage.setItem(STORAGE_KEY_CERTIFICATES, JSO
 
 /**
  * Load streaks from localStorage
- * @returns {Array<{userId: number|string, count: number, lastDate: string}>}
+ * @returns {Array<Streak>}
  */
 function loadStreaks() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_STREAKS)) || []; } catch (e) { return []; } }
 /**
@@ -60,7 +68,7 @@ function loadXP() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_XP)
 /**
  * Save XP to localStorage
  */
-function saveXP() { localStorage.setItem(STORAGE_KEY_XP, JSON.stringify(xpList)); }
+function saveXP(list = xpList) { xpList = list; localStorage.setItem(STORAGE_KEY_XP, JSON.stringify(xpList)); }
 
 
 async function fetchAllXP() {
@@ -68,14 +76,10 @@ async function fetchAllXP() {
   return api.get("/xps/");
 }
 
-async function syncAllXP(xpList) {
-  // POST ALL XP TO SERVER
-  return api.post("/xps/sync", xpList);
-}
 
 /**
  * Load exercises from localStorage
- * @returns {Array<{id: number, courseId: number|string, topic: string, [key: string]: any}>}
+ * @returns {Array<Exercise>}
  */
 function loadExercises() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_EXERCISES)) || []; } catch (e) { return []; } }
 /**
@@ -83,33 +87,14 @@ function loadExercises() { try { return JSON.parse(localStorage.getItem(STORAGE_
  */
 function saveExercises() { localStorage.setItem(STORAGE_KEY_EXERCISES, JSON.stringify(exercisesList)); }
 
-/**
- * Load notifications from localStorage
- * @returns {Array<AppNotification>}
- */
-function loadNotifications() { try { return JSON.parse(localStorage.getItem(STORAGE_KEY_NOTIFICATIONS)) || []; } catch (e) { return []; } }
-/**
- * Save notifications to localStorage
- */
-function saveNotifications() { localStorage.setItem(STORAGE_KEY_NOTIFICATIONS, JSON.stringify(notificationList)); }
-
 // Notification
 /**
- * Show a temporary notification and save it persistently
+ * Show a temporary toast. Lasting notifications are created on the
+ * server and read through notificationSystem.js.
  * @param {string} message - The message to show
  * @param {"success"|"error"|"info"} [type="info"] - Type of notification
  */
 function showNotification(message, type = "info") {
-  const newNotification = {
-    id: Date.now(),
-    message,
-    type,
-    timestamp: new Date().toISOString(),
-    isRead: false,
-  };
-  notificationList.push(newNotification);
-  saveNotifications();
-
   const CONTAINER_ID = "cp-notification-stack";
   let container = document.getElementById(CONTAINER_ID);
   if (!container) {
@@ -145,35 +130,46 @@ function showNotification(message, type = "info") {
   }, 3000);
 }
 
+// Surface edits the server rejected because someone else changed the same field
+window.addEventListener("cp:sync-conflict", (e) => {
+  const fields = e.detail.conflicts.map(c => c.field).join(", ");
+  showNotification(`⚠️ Someone else changed ${fields} at the same time. Their version was kept.`, "error");
+});
+
 // XP Functions
 /**
- * Update user's XP
+ * Take the XP total the server computed from its ledger after an award.
+ * XP is only ever earned on the server (progress, feedback, certificates,
+ * quizzes); the client shows the result.
  * @param {number|string} userId - User ID
- * @param {number} amount - XP amount to add
- * @returns {number|null} Updated XP or null if invalid
+ * @param {{total: number, awarded: number}|null|undefined} xp - from the award's response
+ * @returns {number|null} Updated XP, or null when the response carried none
  */
+export function applyXP(userId, xp) {
+  if (!xp || typeof xp.total !== "number") return null;
 
-export function updateXP(userId, amount) {
-  if (typeof amount !== "number" || isNaN(amount) || amount < 0) return null;
+  const id = String(userId);
+  saveXP([...xpList.filter(x => x.userId !== id), { userId: id, points: xp.total }]);
 
-  const xpList = loadXP();
-  let userXP = xpList.find(x => x.userId === userId);
-
-  if (userXP) {
-    userXP.points += amount;
-  } else {
-    userXP = { userId, points: amount };
-    xpList.push(userXP);
+  if (xp.awarded > 0) {
+    showNotification(
+      `🎉 You earned ${xp.awarded} XP (Total: ${xp.total})`,
+      "success"
+    );
   }
 
-  saveXP(xpList);
-  window.location.reload();
-  showNotification(
-    `🎉 You earned ${amount} XP (Total: ${userXP.points})`,
-    "success"
-  );
+  return xp.total;
+}
 
-  return userXP.points;
+/**
+ * Announce badges the server unlocked while handling a learning event
+ * @param {Array<{key: string, title: string}>|null|undefined} badges - from the event's response
+ * @returns {Array<Object>} The badges announced
+ */
+export function applyBadges(badges) {
+  if (!Array.isArray(badges)) return [];
+  badges.forEach(badge => showNotification(`🏅 Badge unlocked: ${badge.title}`, "success"));
+  return badges;
 }
 
 /**
@@ -182,112 +178,384 @@ export function updateXP(userId, amount) {
  * @returns {number}
  */
 export function getUserXP(userId) {
-  const xpList = loadXP();
   const userXP = xpList.find(x => x.userId === String(userId));
-  print(userXP)
   return userXP ? userXP.points : 0;
 }
 
 // Track Progress
+// Ids are stored as strings to match the server's progress records
+
+function findProgress(userId, courseId) {
+  return progressList.find(p => p.userId === String(userId) && p.courseId === String(courseId));
+}
+
+function ensureProgress(userId, courseId) {
+  let rec = findProgress(userId, courseId);
+  if (!rec) {
+    rec = { userId: String(userId), courseId: String(courseId), progress: 0, completedVideos: [], videos: [], lastVideo: null, updatedAt: new Date().toISOString() };
+    progressList.push(rec);
+  }
+  rec.completedVideos = rec.completedVideos || [];
+  rec.videos = rec.videos || [];
+  return rec;
+}
+
+/**
+ * @typedef {Object} VideoWatch
+ * @property {string} videoId - Vimeo id of the chapter's video
+ * @property {string} startedAt
+ * @property {number} watched - 0 to 100
+ * @property {string|null} completedAt
+ */
+
+/**
+ * Merge two watch records of the same video, keeping the furthest point reached
+ * @returns {VideoWatch}
+ */
+function mergeWatch(a, b) {
+  if (!a) return { ...b };
+  if (!b) return { ...a };
+  return {
+    videoId: a.videoId,
+    startedAt: [a.startedAt, b.startedAt].filter(Boolean).sort()[0] || null,
+    watched: Math.max(a.watched, b.watched),
+    completedAt: [a.completedAt, b.completedAt].filter(Boolean).sort()[0] || null
+  };
+}
+
+/**
+ * Fold the server's copy of a record into the local one. Progress never
+ * goes backwards, so the higher value and the union of videos win.
+ */
+function applyServerProgress(record) {
+  if (!record) return null;
+  const rec = ensureProgress(record.userId, record.courseId);
+  rec.progress = Math.max(rec.progress, record.progress);
+  rec.completedVideos = [...new Set([...rec.completedVideos, ...record.completedVideos])];
+  rec.videos = [...new Set([...rec.videos, ...(record.videos || [])].map(v => v.videoId))].map(videoId => mergeWatch(
+    rec.videos.find(v => v.videoId === videoId),
+    record.videos?.find(v => v.videoId === videoId)
+  ));
+  rec.lastVideo = record.lastVideo ?? rec.lastVideo;
+  rec.completedAt = record.completedAt ?? rec.completedAt ?? null;
+  rec.updatedAt = record.updatedAt ?? rec.updatedAt;
+  saveProgress();
+  return rec;
+}
+
 /**
  * Track user progress in a course
  * @param {number|string} userId
  * @param {number|string} courseId
  * @param {number} progress - 0 to 100
- * @returns {{userId: number|string, courseId: number|string, progress: number, updatedAt: string}|null}
+ * @returns {{userId: string, courseId: string, progress: number, updatedAt: string}|null}
  */
 export function trackProgress(userId, courseId, progress) {
   if (userId == null || courseId == null) return null;
   if (progress < 0 || progress > 100) return null;
 
-  const now = new Date().toISOString();
-  let rec = progressList.find(p => p.userId === userId && p.courseId === courseId);
-  const oldProgress = rec ? rec.progress : 0;
+  const rec = ensureProgress(userId, courseId);
 
-  if (rec) { rec.progress = progress; rec.updatedAt = now; }
-  else { rec = { userId, courseId, progress, updatedAt: now }; progressList.push(rec); }
+  rec.progress = Math.max(rec.progress, progress);
+  rec.updatedAt = new Date().toISOString();
 
   saveProgress();
-  updateStreak(userId);
 
-  const xpEarned = progress - oldProgress;
-  if (xpEarned > 0) updateXP(userId, xpEarned);
+  // The server awards XP for the progress gained and answers with the new total
+  enqueue("PATCH", `/progress/${courseId}`, { progress }, { key: `progress:${userId}:${courseId}` })
+    .then(applyProgressResponse)
+    .catch(console.error);
 
   return rec;
 }
 
 /**
- * Get progress for a user in a course
+ * Record a watch event for a chapter's video: started (0), how much has
+ * been watched so far, or completed. Once enough of a video has been seen
+ * its chapter counts as done and the course percentage is recalculated
+ * from the completed chapters.
  * @param {number|string} userId
  * @param {number|string} courseId
- * @returns {{userId: number|string, courseId: number|string, progress: number, updatedAt: string}|null}
+ * @param {string} videoId - Vimeo id of the chapter's video
+ * @param {number} watched - 0 to 100
+ * @param {string[]} chapterVideoIds - video ids of every chapter in the course
+ * @returns {VideoWatch|null}
  */
-export function getProgress(userId, courseId) { return progressList.find(p => p.userId === userId && p.courseId === courseId) || null; }
+export function recordVideoWatch(userId, courseId, videoId, watched, chapterVideoIds) {
+  if (userId == null || courseId == null || videoId == null) return null;
+  if (typeof watched !== "number" || isNaN(watched)) return null;
+
+  const rec = ensureProgress(userId, courseId);
+  const id = String(videoId);
+  const share = Math.min(100, Math.max(0, Math.round(watched)));
+
+  let video = rec.videos.find(v => v.videoId === id);
+  const isNew = !video;
+  if (isNew) {
+    video = { videoId: id, startedAt: new Date().toISOString(), watched: 0, completedAt: null };
+    rec.videos.push(video);
+  }
+
+  // Only report starts, completions and every further tenth watched
+  const advanced = Math.floor(share / 10) > Math.floor(video.watched / 10);
+  video.watched = Math.max(video.watched, share);
+
+  const justCompleted = video.watched >= COMPLETION_THRESHOLD && !video.completedAt;
+  if (justCompleted) {
+    video.completedAt = new Date().toISOString();
+    if (!rec.completedVideos.includes(id)) rec.completedVideos.push(id);
+  }
+
+  rec.lastVideo = id;
+  rec.updatedAt = new Date().toISOString();
+  saveProgress();
+
+  if (isNew || advanced || justCompleted) {
+    enqueue("PATCH", `/progress/${courseId}`, { videoId: id, watched: video.watched }, { key: `progress:${userId}:${courseId}:${id}` })
+      .then(applyProgressResponse)
+      .catch(console.error);
+  }
+
+  if (justCompleted && chapterVideoIds.length > 0) {
+    const done = chapterVideoIds.filter(v => rec.completedVideos.includes(String(v))).length;
+    trackProgress(userId, courseId, Math.round((done / chapterVideoIds.length) * 100));
+  }
+
+  return video;
+}
 
 /**
- * Generate certificate for a user
+ * Get progress for a user in a course
  * @param {number|string} userId
  * @param {number|string} courseId
- * @returns {{userId: number|string, courseId: number|string, issuedAt: string, certificateId: string}|null}
+ * @returns {{userId: string, courseId: string, progress: number, completedVideos: string[], updatedAt: string}|null}
  */
-export function generateCertificate(userId, courseId) {
-  const rec = getProgress(userId, courseId);
-  if (!rec || rec.progress < 100) return null;
-  const issuedAt = new Date().toISOString();
-  const cert = { userId, courseId, issuedAt, certificateId: `CERT-${userId}-${courseId}-${Date.now()}` };
+export function getProgress(userId, courseId) { return findProgress(userId, courseId) || null; }
+
+// Certificates
+/**
+ * @typedef {Object} Certificate
+ * @property {string} certificateId - public id, verifiable at /api/certificates/:id/verify
+ * @property {string} userId
+ * @property {string} courseId
+ * @property {string} studentName
+ * @property {string} courseTitle
+ * @property {string} instructorName
+ * @property {string} issuedAt
+ */
+
+/**
+ * Keep a certificate the server issued. The first time a course's
+ * certificate shows up the student is congratulated.
+ * @param {Certificate} cert
+ * @returns {Certificate}
+ */
+function storeCertificate(cert) {
+  const existing = certificates.find(c => c.certificateId === cert.certificateId);
+  if (existing) return Object.assign(existing, cert);
+
   certificates.push(cert);
   saveCertificates();
-  updateXP(userId, 100);
   showNotification("🎓 Certificate generated!", "success");
   return cert;
 }
 
+function applyProgressResponse(body) {
+  const rec = applyServerProgress(body?.progress);
+  if (body?.certificate) storeCertificate(body.certificate);
+  if (rec) {
+    storeStreak(rec.userId, body.streak);
+    applyXP(rec.userId, body.xp);
+  }
+  applyBadges(body?.badges);
+}
+
 /**
- * Update streak for a user
+ * Ask the server for the certificate of a completed course. The server
+ * issues it once and returns the same certificate on later calls.
  * @param {number|string} userId
- * @returns {{userId: number|string, count: number, lastDate: string}}
- */
-export function updateStreak(userId) {
-  let s = streaks.find(st => st.userId === userId);
-  const today = new Date().toDateString();
-  const yesterday = new Date(Date.now() - 86400000).toDateString();
-  if (!s) { s = { userId, count: 1, lastDate: today }; streaks.push(s); }
-  else if (s.lastDate === today) { }
-  else if (s.lastDate === yesterday) { s.count++; s.lastDate = today; }
-  else { s.count = 1; s.lastDate = today; }
+ * @param {number|string} courseId
+ * @returns {Promise<Certificate|null>}
+ */
+export async function generateCertificate(userId, courseId) {
+  const rec = getProgress(userId, courseId);
+  if (!rec || rec.progress < 100) return null;
+
+  try {
+    const { certificate } = await api.post("/certificates", { courseId: Number(courseId) });
+    return storeCertificate(certificate);
+  } catch (err) {
+    console.error("Certificate request failed:", err);
+    showNotification("❌ Could not issue the certificate. Please try again later.", "error");
+    return null;
+  }
+}
+
+/**
+ * Get the certificate a user earned for a course
+ * @param {number|string} userId
+ * @param {number|string} courseId
+ * @returns {Certificate|null}
+ */
+export function getCertificate(userId, courseId) {
+  return certificates.find(c => c.userId === String(userId) && c.courseId === String(courseId)) || null;
+}
+
+/**
+ * Links for presenting a certificate: the SVG download and the public verification page
+ * @param {Certificate} cert
+ * @returns {{download: string, verify: string}}
+ */
+export function certificateLinks(cert) {
+  const id = encodeURIComponent(cert.certificateId);
+  return {
+    download: apiUrl(`/certificates/${id}/download`),
+    verify: apiUrl(`/certificates/${id}/verify`)
+  };
+}
+
+// Streaks
+// The server counts streaks from progress events in the user's timezone;
+// the client only keeps the last copy it was sent.
+/**
+ * @typedef {Object} Streak
+ * @property {string} userId
+ * @property {number} current - days in a row, 0 once the streak has lapsed
+ * @property {number} longest
+ * @property {number} freezeTokens - missed days that can still be bridged
+ * @property {string[]} frozenDays - days of the current streak covered by a token
+ * @property {string|null} lastActiveDay - YYYY-MM-DD in the user's timezone
+ * @property {boolean} active - today already counts
+ * @property {Array<{startDay: string, endDay: string, length: number}>} history
+ */
+
+function storeStreak(userId, streak) {
+  if (!streak) return null;
+  const rec = { ...streak, userId: String(userId) };
+  streaks = [...streaks.filter(s => s.userId !== rec.userId), rec];
   saveStreaks();
-  return s;
+  return rec;
+}
+
+/**
+ * Last known streak of a user
+ * @param {number|string} userId
+ * @returns {Streak|null}
+ */
+export function getStreak(userId) { return streaks.find(s => s.userId === String(userId)) || null; }
+
+/**
+ * Refresh the signed-in user's streak from the server
+ * @param {number|string} userId
+ * @returns {Promise<Streak|null>}
+ */
+export async function fetchStreak(userId) {
+  try {
+    return storeStreak(userId, await api.get("/streaks/me"));
+  } catch (err) {
+    console.error("Streak sync failed:", err);
+    return getStreak(userId);
+  }
 }
 
 // Exercises
+/**
+ * @typedef {Object} Exercise
+ * @property {number} id
+ * @property {string} courseId
+ * @property {string} topic
+ * @property {string} title
+ * @property {number} afterChapter - shown on the course page after this chapter (1-based)
+ * @property {Array<{type: "single"|"multiple"|"short"|"code-output", prompt: string, code?: string, options: string[], points: number}>} questions
+ * @property {number} maxAttempts - 0 means unlimited
+ * @property {number} passPercent
+ * @property {number} xpReward
+ */
+
+function cacheExercise(ex) {
+  const index = exercisesList.findIndex(e => e.id === ex.id);
+  if (index === -1) exercisesList.push(ex);
+  else exercisesList[index] = ex;
+  saveExercises();
+  return ex;
+}
+
 /**
  * Add an exercise to a course
  * @param {number|string} courseId
  * @param {string} topic
- * @param {Object} exerciseData
- * @returns {Object|null}
+ * @param {Object} exerciseData - title, afterChapter, questions (with answers), maxAttempts, passPercent, xpReward
+ * @returns {Promise<Exercise|null>}
  */
-export function addExercise(courseId, topic, exerciseData) {
-  const courseExists = courseList.some(c => c.id === courseId);
+export async function addExercise(courseId, topic, exerciseData) {
+  const courseExists = courseList.some(c => String(c.id) === String(courseId));
   if (!courseExists) { showNotification("❌ Course ID not found. Exercise not added.", "error"); return null; }
-  const id = exercisesList.length ? Math.max(...exercisesList.map(e => e.id)) + 1 : 1;
-  const ex = { id, courseId, topic, ...exerciseData, createdAt: new Date().toISOString() };
-  exercisesList.push(ex);
-  saveExercises();
-  showNotification("✅ Exercise added successfully.", "success");
-  return ex;
+
+  try {
+    const { exercise } = await api.post("/exercises", { ...exerciseData, courseId: Number(courseId), topic });
+    showNotification("✅ Exercise added successfully.", "success");
+    return cacheExercise(exercise);
+  } catch (err) {
+    showNotification(`❌ Exercise not added: ${err.message}`, "error");
+    return null;
+  }
 }
 
 /**
  * List exercises for a course and optional topic
  * @param {number|string} courseId
  * @param {string|null} [topic=null]
- * @returns {Array<Object>}
+ * @returns {Array<Exercise>}
  */
 export function listExercises(courseId, topic = null) {
-  const courseExists = courseList.some(c => c.id === courseId);
+  const courseExists = courseList.some(c => String(c.id) === String(courseId));
   if (!courseExists) { showNotification("❌ Course ID not found. Cannot list exercises.", "error"); return []; }
-  return exercisesList.filter(e => e.courseId === courseId && (topic ? e.topic === topic : true));
+  return exercisesList.filter(e => e.courseId === String(courseId) && (topic ? e.topic === topic : true));
+}
+
+/**
+ * Refresh a course's exercises from the server
+ * @param {number|string} courseId
+ * @returns {Promise<Array<Exercise>>}
+ */
+export async function fetchExercises(courseId) {
+  try {
+    const serverExercises = await api.get(`/exercises?courseId=${encodeURIComponent(courseId)}`);
+    exercisesList = [...exercisesList.filter(e => e.courseId !== String(courseId)), ...serverExercises];
+    saveExercises();
+  } catch (err) {
+    console.error("Exercise sync failed:", err);
+  }
+  return exercisesList.filter(e => e.courseId === String(courseId));
+}
+
+/**
+ * Submit answers for grading. A first passing attempt earns XP.
+ * @param {number|string} userId
+ * @param {number} exerciseId
+ * @param {Array<number|number[]|string>} answers - one per question, in order
+ * @returns {Promise<{attempt: Object, attemptsLeft: number|null}|null>}
+ */
+export async function submitExercise(userId, exerciseId, answers) {
+  try {
+    const { attempt, attemptsLeft, streak, xp, badges } = await api.post(`/exercises/${exerciseId}/attempts`, { answers });
+    storeStreak(userId, streak);
+    applyXP(userId, xp);
+    applyBadges(badges);
+    return { attempt, attemptsLeft };
+  } catch (err) {
+    showNotification(`❌ ${err.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Attempts the signed-in user made on an exercise
+ * @param {number} exerciseId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchAttempts(exerciseId) {
+  return api.get(`/exercises/${exerciseId}/attempts`);
 }
 
 /**
@@ -295,7 +563,7 @@ export function listExercises(courseId, topic = null) {
  * @param {number|string} userId
  * @returns {Array<Object>}
  */
-export function getUserProgress(userId) { return progressList.filter(p => p.userId === userId); }
+export function getUserProgress(userId) { return progressList.filter(p => p.userId === String(userId)); }
 /**
  * List all progress records
  * @returns {Array<Object>}
@@ -310,54 +578,20 @@ export function listAllProgress() { return progressList; }
 export function cleanupCourseData(courseId) {
   let updated = false;
   const initialProgressLength = progressList.length;
-  progressList = progressList.filter(p => p.courseId !== courseId);
+  progressList = progressList.filter(p => p.courseId !== String(courseId));
   if (progressList.length < initialProgressLength) { saveProgress(); updated = true; }
 
   const initialCertificatesLength = certificates.length;
-  certificates = certificates.filter(c => c.courseId !== courseId);
+  certificates = certificates.filter(c => c.courseId !== String(courseId));
   if (certificates.length < initialCertificatesLength) { saveCertificates(); updated = true; }
 
-  return updated;
-}
-
-// Notifications
-/**
- * @typedef {Object} AppNotification
- * @property {number} id
- * @property {string} message
- * @property {"success"|"error"|"info"} type
- * @property {string} timestamp
- * @property {boolean} isRead
- */
-
-/**
- * Get all notifications (newest first)
- * @returns {AppNotification[]}
- */
-export function getNotifications() { return [...notificationList].sort((a, b) => b.id - a.id); }
-/**
- * Get count of unread notifications
- * @returns {number}
- */
-export function getUnreadCount() { return notificationList.filter(n => !n.isRead).length; }
+  const initialExercisesLength = exercisesList.length;
+  exercisesList = exercisesList.filter(e => e.courseId !== String(courseId));
+  if (exercisesList.length < initialExercisesLength) { saveExercises(); updated = true; }
 
-/**
- * Mark notification(s) as read
- * @param {number|null} [notificationId=null] - Specific notification ID or null for all
- */
-export function markAsRead(notificationId = null) {
-  let updated = false;
-  if (notificationId) {
-    const n = notificationList.find(n => n.id === notificationId);
-    if (n && !n.isRead) { n.isRead = true; updated = true; }
-  } else {
-    notificationList.forEach(n => { if (!n.isRead) { n.isRead = true; updated = true; } });
-  }
-  if (updated) saveNotifications();
+  return updated;
 }
 
-
-
 export async function syncXPSystem() {
   const localXP = loadXP();
 
@@ -366,12 +600,9 @@ export async function syncXPSystem() {
 
     const mergedXP = mergeXP(localXP, serverXP);
 
-    // Save merged locally
+    // Save merged locally; awards reach the server one increment at a time
     saveXP(mergedXP);
 
-    // Push merged to server
-    await syncAllXP(mergedXP);
-
     return mergedXP;
   } catch (err) {
     console.error("XP sync failed:", err);
@@ -379,4 +610,78 @@ export async function syncXPSystem() {
   }
 }
 
-syncXPSystem()
\ No newline at end of file
+// Leaderboard
+/**
+ * @typedef {Object} Leaderboard
+ * @property {"week"|"month"|"all"} period
+ * @property {number} page
+ * @property {number} limit
+ * @property {number} total - ranked users in this scope
+ * @property {Array<{rank: number, userId: string, name: string, points: number}>} entries
+ * @property {{userId: string, optedOut: boolean, rank: number|null, points: number}|null} me - null when logged out
+ */
+
+/**
+ * XP ranking for the current week, month or all time, optionally for one course or category
+ * @param {{period?: "week"|"month"|"all", courseId?: number|string, category?: string, page?: number, limit?: number}} [options]
+ * @returns {Promise<Leaderboard>}
+ */
+export async function fetchLeaderboard({ period = "week", courseId = null, category = null, page = 1, limit = 10 } = {}) {
+  const params = new URLSearchParams({ period, page, limit });
+  if (courseId != null) params.set("courseId", courseId);
+  if (category) params.set("category", category);
+  return api.get(`/leaderboard?${params}`);
+}
+
+/**
+ * Every achievement with the ones the user has unlocked marked
+ * @param {number|string|null} [userId] - defaults to the signed-in user
+ * @returns {Promise<Array<{key: string, title: string, description: string, icon: string, unlockedAt: string|null}>>}
+ */
+export async function fetchAchievements(userId = null) {
+  const [catalog, unlocked] = await Promise.all([
+    api.get("/achievements"),
+    api.get(userId == null ? "/achievements/me" : `/achievements/users/${userId}`)
+  ]);
+  return catalog.map(rule => ({
+    ...rule,
+    unlockedAt: unlocked.find(b => b.key === rule.key)?.unlockedAt ?? null
+  }));
+}
+
+/**
+ * Pull the signed-in student's progress from the server so it follows
+ * them across devices.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function syncProgress() {
+  try {
+    const [serverProgress, serverCertificates] = await Promise.all([
+      api.get("/progress/me"),
+      api.get("/certificates/me")
+    ]);
+    serverProgress.forEach(applyServerProgress);
+
+    // Only server-issued certificates can be verified; drop anything else stored locally
+    const userId = String(getCurrentUser()?.id);
+    certificates = [...certificates.filter(c => String(c.userId) !== userId), ...serverCertificates];
+    saveCertificates();
+  } catch (err) {
+    console.error("Progress sync failed:", err);
+  }
+  return progressList;
+}
+
+/**
+ * Progress of every student in a course (instructor of the course or admin)
+ * @param {number|string} courseId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchCourseProgress(courseId) {
+  return api.get(`/progress/courses/${courseId}`);
+}
+
+syncXPSystem()
+
+// Resolves once the signed-in student's progress has been pulled from the server
+export const progressSynced = getCurrentUser() ? syncProgress() : Promise.resolve(progressList);
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { api } from './api.js';
+import { api, enqueue, setOutboxOwner } from './api.js';
 import {mergeItems} from './helper.js'
 
 /* =========================
@@ -7,6 +7,8 @@ import {mergeItems} from './helper.js'
 
 const STORAGE_KEY_USERS = "cp_users_v1";
 const STORAGE_KEY_CURRENT = "cp_current_user_v1";
+// Between the password and the authenticator code; per tab, gone when it closes
+const STORAGE_KEY_CHALLENGE = "cp_two_factor_challenge";
 
 /* =========================
    INTERNAL STATE
@@ -23,34 +25,32 @@ function loadFromStorage(key) {
   try { return JSON.parse(localStorage.getItem(key)); } catch (e) { return null; }
 }
 
-async function saveUsers() {
-  try { 
-    localStorage.setItem(STORAGE_KEY_USERS, JSON.stringify(users));
-    api.post('/users/sync', users); 
-  } catch (e) {
-
-  }
+function saveUsers() {
+  try { localStorage.setItem(STORAGE_KEY_USERS, JSON.stringify(users)); } catch (e) {}
 }
 
 function saveCurrent() {
   try { localStorage.setItem(STORAGE_KEY_CURRENT, JSON.stringify(currentUser)); } catch (e) {}
 }
 
-/* =========================
-   MERGE HELPERS
-========================= */
-
-function mergeUsers(existingUsers, newUsers) {
-  const merged = [...existingUsers];
-  const existingIds = new Set(existingUsers.map(u => u.id));
+// Fold the server's saved copy back into the local cache
+export function applyServerUser(record) {
+  if (!record) return;
+  const user = stripPassword(record);
+  users = mergeItems(users, [user], 'id');
+  saveUsers();
 
-  newUsers.forEach(u => {
-    if (!existingIds.has(u.id)) {
-      merged.push(u);
-    }
-  });
+  if (currentUser?.id === user.id) {
+    currentUser = { ...currentUser, ...user };
+    saveCurrent();
+  }
+}
 
-  return merged;
+// Credentials live on the server only; drop any copy left over from older builds
+function stripPassword(user) {
+  if (!user) return user;
+  const { password, ...rest } = user;
+  return rest;
 }
 
 /* =========================
@@ -59,21 +59,45 @@ function mergeUsers(existingUsers, newUsers) {
 
 function initLocalUsers() {
   users = loadFromStorage(STORAGE_KEY_USERS);
-  if (!users || !Array.isArray(users)) {
-    users = [
-      { id: 1, name: "Beshnack", email: "Beshbesh@test.com", password: "1234", role: "admin", enrolledCourses: [] },
-      { id: 2, name: "Mazen", email: "Mazenhany@test.com", password: "12345", role: "admin", enrolledCourses: [] },
-      { id: 3, name: "Eltony", email: "gigachad@teste.com", password: "1234", role: "admin", enrolledCourses: [] },
-    ];
-    saveUsers();
-  }
+  if (!users || !Array.isArray(users)) users = [];
+  users = users.map(stripPassword);
+  localStorage.setItem(STORAGE_KEY_USERS, JSON.stringify(users));
+
+  currentUser = stripPassword(loadFromStorage(STORAGE_KEY_CURRENT)) || null;
+  saveCurrent();
 
-  currentUser = loadFromStorage(STORAGE_KEY_CURRENT) || null;
+  // A cached user still has to be confirmed by the server before their queued writes go out
+  setOutboxOwner(currentUser?.id ?? null, { confirmed: !currentUser });
 }
 
 // Initialize on script load
 initLocalUsers();
 
+/**
+ * Re-validate the cached user against the server session.
+ * Clears the local copy when the session has expired or been revoked.
+ */
+export async function refreshCurrentUser() {
+  try {
+    const { user } = await api.get('/auth/me');
+    currentUser = stripPassword(user);
+  } catch (e) {
+    currentUser = null;
+  }
+  saveCurrent();
+  setOutboxOwner(currentUser?.id ?? null);
+  return currentUser;
+}
+
+if (currentUser) refreshCurrentUser();
+
+// Signing in or out in another tab changes this tab's session cookie too
+window.addEventListener("storage", (e) => {
+  if (e.key !== STORAGE_KEY_CURRENT) return;
+  currentUser = stripPassword(loadFromStorage(STORAGE_KEY_CURRENT)) || null;
+  setOutboxOwner(currentUser?.id ?? null);
+});
+
 /* =========================
    API FETCH & MERGE
 ========================= */
@@ -83,7 +107,7 @@ export async function fetchAndMergeUsers(url) {
     const newUsers = await api.get(url);
     if (!Array.isArray(newUsers)) throw new Error("Invalid users payload");
 
-    users = mergeItems(users, newUsers, 'id');
+    users = mergeItems(users, newUsers.map(stripPassword), 'id');
     saveUsers();
   } catch (e) {
     console.error("Failed to fetch users:", e);
@@ -108,46 +132,252 @@ function _validateUserData(userData) {
    AUTH API
 ========================= */
 
-export function register(userData) {
+export async function register(userData) {
   const v = _validateUserData(userData);
   if (v) return { ok: false, error: v };
 
-  if (users.find(u => u.email === userData.email)) {
-    return { ok: false, error: "Email already exists" };
+  try {
+    // The answer is the same whether or not the email already had an account
+    const { message } = await api.post('/auth/register', {
+      name: userData.name,
+      email: userData.email,
+      password: userData.password,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
   }
+}
 
-  const id = users.length ? Math.max(...users.map(u => u.id)) + 1 : 1;
+/**
+ * Create an account with an explicit role (admin only on the server).
+ * @param {{name: string, email: string, password: string, role: string}} userData
+ */
+export async function createUser(userData) {
+  const v = _validateUserData(userData);
+  if (v) return { ok: false, error: v };
 
-  const newUser = {
-    id,
-    name: userData.name,
-    email: userData.email,
-    password: userData.password,
-    role: userData.role || "student",
-    enrolledCourses: [],
-    lastActive: new Date()
-  };
+  try {
+    const { user } = await api.post('/users', userData);
 
-  users.push(newUser);
-  saveUsers();
+    users = mergeItems(users, [user], 'id');
+    localStorage.setItem(STORAGE_KEY_USERS, JSON.stringify(users));
 
-  return { ok: true, user: newUser };
+    return { ok: true, user };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
 }
 
-export function login(email, password) {
-  if (!email || !password) return false;
+/**
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ok: boolean, error?: string, unverified?: boolean, locked?: boolean, twoFactor?: "verify"|"setup"}>}
+ *   unverified is set when the account exists but its email was never confirmed,
+ *   locked when too many failed attempts blocked logging in for a while,
+ *   twoFactor when the password was right and two-factor.html has to finish the login
+ */
+export async function login(email, password) {
+  if (!email || !password) return { ok: false, error: "Email and password are required." };
 
-  const user = users.find(u => u.email === email && u.password === password);
-  if (!user) return false;
+  try {
+    const { user, twoFactor, challenge, message } = await api.post('/auth/login', { email, password });
+    if (twoFactor) {
+      sessionStorage.setItem(STORAGE_KEY_CHALLENGE, challenge);
+      return { ok: false, error: message, twoFactor };
+    }
 
-  currentUser = { ...user };
+    currentUser = stripPassword(user);
+    saveCurrent();
+    setOutboxOwner(currentUser.id);
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message, unverified: e.data?.code === "EMAIL_NOT_VERIFIED", locked: e.status === 429 };
+  }
+}
+
+export async function logout() {
+  // Hold this user's unsent writes until they sign in again
+  setOutboxOwner(null);
+
+  try {
+    await api.post('/auth/logout');
+  } catch (e) {
+    console.error("Logout request failed:", e);
+  }
+  currentUser = null;
   saveCurrent();
+}
+
+/**
+ * Change the signed-in user's password on the server. Other devices are signed out.
+ * @param {string} currentPassword
+ * @param {string} password
+ */
+export async function changePassword(currentPassword, password) {
+  try {
+    await api.post('/auth/password', { currentPassword, password });
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Confirm an email address with the token from the emailed link
+ * @param {string} token
+ */
+export async function verifyEmail(token) {
+  try {
+    const { message } = await api.post('/auth/verify-email', { token });
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * @param {string} email
+ */
+export async function resendVerification(email) {
+  try {
+    const { message } = await api.post('/auth/verify-email/resend', { email });
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Email a password reset link. The answer is the same whether or not the email has an account.
+ * @param {string} email
+ */
+export async function requestPasswordReset(email) {
+  try {
+    const { message } = await api.post('/auth/forgot-password', { email });
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Set a new password with the token from the emailed link
+ * @param {string} token
+ * @param {string} password
+ */
+export async function resetPassword(token, password) {
+  try {
+    const { message } = await api.post('/auth/reset-password', { token, password });
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/* =========================
+   TWO-FACTOR
+========================= */
+
+// Setup and enabling run either signed in, or mid-login with the challenge
+function challengeBody() {
+  const challenge = sessionStorage.getItem(STORAGE_KEY_CHALLENGE);
+  return challenge && !currentUser ? { challenge } : {};
+}
+
+// The password step has to be done again
+function isExpired(e) {
+  if (e.data?.code !== "TWO_FACTOR_EXPIRED") return false;
+  sessionStorage.removeItem(STORAGE_KEY_CHALLENGE);
   return true;
 }
 
-export function logout() {
-  currentUser = null;
+function finishLogin(user) {
+  sessionStorage.removeItem(STORAGE_KEY_CHALLENGE);
+  currentUser = stripPassword(user);
   saveCurrent();
+  setOutboxOwner(currentUser.id);
+}
+
+/**
+ * @returns {boolean} whether a login is waiting for its two-factor step in this tab
+ */
+export function hasPendingTwoFactor() {
+  return sessionStorage.getItem(STORAGE_KEY_CHALLENGE) != null;
+}
+
+/**
+ * Finish a login with a code from the authenticator app, or one of the backup codes
+ * @param {{code?: string, backupCode?: string}} input
+ * @returns {Promise<{ok: boolean, error?: string, expired?: boolean, backupCodesLeft?: number}>}
+ */
+export async function verifyTwoFactor({ code, backupCode }) {
+  try {
+    const { user, backupCodesLeft } = await api.post('/auth/2fa/verify', { ...challengeBody(), code, backupCode });
+    finishLogin(user);
+    return { ok: true, backupCodesLeft };
+  } catch (e) {
+    return { ok: false, error: e.message, expired: isExpired(e) };
+  }
+}
+
+/**
+ * Get a new secret to add to an authenticator app
+ * @returns {Promise<{ok: boolean, error?: string, expired?: boolean, secret?: string, uri?: string}>}
+ *   uri is the otpauth:// link to show as a QR code
+ */
+export async function startTwoFactorSetup() {
+  try {
+    const { secret, uri } = await api.post('/auth/2fa/setup', challengeBody());
+    return { ok: true, secret, uri };
+  } catch (e) {
+    return { ok: false, error: e.message, expired: isExpired(e) };
+  }
+}
+
+/**
+ * Confirm the first code from the app. Signs in when it was part of a login.
+ * @param {string} code
+ * @returns {Promise<{ok: boolean, error?: string, expired?: boolean, backupCodes?: string[]}>}
+ */
+export async function enableTwoFactor(code) {
+  try {
+    const { user, backupCodes } = await api.post('/auth/2fa/enable', { ...challengeBody(), code });
+    finishLogin(user);
+    return { ok: true, backupCodes };
+  } catch (e) {
+    return { ok: false, error: e.message, expired: isExpired(e) };
+  }
+}
+
+/**
+ * @param {string} password
+ * @param {{code?: string, backupCode?: string}} input
+ */
+export async function disableTwoFactor(password, { code, backupCode }) {
+  try {
+    const { user, message } = await api.post('/auth/2fa/disable', { password, code, backupCode });
+    applyServerUser(user);
+    return { ok: true, message };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Replace the backup codes; the old ones stop working
+ * @param {string} code - from the authenticator app
+ * @returns {Promise<{ok: boolean, error?: string, backupCodes?: string[]}>}
+ */
+export async function regenerateBackupCodes(code) {
+  try {
+    const { backupCodes } = await api.post('/auth/2fa/backup-codes', { code });
+    return { ok: true, backupCodes };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
 }
 
 /* =========================
@@ -179,33 +409,89 @@ export function updateUser(userToUpdate, newData) {
     return { ok: false, error: "Invalid update payload." };
   }
 
+  // Passwords change through changePassword, which needs the current one
+  if ("password" in newData) {
+    return { ok: false, error: "Use changePassword to change the password." };
+  }
+
   const idx = users.findIndex(u => u.id === userToUpdate.id);
   if (idx === -1) return { ok: false, error: "User not found." };
 
-  users[idx] = { ...users[idx], ...newData, lastActive: new Date() };
+  const base = { ...users[idx] };
+  const changes = { ...newData, lastActive: new Date().toISOString() };
+  users[idx] = { ...base, ...changes };
   saveUsers();
 
-  if (currentUser?.id === users[idx].id) {
-    currentUser = { ...users[idx] };
+  if (currentUser?.id === base.id) {
+    currentUser = { ...currentUser, ...changes };
     saveCurrent();
   }
 
+  // lastActive is touched constantly; our value wins without raising a conflict
+  enqueue("PATCH", `/users/${base.id}`, changes, { key: `users:${base.id}`, base, volatile: ["lastActive"], recordKey: "user" })
+    .then(result => applyServerUser(result?.record))
+    .catch(console.error);
+
   return { ok: true, user: currentUser };
 }
 
 /* =========================
-   CLEANUP ENROLLMENTS
+   ENROLLMENTS
 ========================= */
 
+// The server keeps enrolledCourses in step with /api/enrollments; these only
+// update the local copies so the page reflects a change before it syncs
+
+/**
+ * @param {number} userId
+ * @param {number} courseId
+ */
+export function applyEnrollment(userId, courseId) {
+  const user = users.find(u => u.id === userId);
+  if (user && !(user.enrolledCourses || []).includes(courseId)) {
+    user.enrolledCourses = [...(user.enrolledCourses || []), courseId];
+    saveUsers();
+  }
+
+  if (currentUser?.id === userId && !currentUser.enrolledCourses.includes(courseId)) {
+    currentUser.enrolledCourses = [...currentUser.enrolledCourses, courseId];
+    saveCurrent();
+  }
+}
+
+/**
+ * @param {number} userId
+ * @param {number} courseId
+ */
+export function applyUnenrollment(userId, courseId) {
+  const user = users.find(u => u.id === userId);
+  if (user?.enrolledCourses?.includes(courseId)) {
+    user.enrolledCourses = user.enrolledCourses.filter(id => id !== courseId);
+    saveUsers();
+  }
+
+  if (currentUser?.id === userId && currentUser.enrolledCourses.includes(courseId)) {
+    currentUser.enrolledCourses = currentUser.enrolledCourses.filter(id => id !== courseId);
+    saveCurrent();
+  }
+}
+
+/**
+ * Forget a deleted course in every cached user
+ * @param {number} courseId
+ */
 export function cleanupUserEnrollments(courseId) {
   let changed = false;
 
   users.forEach(user => {
-    user.enrolledCourses = user.enrolledCourses || [];
-    const before = user.enrolledCourses.length;
-    user.enrolledCourses = user.enrolledCourses.filter(id => id !== courseId);
+    const before = (user.enrolledCourses || []).length;
+    user.enrolledCourses = (user.enrolledCourses || []).filter(id => String(id) !== String(courseId));
     if (user.enrolledCourses.length < before) changed = true;
   });
-
   if (changed) saveUsers();
+
+  if (currentUser?.enrolledCourses.some(id => String(id) === String(courseId))) {
+    currentUser.enrolledCourses = currentUser.enrolledCourses.filter(id => String(id) !== String(courseId));
+    saveCurrent();
+  }
 }
@@ -2,14 +2,20 @@ import { courseList, createCourse } from "./Modules/courseSystem.js"
 import { deleteCourse } from "./Modules/courseSystem.js"
 import { courseList as Courses } from "./Modules/courseSystem.js"
 import { editCourse } from "./Modules/courseSystem.js"
-import { getUser, listUsers, updateUser } from "./Modules/userSystem.js"
+import { getUser, listUsers, updateUser, applyUnenrollment } from "./Modules/userSystem.js"
 import { CourseFeedback } from "./Modules/CourseFeedback.js"
-import { register } from "./Modules/userSystem.js"
+import { createUser } from "./Modules/userSystem.js"
 import { getCurrentUser } from "./Modules/userSystem.js"
 import { logout } from "./Modules/userSystem.js"
 import { ExploreSystem } from"./Modules/ExploreSystem.js"
 import { getCourse, courseDeletion } from "./Modules/courseSystem.js"
 import { CourseInformation, courseVideos, createVideo } from "./Modules/CourseInformation.js"
+import { api, patchWithRevision, onOutboxChange, retryFailed } from "./Modules/api.js"
+import { fetchAndMergeCourses } from "./Modules/courseSystem.js"
+import { syncFeedbackFromAPI } from "./Modules/CourseFeedback.js"
+import { onServerEvent } from "./Modules/eventStream.js"
+import { fetchOrders, refundOrder, approveRefund, rejectRefund } from "./Modules/orderSystem.js"
+import { fetchCoupons, createCoupon, updateCoupon, deleteCoupon } from "./Modules/couponSystem.js"
 
 
 if(getCurrentUser() != null){
@@ -118,9 +124,9 @@ const state = {
 
 let admins = (state.users.filter((v) => v.role == `admin`))
 
-state.instructors = (state.users.filter((v) => v.role == `admin`))
+state.instructors = (state.users.filter((v) => v.role == `instructor` || v.role == `admin`))
 
-state.students = (state.users.length) - (admins.length)
+state.students = (state.users.filter((v) => v.role == `student`).length)
 
 
 let courseChooser = 0;
@@ -239,7 +245,7 @@ function renderAdminPage(){
       <td>${getInstructorEarnings(instructor.id, comm)} $</td>
       <td>
         <!-- <button class="btn view-instructor" data-id="${instructor.id}">View</button> -->
-        <a class="btn contact-instructor" data-email="${instructor.email}" href="mailto:${instructor.email}" style=text-decoration:none>Contact</a>
+        <button class="btn contact-instructor" data-id="${instructor.id}" data-name="${instructor.name}">Contact</button>
       </td>
     `;
     instructorsbody.appendChild(tr);
@@ -263,7 +269,6 @@ function renderAdminPage(){
       <td>${user.id}</td>
       <td>${user.name}</td>
       <td>${user.email}</td>
-      <td>${user.password}</td>
       <td>${coursesListt ? coursesListt : "-"}</td>
       <td>${makeDateLookGood(user.lastActive)}</td>
     `
@@ -273,28 +278,24 @@ function renderAdminPage(){
   // render payments on payments tab
   const paymentsList = $('#paymentsTable tbody');
   paymentsList.innerHTML = ``;
-  state.users.filter((u) => u.enrolledCourses).forEach(user =>{
-      user.enrolledCourses.forEach(index =>{
-        const tr = document.createElement(`tr`);
-        tr.innerHTML=`
-        <td>${user.id}</td>
-        <td>${user.name}</td>
-        <td>${
-          (function(){
-            try{
-              return getCourse(index).price 
-            }catch(e){
-              console.warn("Too bad broo..")
-            }
-          })()
-        }
-        </td>
-        <td style="color: lightgreen">Done</td> 
-        <td>${makeDateLookGood(getCourse(index).students.filter((d) => d[0] === user.id)[0][1])}</td>
-        `
-        paymentsList.appendChild(tr);
-    });
-  }) // About that done... lol
+  if (state.payments.length === 0) {
+    paymentsList.innerHTML = `<tr><td colspan="8"><em>No orders</em></td></tr>`
+  }
+  state.payments.forEach(order =>{
+    const buyer = getUser(order.userId)
+    const tr = document.createElement(`tr`);
+    tr.innerHTML=`
+      <td>#${order.id}</td>
+      <td>${buyer ? escapeHtml(buyer.name) : order.userId}</td>
+      <td>${escapeHtml(order.courseTitle)}</td>
+      <td title="${order.couponCode ? `${order.subtotal.toFixed(2)} $ - ${order.discount.toFixed(2)} $` : ``}">${order.amount.toFixed(2)} $${order.couponCode ? ` <small>(${escapeHtml(order.couponCode)})</small>` : ``}</td>
+      <td>${escapeHtml(order.methodLabel || order.method)}</td>
+      <td class="status order-${order.status}" title="${escapeHtml(order.failureReason || ``)}">${order.status}${refundLabel(order)}</td>
+      <td>${makeDateLookGood(order.capturedAt || order.createdAt)}</td>
+      <td>${paymentActions(order)}</td>
+    `
+    paymentsList.appendChild(tr);
+  })
   
 
 
@@ -374,7 +375,10 @@ $$('.nav-item[data-section]').forEach(item => {
 
     $(`#${section}`).classList.remove('hidden')
 
-        
+    if (section === `payments`) loadPayments()
+    if (section === `support`) loadSupportTickets()
+    if (section === `security`) loadLockouts()
+    if (section === `coupons`) loadCoupons()
   })
 })
 
@@ -392,6 +396,7 @@ function addNewCourse(title, instructorName, category,price, duration, descripti
     id: newId,
     title: title,
     instructor: instructorName,
+    instructorId: state.instructors.find(inst => inst.name === instructorName)?.id,
     category: category,
     price: price,
     enrolled: 0,
@@ -452,7 +457,7 @@ function AddCourseModal() {
           <label for="courseInstructor">Instructor:</label>
           <select id="courseInstructor" required>
             <option value="">Select an instructor</option>
-            ${admins.map(instructor => 
+            ${state.instructors.map(instructor => 
               `<option value="${instructor.name}">${instructor.name}</option>`
             ).join('')}
           </select>
@@ -730,27 +735,87 @@ function syncAllInstructorCourses() {
   });
 }
 
-// calculate instructor earnings
+// calculate instructor earnings from the payments actually taken for their courses
 
 function getInstructorEarnings(instructorId, commission) {
   
   const instructor = state.instructors.find(i => i.id === instructorId);
   if (!instructor) return 0;
 
-  let total = 0;
+  const courseIds = new Set(instructor.courses.map(c => c.id));
 
- 
-  instructor.courses.forEach(c => {
-    const course = getCourse(c.id);
-    const studentsCount = course?.students.length || 0;
-    const price = course?.price || 0;
+  const total = state.payments
+    .filter(order => order.status === `captured` && courseIds.has(order.courseId))
+    .reduce((sum, order) => sum + order.amount, 0);
 
-    total += (studentsCount * price) * (1 - commission/100);
-  });
+  return parseFloat((total * (1 - commission/100)).toFixed(2));
+}
 
-  return total;
+/* Payments */
+
+function refundLabel(order){
+  const request = order.refundRequest
+  if (!request || order.status === `refunded`) return ``
+  const title = request.status === `pending`
+    ? `${request.reason || `No reason given`} (progress ${request.progress}%)`
+    : request.note || ``
+  return `<br><small class="refund-${request.status}" title="${escapeHtml(title)}">refund ${request.status === `pending` ? `requested` : request.status}</small>`
+}
+
+function paymentActions(order){
+  if (order.status !== `captured`) return ``
+  if (order.refundRequest?.status === `pending`) {
+    return `
+      <button class="btn approve-refund" data-id="${order.id}">Approve</button>
+      <button class="btn danger reject-refund" data-id="${order.id}">Reject</button>
+    `
+  }
+  return `<button class="btn refund-order" data-id="${order.id}">Refund</button>`
 }
 
+async function loadPayments(){
+  try {
+    state.payments = await fetchOrders()
+  } catch (err) {
+    console.error("Failed to load orders:", err)
+  }
+  debouncedRender()
+}
+
+loadPayments()
+
+$('#paymentsTable tbody').addEventListener("click", async (e) =>{
+  const id = Number(e.target.dataset.id)
+  let result = null
+
+  if(e.target.classList.contains(`refund-order`) || e.target.classList.contains(`approve-refund`)){
+    if(!confirm(`Refund order #${id}? The student loses access to the course.`)) return
+    const note = prompt(`Note for the student (optional):`) || undefined
+
+    result = e.target.classList.contains(`refund-order`) ? await refundOrder(id, note) : await approveRefund(id, note)
+    if(!result.ok){
+      alert(`Refund failed: ${result.error}`)
+      return
+    }
+    applyUnenrollment(result.order.userId, result.order.courseId)
+  }
+
+  if(e.target.classList.contains(`reject-refund`)){
+    const note = prompt(`Why is the refund declined? The student sees this.`)
+    if (note === null) return
+
+    result = await rejectRefund(id, note)
+    if(!result.ok){
+      alert(`Failed to reject refund: ${result.error}`)
+      return
+    }
+  }
+
+  if (!result) return
+  RecentActivities.push(result.message)
+  loadPayments()
+});
+
 function makeDateLookGood(str){
   
   const match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{1,2}):(\d{1,2})/);
@@ -783,8 +848,8 @@ document.addEventListener('click', (e) => {
     
     if (course && course.status != "Approved") {
       e.target.setAttribute(`disabled`, ``);
+      editCourse(courseId, { status: "Approved" })
       course.status = "Approved";
-      editCourse(courseId, course)
       RecentActivities.push(`Course Approved. (${course.title})`)
       debouncedRender()
     }
@@ -824,14 +889,23 @@ function addNewInstructor(name, email) {
     earnings : 0,
   });
 
+  // One-off password for the first login; the instructor is expected to change it
+  const temporaryPassword = Array.from(crypto.getRandomValues(new Uint8Array(9)), b => b.toString(36).padStart(2, "0")).join("").slice(0, 12);
+
   let instructorData = {
     name: name,
     email: email,
-    password: "1234",
-    role: "admin",
+    password: temporaryPassword,
+    role: "instructor",
   }
 
-  register(instructorData)
+  createUser(instructorData).then(result => {
+    if (!result.ok) {
+      alert(`Failed to add instructor: ${result.error}`);
+      return;
+    }
+    alert(`Instructor created. Temporary password: ${temporaryPassword}`);
+  })
   // Re-render the UI if needed
   debouncedRender()
 }
@@ -896,16 +970,519 @@ function AddInstructorModal() {
 
 }
 
+// Contact modal: the server emails the user
+
+document.addEventListener("click", (e) =>{
+  if(e.target.classList.contains(`contact-instructor`)){
+    ContactModal(e.target.dataset.id, e.target.dataset.name)
+  }
+});
+
+function ContactModal(userId, name) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <h2>Message ${name}</h2>
+      <form id="contactForm">
+        <div class="form-group">
+          <label for="contactSubject">Subject:</label>
+          <input type="text" id="contactSubject" required>
+        </div>
+
+        <div class="form-group">
+          <label for="contactMessage">Message:</label>
+          <textarea id="contactMessage" rows="5" required></textarea>
+        </div>
+
+        <div class="form-actions">
+          <button type="button" class="cancel btn danger">Cancel</button>
+          <button type="submit" class="btn primary">Send</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  modal.querySelector('.cancel').addEventListener('click', () => {
+    document.body.removeChild(modal);
+  });
+
+  modal.querySelector('#contactForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const subject = modal.querySelector('#contactSubject').value;
+    const message = modal.querySelector('#contactMessage').value;
+
+    try {
+      await api.post(`/contact/users/${userId}`, { subject, message });
+      RecentActivities.push(`Messaged ${name}.`)
+      debouncedRender()
+      document.body.removeChild(modal);
+    } catch (err) {
+      alert(`Failed to send message: ${err.message}`);
+    }
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      document.body.removeChild(modal);
+    }
+  });
+}
+
+/* Support */
+
+const supportBody = $('#supportTable tbody')
+const supportFilter = $('#supportStatusFilter')
+const supportMineOnly = $('#supportMineOnly')
+let supportTickets = []
+
+async function loadSupportTickets(){
+  const params = new URLSearchParams()
+  if (supportFilter.value) params.set(`status`, supportFilter.value)
+  if (supportMineOnly.checked) params.set(`assignee`, `me`)
+
+  try {
+    supportTickets = await api.get(`/support?${params}`)
+  } catch (err) {
+    console.error("Failed to load tickets:", err)
+  }
+  renderSupportTickets()
+}
+
+function renderSupportTickets(){
+  supportBody.innerHTML = ''
+  if (supportTickets.length === 0) {
+    supportBody.innerHTML = `<tr><td colspan="7"><em>No tickets</em></td></tr>`
+    return
+  }
+
+  supportTickets.forEach(ticket => {
+    const assignee = state.users.find(u => u.id === ticket.assignee)
+    const tr = document.createElement('tr')
+    tr.innerHTML = `
+      <td>#${ticket.id}</td>
+      <td>
+        <strong>${escapeHtml(ticket.name)}</strong>
+        <br><small>${escapeHtml(ticket.email)}</small>
+      </td>
+      <td>${escapeHtml(ticket.message.length > 80 ? `${ticket.message.slice(0, 80)}…` : ticket.message)}</td>
+      <td class="status ticket-${ticket.status}">${ticket.status}</td>
+      <td>${assignee ? assignee.name : `-`}</td>
+      <td>${makeDateLookGood(ticket.createdAt)}</td>
+      <td><button class="btn open-ticket" data-id="${ticket.id}">Open</button></td>
+    `
+    supportBody.appendChild(tr)
+  })
+}
+
+function escapeHtml(value){
+  const div = document.createElement('div')
+  div.textContent = value ?? ``
+  return div.innerHTML
+}
+
+supportFilter.addEventListener("change", loadSupportTickets)
+supportMineOnly.addEventListener("change", loadSupportTickets)
+
+supportBody.addEventListener("click", (e) =>{
+  if(e.target.classList.contains(`open-ticket`)){
+    const ticket = supportTickets.find(t => t.id === Number(e.target.dataset.id))
+    if (ticket) TicketModal(ticket)
+  }
+});
+
+function TicketModal(ticket) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content ticket-modal">
+      <h2>Ticket #${ticket.id}</h2>
+      <p class="ticket-from">${escapeHtml(ticket.name)} &lt;${escapeHtml(ticket.email)}&gt;</p>
+      <div class="ticket-thread">
+        <div class="ticket-message">${escapeHtml(ticket.message)}</div>
+        ${ticket.replies.map(r => `
+          <div class="ticket-message ${r.fromStaff ? `staff` : ``}">
+            <small>${escapeHtml(r.authorName)} · ${makeDateLookGood(r.createdAt)}</small>
+            <div>${escapeHtml(r.message)}</div>
+          </div>
+        `).join('')}
+      </div>
+
+      <div class="form-group">
+        <label for="ticketStatus">Status:</label>
+        <select id="ticketStatus">
+          ${[`open`, `in-progress`, `resolved`, `closed`].map(s => `<option value="${s}" ${s === ticket.status ? `selected` : ``}>${s}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="ticketAssignee">Assignee:</label>
+        <select id="ticketAssignee">
+          <option value="">Unassigned</option>
+          ${admins.map(a => `<option value="${a.id}" ${a.id === ticket.assignee ? `selected` : ``}>${a.name}</option>`).join('')}
+        </select>
+      </div>
+
+      <form id="ticketReplyForm">
+        <div class="form-group">
+          <label for="ticketReply">Reply (emailed to ${escapeHtml(ticket.email)}):</label>
+          <textarea id="ticketReply" rows="4"></textarea>
+        </div>
+
+        <div class="form-actions">
+          <button type="button" class="cancel btn danger">Close</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const close = () => document.body.removeChild(modal);
+
+  modal.querySelector('.cancel').addEventListener('click', close);
+
+  modal.querySelector('#ticketReplyForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const status = modal.querySelector('#ticketStatus').value;
+    const assigneeValue = modal.querySelector('#ticketAssignee').value;
+    const assignee = assigneeValue ? Number(assigneeValue) : null;
+    const reply = modal.querySelector('#ticketReply').value.trim();
+
+    try {
+      if (reply) {
+        const body = await api.post(`/support/${ticket.id}/replies`, { message: reply });
+        ticket = body.ticket;
+      }
+
+      const changes = {};
+      if (status !== ticket.status) changes.status = status;
+      if (assignee !== ticket.assignee) changes.assignee = assignee;
+
+      if (Object.keys(changes).length > 0) {
+        await patchWithRevision(`/support/${ticket.id}`, ticket, changes, { extract: body => body.ticket });
+      }
+
+      RecentActivities.push(`Handled ticket #${ticket.id}.`)
+      close();
+      loadSupportTickets();
+    } catch (err) {
+      alert(`Failed to update ticket: ${err.message}`);
+    }
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+}
+
+/* Security */
+
+const lockoutsBody = $('#lockoutsTable tbody')
+const lockedOnly = $('#lockedOnly')
+
+async function loadLockouts(){
+  let lockouts = []
+  try {
+    lockouts = await api.get(`/lockouts${lockedOnly.checked ? `?locked=true` : ``}`)
+  } catch (err) {
+    console.error("Failed to load lockouts:", err)
+  }
+
+  lockoutsBody.innerHTML = ''
+  if (lockouts.length === 0) {
+    lockoutsBody.innerHTML = `<tr><td colspan="7"><em>No failed logins</em></td></tr>`
+    return
+  }
+
+  lockouts.forEach(record => {
+    const tr = document.createElement('tr')
+    tr.innerHTML = `
+      <td>${record.kind === `email` ? `Account` : `IP`}</td>
+      <td>${escapeHtml(record.value)}</td>
+      <td>${record.failures} / ${record.maxFailures}</td>
+      <td>${record.lockouts}</td>
+      <td class="status ${record.locked ? `ticket-open` : ``}">${record.locked ? makeDateLookGood(record.lockedUntil) : `-`}</td>
+      <td>${record.lastFailureAt ? makeDateLookGood(record.lastFailureAt) : `-`}</td>
+      <td><button class="btn unlock-btn" data-id="${record.id}">${record.locked ? `Unlock` : `Reset`}</button></td>
+    `
+    lockoutsBody.appendChild(tr)
+  })
+}
+
+lockedOnly.addEventListener("change", loadLockouts)
+
+lockoutsBody.addEventListener("click", async (e) =>{
+  if(e.target.classList.contains(`unlock-btn`)){
+    try {
+      const { message } = await api.delete(`/lockouts/${e.target.dataset.id}`)
+      RecentActivities.push(message)
+      loadLockouts()
+      debouncedRender()
+    } catch (err) {
+      alert(`Failed to unlock: ${err.message}`)
+    }
+  }
+});
+
+/* Coupons */
+
+const couponsBody = $('#couponsTable tbody')
+const activeCouponsOnly = $('#activeCouponsOnly')
+let coupons = []
+
+function couponStatus(coupon){
+  if (!coupon.active) return `inactive`
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) return `expired`
+  if (coupon.maxUses != null && coupon.uses >= coupon.maxUses) return `used-up`
+  return `active`
+}
+
+function couponScope(coupon){
+  const courses = coupon.courseIds.map(id => getCourse(id)?.title || `#${id}`)
+  const scope = [...courses, ...coupon.categories]
+  return scope.length ? scope.map(escapeHtml).join(`, `) : `All courses`
+}
+
+function couponDates(coupon){
+  const from = coupon.startsAt ? makeDateLookGood(coupon.startsAt) : ``
+  const to = coupon.expiresAt ? makeDateLookGood(coupon.expiresAt) : ``
+  if (!from && !to) return `Always`
+  return `${from || `now`} → ${to || `no end`}`
+}
+
+async function loadCoupons(){
+  try {
+    coupons = await fetchCoupons({ active: activeCouponsOnly.checked })
+  } catch (err) {
+    console.error("Failed to load coupons:", err)
+  }
+
+  couponsBody.innerHTML = ''
+  if (coupons.length === 0) {
+    couponsBody.innerHTML = `<tr><td colspan="8"><em>No coupons</em></td></tr>`
+    return
+  }
+
+  coupons.forEach(coupon => {
+    const status = couponStatus(coupon)
+    const tr = document.createElement('tr')
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(coupon.code)}</strong></td>
+      <td>${coupon.type === `percent` ? `${coupon.value}%` : `${coupon.value.toFixed(2)} $`}</td>
+      <td>${couponScope(coupon)}</td>
+      <td>${couponDates(coupon)}</td>
+      <td>${coupon.uses}${coupon.maxUses != null ? ` / ${coupon.maxUses}` : ``}</td>
+      <td>${coupon.maxUsesPerUser ?? `-`}</td>
+      <td class="status coupon-${status}">${status.replace(`-`, ` `)}</td>
+      <td>
+        <button class="btn edit-coupon" data-id="${coupon.id}">Edit</button>
+        <button class="btn toggle-coupon" data-id="${coupon.id}">${coupon.active ? `Deactivate` : `Activate`}</button>
+        <button class="btn danger delete-coupon" data-id="${coupon.id}">Delete</button>
+      </td>
+    `
+    couponsBody.appendChild(tr)
+  })
+}
+
+// ISO date to the value a datetime-local input shows
+function toLocalInput(iso){
+  if (!iso) return ``
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+function CouponModal(coupon = null) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <h2>${coupon ? `Edit ${escapeHtml(coupon.code)}` : `New Coupon`}</h2>
+      <form id="couponForm">
+        <div class="form-group">
+          <label for="couponCodeInput">Code:</label>
+          <input type="text" id="couponCodeInput" value="${escapeHtml(coupon?.code || ``)}" maxlength="32" required>
+        </div>
+
+        <div class="form-group">
+          <label for="couponType">Type:</label>
+          <select id="couponType" required>
+            <option value="percent" ${coupon?.type === `percent` ? `selected` : ``}>Percent off</option>
+            <option value="fixed" ${coupon?.type === `fixed` ? `selected` : ``}>Amount off (USD)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="couponValue">Value:</label>
+          <input type="number" id="couponValue" min="0" step="0.01" value="${coupon?.value ?? ``}" required>
+        </div>
+
+        <div class="form-group">
+          <label for="couponCourses">Courses (none selected: all courses):</label>
+          <select id="couponCourses" multiple>
+            ${state.courses.map(c =>
+              `<option value="${c.id}" ${coupon?.courseIds.includes(c.id) ? `selected` : ``}>${escapeHtml(c.title)}</option>`
+            ).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="couponCategories">Categories (comma separated):</label>
+          <input type="text" id="couponCategories" value="${escapeHtml((coupon?.categories || []).join(`, `))}">
+        </div>
+
+        <div class="form-group">
+          <label for="couponStarts">Starts:</label>
+          <input type="datetime-local" id="couponStarts" value="${toLocalInput(coupon?.startsAt)}">
+        </div>
+
+        <div class="form-group">
+          <label for="couponExpires">Expires:</label>
+          <input type="datetime-local" id="couponExpires" value="${toLocalInput(coupon?.expiresAt)}">
+        </div>
+
+        <div class="form-group">
+          <label for="couponMaxUses">Total uses (empty: no limit):</label>
+          <input type="number" id="couponMaxUses" min="1" value="${coupon?.maxUses ?? ``}">
+        </div>
+
+        <div class="form-group">
+          <label for="couponMaxPerUser">Uses per student (empty: no limit):</label>
+          <input type="number" id="couponMaxPerUser" min="1" value="${coupon ? coupon.maxUsesPerUser ?? `` : 1}">
+        </div>
+
+        <div class="form-actions">
+          <button type="button" class="cancel btn danger">Cancel</button>
+          <button type="submit" class="btn primary">${coupon ? `Save` : `Create Coupon`}</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const close = () => document.body.removeChild(modal);
+
+  modal.querySelector('.cancel').addEventListener('click', close);
+
+  modal.querySelector('#couponForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = (id) => modal.querySelector(id).value.trim();
+    const date = (id) => value(id) ? new Date(value(id)).toISOString() : null;
+
+    const fields = {
+      code: value('#couponCodeInput'),
+      type: value('#couponType'),
+      value: Number(value('#couponValue')),
+      courseIds: [...modal.querySelector('#couponCourses').selectedOptions].map(o => Number(o.value)),
+      categories: value('#couponCategories').split(',').map(c => c.trim()).filter(Boolean),
+      startsAt: date('#couponStarts'),
+      expiresAt: date('#couponExpires'),
+      maxUses: value('#couponMaxUses') ? Number(value('#couponMaxUses')) : null,
+      maxUsesPerUser: value('#couponMaxPerUser') ? Number(value('#couponMaxPerUser')) : null
+    };
+
+    const result = coupon ? await updateCoupon(coupon, fields) : await createCoupon(fields);
+    if (!result.ok) {
+      alert(`Failed to save coupon: ${result.error}`);
+      return;
+    }
+
+    RecentActivities.push(coupon ? `Coupon ${result.coupon.code} updated.` : result.message)
+    close();
+    loadCoupons();
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+}
+
+$('#newCouponBtn').addEventListener("click", () => CouponModal())
+
+activeCouponsOnly.addEventListener("change", loadCoupons)
+
+couponsBody.addEventListener("click", async (e) =>{
+  const coupon = coupons.find(c => c.id === Number(e.target.dataset.id))
+  if (!coupon) return
+
+  if(e.target.classList.contains(`edit-coupon`)){
+    CouponModal(coupon)
+  }
+
+  if(e.target.classList.contains(`toggle-coupon`)){
+    const result = await updateCoupon(coupon, { active: !coupon.active })
+    if (!result.ok) {
+      alert(`Failed to update coupon: ${result.error}`)
+      return
+    }
+    RecentActivities.push(`Coupon ${coupon.code} ${result.coupon.active ? `activated` : `deactivated`}.`)
+    loadCoupons()
+  }
+
+  if(e.target.classList.contains(`delete-coupon`)){
+    if(!confirm(`Delete coupon ${coupon.code}? Orders keep the code, but its usage numbers are lost.`)) return
+
+    const result = await deleteCoupon(coupon.id)
+    if (!result.ok) {
+      alert(`Failed to delete coupon: ${result.error}`)
+      return
+    }
+    RecentActivities.push(result.message)
+    loadCoupons()
+  }
+});
+
 // Logout
 
 const logoutButton = document.getElementById('logout-button');
 
-logoutButton.addEventListener('click', () => {
-    logout();
+logoutButton.addEventListener('click', async () => {
+    await logout();
     alert(`Logout Successful.`);
     window.location.href = `login.html`
 });
 
+// Sync status
+
+const syncStatus = document.getElementById('syncStatus');
+
+onOutboxChange(({ pending, failed }) => {
+  syncStatus.replaceChildren();
+  if (failed > 0) {
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', retryFailed);
+    syncStatus.append(`${failed} failed `, retryBtn);
+  } else if (pending > 0) {
+    syncStatus.append(`Syncing ${pending}...`);
+  }
+});
+
+/* Live updates */
+
+// Pushed by the server: refetch what changed and redraw right away
+// instead of waiting for the next debounced render
+async function refreshCourses(){
+  await fetchAndMergeCourses('/courses/')
+  state.courses = Courses
+  renderAdminPage()
+}
+
+onServerEvent("course", refreshCourses)
+onServerEvent("enrollment", () => {
+  refreshCourses()
+  loadPayments()
+})
+onServerEvent("reconnect", refreshCourses)
+onServerEvent("review", async () => {
+  await syncFeedbackFromAPI()
+  renderAdminPage()
+})
+
 /* Settings */
 
 const commission = $(`#commission`);
@@ -933,7 +1510,7 @@ btn.addEventListener("click", () => {
 
 function synchronization_render(){
   admins = (state.users.filter((v) => v.role == `admin`));
-  state.instructors = (state.users.filter((v) => v.role == `admin`));
+  state.instructors = (state.users.filter((v) => v.role == `instructor` || v.role == `admin`));
   syncAllInstructorCourses()
   CourseFeedback.syncWithCourseSystem()
   renderAdminPage()
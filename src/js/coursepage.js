@@ -1,8 +1,9 @@
 // Modules
-import { CourseInformation, courseVideos } from "./Modules/CourseInformation.js";
+import { CourseInformation, courseVideos, fetchCourseContent } from "./Modules/CourseInformation.js";
 import { CourseFeedback,  } from "./Modules/CourseFeedback.js";
 import { getUser } from "./Modules/userSystem.js";
-import { getCurrentUser } from "./Modules/userSystem.js";
+import { getCurrentUser, refreshCurrentUser } from "./Modules/userSystem.js";
+import { recordVideoWatch, progressSynced, fetchExercises, listExercises, submitExercise, fetchAttempts } from "./Modules/progressSystem.js";
 
 // References
 const videoName = document.querySelector("h2.course-title");
@@ -12,6 +13,16 @@ const video = document.querySelector("#video-player");
 //const submit = document.querySelector("#postComment");
 const links = document.querySelectorAll(".course-sidebar a");
 
+const videoContainer = document.querySelector(".video-container");
+const quizPanel = document.getElementById("quizPanel");
+
+// Vimeo player bound to the iframe, and the chapter it is playing
+let player = null;
+let currentIndex = 0;
+
+// Sidebar entry on screen: a chapter index or a quiz id
+let selected = { type: "chapter", id: 0 };
+
 
 // Functions
 function getCourseData(){
@@ -57,17 +68,98 @@ function loadComments(course){
 }
 */
 function loadVideo(index){
+  showVideo();
   let information = getCourseData();
   videoName.innerHTML = `${information.title}`
   let videos = CourseInformation.getVideos(String(information.id));
   courseTitle.innerHTML = `${videos[index].videoTitle}`;
+  currentIndex = index;
 
   const iframe = document.getElementById("video-player");
   const id = videos[index].videoURL;
-  iframe.src = `https://player.vimeo.com/video/${id}?badge=0&amp;autopause=0&amp;player_id=0&amp;app_id=58479`;
+
+  // Once the player is attached, swap videos through it so its events keep firing
+  if (player) {
+    player.loadVideo(id).catch(console.error);
+    return;
+  }
+  iframe.src = `https://player.vimeo.com/video/${id}?badge=0&autopause=0&player_id=0&app_id=58479`;
+  watchPlayer(iframe);
+}
+
+// Watch events: started on play, share watched on timeupdate, completed on end
+function watchPlayer(iframe){
+  if (typeof Vimeo === "undefined") return;
+
+  player = new Vimeo.Player(iframe);
+  player.on("play", () => onWatch(0));
+  player.on("timeupdate", ({ percent }) => onWatch(percent * 100));
+  player.on("ended", () => onWatch(100));
+}
+
+function onWatch(watched){
+  const user = getCurrentUser();
+  if (!user) return;
+
+  const information = getCourseData();
+  const videos = CourseInformation.getVideos(String(information.id));
+  const video = videos[currentIndex];
+  if (!video) return;
+
+  const wasCompleted = isChapterCompleted(information.id, user.id, currentIndex);
+  recordVideoWatch(user.id, information.id, video.videoURL, watched, videos.map(v => v.videoURL));
+
+  if (!wasCompleted && isChapterCompleted(information.id, user.id, currentIndex)) {
+    markCompletedChapters();
+  }
+}
+
+function isChapterCompleted(courseId, userId, index){
+  return CourseInformation.getVideosWithProgress(String(courseId), userId)[index]?.completed || false;
+}
+
+function markCompletedChapters(){
+  const user = getCurrentUser();
+  if (!user) return;
+
+  const information = getCourseData();
+  const videos = CourseInformation.getVideosWithProgress(String(information.id), user.id);
+
+  document.querySelectorAll("#videoList a[data-chapter]").forEach(a => {
+    const done = videos[Number(a.dataset.chapter)]?.completed;
+    a.classList.toggle("completed", Boolean(done));
+    if (done && !a.querySelector(".chapter-check")) {
+      const check = document.createElement("i");
+      check.className = "ri-checkbox-circle-fill chapter-check";
+      a.appendChild(check);
+    }
+  });
 }
 
 
+function sidebarLink(text, isSelected, onClick){
+  const li = document.createElement("li");
+  const a = document.createElement("a");
+
+  a.textContent = text;
+  a.href = "#";
+  if (isSelected) a.id = "selected";
+
+  a.addEventListener("click", (e) => {
+    e.preventDefault();
+
+    document
+      .querySelectorAll(".course-sidebar a")
+      .forEach(l => l.removeAttribute("id"));
+
+    a.id = "selected";
+    onClick();
+  });
+
+  li.appendChild(a);
+  return li;
+}
+
 function loadSidebar() {
   let information = getCourseData();
   const videoList = document.getElementById("videoList");
@@ -80,34 +172,159 @@ function loadSidebar() {
     return;
   }
 
+  const exercises = listExercises(information.id);
+  const quizLink = (exercise) => {
+    const li = sidebarLink(`Quiz: ${exercise.title}`, selected.type === "quiz" && selected.id === exercise.id, () => {
+      selected = { type: "quiz", id: exercise.id };
+      loadQuiz(exercise);
+    });
+    li.querySelector("a").classList.add("quiz-link");
+    return li;
+  };
+
+  // Quizzes sit between the chapters they follow
+  exercises.filter(ex => ex.afterChapter < 1).forEach(ex => videoList.appendChild(quizLink(ex)));
+
   videos.forEach((video, index) => {
-    const li = document.createElement("li");
-    const a = document.createElement("a");
+    const li = sidebarLink(`Chapter ${index + 1}: ${video.videoTitle}`, selected.type === "chapter" && selected.id === index, () => {
+      selected = { type: "chapter", id: index };
+      loadVideo(index);
+    });
+    li.querySelector("a").dataset.chapter = index;
+    videoList.appendChild(li);
 
-    a.textContent = `Chapter ${index + 1}: ${video.videoTitle}`;
-    a.href = "#";
+    const isLast = index === videos.length - 1;
+    exercises
+      .filter(ex => ex.afterChapter === index + 1 || (isLast && ex.afterChapter > videos.length))
+      .forEach(ex => videoList.appendChild(quizLink(ex)));
+  });
 
-    a[0] = "selected";
+  markCompletedChapters();
+  progressSynced.then(markCompletedChapters);
+}
 
-    a.addEventListener("click", (e) => {
-      e.preventDefault();
+// Quizzes
 
-      document
-        .querySelectorAll(".course-sidebar a")
-        .forEach(l => l.removeAttribute("id"));
+function showVideo(){
+  videoContainer.classList.remove("hidden");
+  quizPanel.classList.add("hidden");
+}
 
-      a.id = "selected";
-      loadVideo(index);
+function showQuiz(){
+  if (player) player.pause().catch(() => {});
+  videoContainer.classList.add("hidden");
+  quizPanel.classList.remove("hidden");
+}
+
+function questionField(question, index){
+  const field = document.createElement("fieldset");
+  field.className = "quiz-question";
+
+  const legend = document.createElement("legend");
+  legend.textContent = `${index + 1}. ${question.prompt}`;
+  field.appendChild(legend);
+
+  if (question.type === "code-output") {
+    const pre = document.createElement("pre");
+    const code = document.createElement("code");
+    code.textContent = question.code;
+    pre.appendChild(code);
+    field.appendChild(pre);
+  }
+
+  if (question.type === "single" || question.type === "multiple") {
+    question.options.forEach((option, optionIndex) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = question.type === "single" ? "radio" : "checkbox";
+      input.name = `q${index}`;
+      input.value = optionIndex;
+      label.append(input, ` ${option}`);
+      field.appendChild(label);
     });
+  } else {
+    const input = document.createElement(question.type === "code-output" ? "textarea" : "input");
+    input.name = `q${index}`;
+    input.placeholder = question.type === "code-output" ? "What does this code print?" : "Your answer";
+    field.appendChild(input);
+  }
 
-    li.appendChild(a);
-    videoList.appendChild(li);
+  return field;
+}
 
-    // to load first element.
-    if (index === 0) {
-      a.id = "selected";
-      loadVideo(0);
+function readAnswers(form, questions){
+  return questions.map((question, index) => {
+    const name = `q${index}`;
+    if (question.type === "single") {
+      const checked = form.querySelector(`input[name="${name}"]:checked`);
+      return checked ? Number(checked.value) : null;
+    }
+    if (question.type === "multiple") {
+      return [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(i => Number(i.value));
     }
+    return form.elements[name].value;
+  });
+}
+
+function showResult(form, attempt, attemptsLeft){
+  form.querySelectorAll(".quiz-question").forEach((field, index) => {
+    field.classList.toggle("correct", attempt.results[index]?.correct === true);
+    field.classList.toggle("incorrect", attempt.results[index]?.correct === false);
+  });
+
+  const result = form.querySelector(".quiz-result");
+  result.textContent = `${attempt.passed ? "Passed" : "Not passed"}: ${attempt.score}/${attempt.maxScore} (${attempt.percent}%)`;
+  if (attempt.xpAwarded > 0) result.textContent += ` · +${attempt.xpAwarded} XP`;
+  if (attemptsLeft != null) result.textContent += ` · ${attemptsLeft} attempt(s) left`;
+
+  form.querySelector("button[type=submit]").disabled = attemptsLeft === 0;
+}
+
+async function loadQuiz(exercise){
+  showQuiz();
+  courseTitle.textContent = exercise.title;
+  quizPanel.innerHTML = "";
+
+  const form = document.createElement("form");
+  form.className = "quiz-form";
+  exercise.questions.forEach((question, index) => form.appendChild(questionField(question, index)));
+
+  const submit = document.createElement("button");
+  submit.type = "submit";
+  submit.textContent = "Submit answers";
+
+  const result = document.createElement("p");
+  result.className = "quiz-result";
+
+  form.append(submit, result);
+  quizPanel.appendChild(form);
+
+  const user = getCurrentUser();
+  if (!user) {
+    submit.disabled = true;
+    result.textContent = "Log in to take this quiz.";
+    return;
+  }
+
+  try {
+    const attempts = await fetchAttempts(exercise.id);
+    const last = attempts[attempts.length - 1];
+    const attemptsLeft = exercise.maxAttempts > 0 ? exercise.maxAttempts - attempts.length : null;
+    if (last) showResult(form, last, attemptsLeft);
+  } catch (e) {
+    console.log(e);
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    submit.disabled = true;
+
+    const outcome = await submitExercise(user.id, exercise.id, readAnswers(form, exercise.questions));
+    if (!outcome) {
+      submit.disabled = false;
+      return;
+    }
+    showResult(form, outcome.attempt, outcome.attemptsLeft);
   });
 }
 
@@ -135,11 +352,29 @@ submit.addEventListener("click" ,(e) => {
 */
 
 
-try{
+// Only enrolled students, the course's instructor and admins get the videos
+async function start(){
+  const courseId = getCourseData().id;
+  const access = await fetchCourseContent(courseId);
+
+  if (access.denied) {
+    if (!getCurrentUser()) {
+      window.location.href = "login.html";
+      return;
+    }
+    // The local copy may still list a course the server has taken away
+    await refreshCurrentUser();
+    window.location.href = `purchase.html?id=${courseId}`;
+    return;
+  }
+
   loadSidebar()
   loadVideo(0);
+  fetchExercises(courseId).then(loadSidebar);
   //links[0].id = "selected";
-}catch (e){
+}
+
+start().catch((e) => {
   console.log(e)
   //window.location.href="errorpage.html"
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { requestPasswordReset } from "./Modules/userSystem.js"
+
+document.getElementById('forgotForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const email = document.getElementById('forgot-email').value.trim();
+  if (!email) return;
+
+  const result = await requestPasswordReset(email);
+  alert(result.ok ? result.message : result.error);
+  if (result.ok) window.location.href = `login.html`;
+});
@@ -63,12 +63,20 @@ const loginClose = document.getElementById('login-close');
 
 
 
-loginButton.addEventListener('click', (e) => {
+loginButton.addEventListener('click', async (e) => {
+    e.preventDefault();
     const email = document.querySelector(`#popupemail`).value;
     const password = document.querySelector(`#popuppassword`).value;
-    if (!login(email, password)){
-        alert(`Login Failed! Please try again.`)
+    const result = await login(email, password);
+    if (result.twoFactor){
+        window.location.href=`/pages/two-factor.html?mode=${result.twoFactor}`
+        return
     }
+    if (!result.ok){
+        alert(result.unverified ? `${result.error}. Check your inbox for the confirmation link.` : result.locked ? result.error : `Login Failed! Please try again.`)
+        return
+    }
+    window.location.reload();
 });
 
 loginIcon.addEventListener('click', () => {
@@ -99,8 +107,8 @@ const profileTitle = document.querySelector(`.profile__title`);
 const adminButton = document.querySelector(`.admin__btn`)
 const profileButton = document.querySelector(`.profile__btn`)
 
-logoutButton.addEventListener('click', () => {
-    logout();
+logoutButton.addEventListener('click', async () => {
+    await logout();
     window.location.href="/pages/login.html"
 });
 
@@ -98,7 +98,9 @@ function submitComment(comment){
       CourseFeedback.updateFeedback(information.id, getCurrentUser().id.toString(), comment, rating)
     }
   }else{
-    CourseFeedback.addFeedback(information.id, getCurrentUser().id.toString(), comment, 0) ? alert("Commented Sucessfully!") : alert("Failed.")  
+    // Every review needs a rating; the comment is added to it
+    alert("Please rate the course before leaving a comment.")
+    return
   }
   loadComments(getCourseData());
 }
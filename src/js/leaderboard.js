@@ -0,0 +1,175 @@
+import { fetchLeaderboard } from './Modules/progressSystem.js';
+
+const style = document.createElement('style');
+style.textContent = `
+.leaderboard {
+    background: #fff;
+    border-radius: 12px;
+    box-shadow: 0 6px 18px rgba(0, 0, 0, 0.1);
+    padding: 20px;
+    max-width: 520px;
+    margin: 0 auto;
+}
+.leaderboard h3 {
+    margin: 0 0 12px;
+    color: #1e1b4b;
+}
+.leaderboard-tabs {
+    display: flex;
+    gap: 6px;
+    margin-bottom: 12px;
+}
+.leaderboard-tabs button {
+    flex: 1;
+    border: 1px solid #6366f1;
+    background: none;
+    color: #6366f1;
+    border-radius: 8px;
+    padding: 6px;
+    cursor: pointer;
+}
+.leaderboard-tabs button.active {
+    background: #6366f1;
+    color: #fff;
+}
+.leaderboard ol {
+    list-style: none;
+    padding: 0;
+    margin: 0;
+}
+.leaderboard li {
+    display: flex;
+    gap: 10px;
+    padding: 8px 4px;
+    border-bottom: 1px solid #eee;
+}
+.leaderboard li.me {
+    background: #f0f0ff;
+    font-weight: bold;
+}
+.leaderboard .rank { width: 32px; color: #6366f1; }
+.leaderboard .name { flex: 1; }
+.leaderboard-footer {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-top: 10px;
+    font-size: 14px;
+    color: #64748b;
+}
+.leaderboard-footer button {
+    border: none;
+    background: none;
+    color: #6366f1;
+    cursor: pointer;
+    font-size: 14px;
+}
+.leaderboard-footer button:disabled { color: #cbd5e1; cursor: default; }
+
+body.dark-theme .leaderboard {
+    background-color: rgb(15, 23, 42);
+    color: #f8fafc;
+}
+body.dark-theme .leaderboard h3 { color: #f8fafc; }
+body.dark-theme .leaderboard li.me { background: rgb(30, 41, 59); }
+`;
+document.head.appendChild(style);
+
+const PERIODS = [
+    { value: 'week', label: 'This week' },
+    { value: 'month', label: 'This month' },
+    { value: 'all', label: 'All time' }
+];
+
+// Any element with data-leaderboard becomes a widget; data-course-id / data-category narrow it
+function mountLeaderboard(container) {
+    const state = {
+        period: 'week',
+        page: 1,
+        limit: Number(container.dataset.limit) || 10,
+        courseId: container.dataset.courseId || null,
+        category: container.dataset.category || null
+    };
+
+    container.classList.add('leaderboard');
+    container.innerHTML = '';
+
+    const title = document.createElement('h3');
+    title.textContent = container.dataset.title || 'Leaderboard';
+
+    const tabs = document.createElement('div');
+    tabs.className = 'leaderboard-tabs';
+    PERIODS.forEach(({ value, label }) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.textContent = label;
+        tab.dataset.period = value;
+        tab.addEventListener('click', () => {
+            state.period = value;
+            state.page = 1;
+            render();
+        });
+        tabs.appendChild(tab);
+    });
+
+    const list = document.createElement('ol');
+
+    const footer = document.createElement('div');
+    footer.className = 'leaderboard-footer';
+    const prev = document.createElement('button');
+    prev.type = 'button';
+    prev.textContent = '‹ Prev';
+    prev.addEventListener('click', () => { state.page--; render(); });
+    const mine = document.createElement('span');
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.textContent = 'Next ›';
+    next.addEventListener('click', () => { state.page++; render(); });
+    footer.append(prev, mine, next);
+
+    container.append(title, tabs, list, footer);
+
+    async function render() {
+        tabs.querySelectorAll('button').forEach(b => b.classList.toggle('active', b.dataset.period === state.period));
+
+        let board;
+        try {
+            board = await fetchLeaderboard(state);
+        } catch (e) {
+            console.error(e);
+            list.innerHTML = '<li>Leaderboard unavailable</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        if (board.entries.length === 0) {
+            list.innerHTML = '<li>No XP earned yet</li>';
+        }
+        board.entries.forEach(entry => {
+            const li = document.createElement('li');
+            if (board.me && entry.userId === board.me.userId) li.classList.add('me');
+            const rank = document.createElement('span');
+            rank.className = 'rank';
+            rank.textContent = `#${entry.rank}`;
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = entry.name;
+            const points = document.createElement('span');
+            points.textContent = `${entry.points} XP`;
+            li.append(rank, name, points);
+            list.appendChild(li);
+        });
+
+        if (!board.me) mine.textContent = '';
+        else if (board.me.optedOut) mine.textContent = 'You are hidden from leaderboards';
+        else if (board.me.rank == null) mine.textContent = 'Earn XP to get ranked';
+        else mine.textContent = `Your rank: #${board.me.rank} (${board.me.points} XP)`;
+
+        prev.disabled = state.page <= 1;
+        next.disabled = state.page * state.limit >= board.total;
+    }
+
+    render();
+}
+
+document.querySelectorAll('[data-leaderboard]').forEach(mountLeaderboard);
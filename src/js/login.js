@@ -1,5 +1,5 @@
 
-import { login } from "./Modules/userSystem.js"
+import { login, resendVerification } from "./Modules/userSystem.js"
 import { getCurrentUser } from "./Modules/userSystem.js"
 
 
@@ -7,7 +7,7 @@ import { getCurrentUser } from "./Modules/userSystem.js"
 
 
 
-function submittingInfo(){
+async function submittingInfo(){
   const email = document.getElementById('login-email').value.trim();
   const password = document.getElementById('login-password').value.trim();
 
@@ -16,8 +16,20 @@ function submittingInfo(){
     return;
   }
 
-  if(!login(email, password)){
-    alert(`Invalid Data! Please enter the correct email or password.`)
+  const result = await login(email, password);
+  if(result.unverified){
+    if(confirm(`${result.error}. Send the confirmation email again?`)){
+      const resent = await resendVerification(email);
+      alert(resent.ok ? resent.message : resent.error);
+    }
+    return;
+  }
+  if(result.twoFactor){
+    window.location.href = `two-factor.html?mode=${result.twoFactor}`
+    return
+  }
+  if(!result.ok){
+    alert(result.locked ? result.error : `Invalid Data! Please enter the correct email or password.`)
     return;
   }
 
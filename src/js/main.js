@@ -8,12 +8,15 @@ let data = {};
 
 let formy = document.querySelector(".footer-feedback");
 
-formy.addEventListener("submit", function(e){
+formy.addEventListener("submit", async function(e){
     data.name = formy[0].value;
     data.email = formy[1].value;
     data.message = formy[2].value;
-    Feedback.submitFeedback(e, data)
-    window.location.reload();
+    const ticket = await Feedback.submitFeedback(e, data);
+    if (ticket) {
+        alert(`Thanks! Your message was sent (ticket #${ticket.id}).`);
+        formy.reset();
+    }
 })
 
 
@@ -30,11 +33,11 @@ document.addEventListener("keydown", (e) => {
 if (getCurrentUser().role === "student"){
   document.addEventListener("visibilitychange", () => {
     if (document.visibilityState === "hidden") {
-      updateUser(getCurrentUser(), {lastActive: new Date()})
+      updateUser(getCurrentUser(), {lastActive: new Date().toISOString()})
     }
   });
   window.addEventListener("blur", () => {
-    updateUser(getCurrentUser(), {lastActive: new Date()})
+    updateUser(getCurrentUser(), {lastActive: new Date().toISOString()})
   });
 }
 
@@ -1,3 +1,5 @@
+import { onOutboxChange, retryFailed, discardFailed } from './Modules/api.js';
+import { fetchNotifications, getNotifications, onNotificationsChange, markAsRead, deleteNotification } from './Modules/notificationSystem.js';
 
 const style = document.createElement('style');
 style.textContent = `
@@ -77,6 +79,25 @@ style.textContent = `
     top: 50%;
     transform: translateY(-50%);
 }
+.notification-popup li.unread { font-weight: 600; }
+.notification-popup li.empty { cursor: default; color: #64748b; }
+.notification-popup li time {
+    display: block;
+    font-size: 12px;
+    font-weight: normal;
+    color: #94a3b8;
+}
+.notification-popup li .delete-btn {
+    position: absolute;
+    right: 24px;
+    top: 8px;
+    background: none;
+    border: none;
+    color: #94a3b8;
+    cursor: pointer;
+    display: none;
+}
+.notification-popup li:hover .delete-btn { display: block; }
 .show-all-btn {
     display: block;
     text-align: center;
@@ -90,6 +111,26 @@ style.textContent = `
     margin: 0;
 }
 .show-all-btn:hover { background: #4f46e5; }
+.sync-status {
+    display: none;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 20px;
+    font-size: 13px;
+    color: #64748b;
+    border-bottom: 1px solid #eee;
+}
+.sync-status.show { display: flex; }
+.sync-status.failed { color: #dc2626; }
+.sync-status button {
+    background: none;
+    border: 1px solid currentColor;
+    color: inherit;
+    border-radius: 6px;
+    padding: 2px 8px;
+    cursor: pointer;
+    font-size: 12px;
+}
 
 /* Responsive */
 @media (max-width: 400px) {
@@ -128,54 +169,106 @@ const popup = document.createElement('div');
 popup.className = 'notification-popup';
 const ul = document.createElement('ul');
 
-const messages = [
-    { text: "No Notification System yet tho :P", unread: true },
-];
-
-messages.slice(0,5).forEach((msg, i) => {
-    const li = document.createElement('li');
-    li.textContent = msg.text;
-    li.dataset.index = i;
-    if(msg.unread){
-        const dot = document.createElement('span');
-        dot.className = 'unread-dot';
-        li.appendChild(dot); 
+const MAX_SHOWN = 5;
+
+function renderNotifications({ notifications, unread }) {
+    ul.replaceChildren();
+
+    if (notifications.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'empty';
+        li.textContent = 'No notifications yet';
+        ul.appendChild(li);
     }
-    ul.appendChild(li);
-});
-popup.appendChild(ul);
 
+    notifications.slice(0, MAX_SHOWN).forEach(n => {
+        const li = document.createElement('li');
+        li.dataset.id = n.id;
+        li.textContent = n.message;
+        li.classList.toggle('unread', !n.isRead);
 
-const showAllBtn = document.createElement('a');
-showAllBtn.className = 'show-all-btn';
-showAllBtn.textContent = 'Show all Notifications';
-showAllBtn.href = '#'; 
-popup.appendChild(showAllBtn);
+        const time = document.createElement('time');
+        time.dateTime = n.createdAt;
+        time.textContent = new Date(n.createdAt).toLocaleString();
+        li.appendChild(time);
 
-wrapper.appendChild(popup);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.title = 'Delete';
+        deleteBtn.textContent = '×';
+        li.appendChild(deleteBtn);
+
+        if (!n.isRead) {
+            const dot = document.createElement('span');
+            dot.className = 'unread-dot';
+            li.appendChild(dot);
+        }
+        ul.appendChild(li);
+    });
 
-function updateCount() {
-    const unread = messages.filter(m => m.unread).length;
-    if(unread === 0){
+    if (unread === 0) {
         countEl.style.display = 'none';
     } else {
         countEl.style.display = 'flex';
         countEl.innerText = unread;
     }
 }
-updateCount();
+popup.appendChild(ul);
+
+// Pending / failed writes waiting in the offline outbox
+const syncStatus = document.createElement('div');
+syncStatus.className = 'sync-status';
+popup.insertBefore(syncStatus, ul);
+
+onOutboxChange(({ pending, failed }) => {
+    syncStatus.replaceChildren();
+    syncStatus.classList.toggle('show', pending > 0 || failed > 0);
+    syncStatus.classList.toggle('failed', failed > 0);
+
+    if (failed > 0) {
+        syncStatus.append(`${failed} change(s) could not be saved`);
+
+        const retryBtn = document.createElement('button');
+        retryBtn.textContent = 'Retry';
+        retryBtn.addEventListener('click', e => { e.stopPropagation(); retryFailed(); });
+
+        const discardBtn = document.createElement('button');
+        discardBtn.textContent = 'Discard';
+        discardBtn.addEventListener('click', e => { e.stopPropagation(); discardFailed(); });
+
+        syncStatus.append(retryBtn, discardBtn);
+    } else if (pending > 0) {
+        syncStatus.append(`${pending} change(s) waiting to sync`);
+    }
+});
 
-icon.addEventListener('click', () => popup.classList.toggle('show'));
+
+const showAllBtn = document.createElement('a');
+showAllBtn.className = 'show-all-btn';
+showAllBtn.textContent = 'Mark all as read';
+showAllBtn.href = '#';
+showAllBtn.addEventListener('click', e => { e.preventDefault(); markAsRead(); });
+popup.appendChild(showAllBtn);
+
+wrapper.appendChild(popup);
+
+onNotificationsChange(renderNotifications);
+
+icon.addEventListener('click', () => {
+    popup.classList.toggle('show');
+    if (popup.classList.contains('show')) fetchNotifications().catch(console.error);
+});
 
 ul.addEventListener('click', e => {
     const li = e.target.closest('li');
-    if(!li) return;
-    const idx = li.dataset.index;
-    if(messages[idx].unread){
-        messages[idx].unread = false;
-        const dot = li.querySelector('.unread-dot');
-        if(dot) dot.remove();
-        updateCount();
+    if(!li || !li.dataset.id) return;
+
+    if (e.target.closest('.delete-btn')) {
+        deleteNotification(li.dataset.id);
+        return;
     }
-    //li.classList.toggle('expanded');
+
+    const notification = getNotifications().find(n => n.id === li.dataset.id);
+    markAsRead(li.dataset.id);
+    if (notification?.link) window.location.href = notification.link;
 });
@@ -1,8 +1,11 @@
 
 import { getCurrentUser } from "./Modules/userSystem.js"
-import { getUserXP } from "./Modules/progressSystem.js"
+import { getUserXP, getProgress, progressSynced, getCertificate, certificateLinks, getStreak, fetchStreak, fetchAchievements } from "./Modules/progressSystem.js"
+import { CourseInformation, fetchCourseContent } from "./Modules/CourseInformation.js"
 import { getCourse } from "./Modules/courseSystem.js"
-import { updateUser } from "./Modules/userSystem.js"
+import { updateUser, changePassword, startTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateBackupCodes } from "./Modules/userSystem.js"
+import { renderQrCode, renderBackupCodes } from "./Modules/TwoFactorSetup.js"
+import { fetchMyOrders, fetchRefundPolicy, canRequestRefund, requestRefund } from "./Modules/orderSystem.js"
 
 // Helper Functions
 
@@ -20,24 +23,50 @@ const sidebar = {
 const info = {
   name : $(`#info-box-name`),
   email : $(`#info-box-email`),
-  password : $(`#info-box-password`)
+  password : $(`#info-box-password`),
+  timezone : $(`#info-box-timezone`),
+  useDeviceTimezone : $(`#useDeviceTimezone`),
+  leaderboardOptOut : $(`#leaderboardOptOut`)
 }
 
 const burger = $(`.burger`);
 
 const statsBox = {
     exp : $('#expPoints'),
-    totalCourses : $(`#stat-card-totalCourses`)
+    totalCourses : $(`#stat-card-totalCourses`),
+    streak : $(`#streakCount`),
+    streakDetails : $(`#streakDetails`)
 }
 
 const myCourses = $(`#coursesSection`)
 
+const badgesGrid = $(`#badgesGrid`)
+
 const password = {
+  currentPassword : $(`#current-password`),
   newPassword : $(`#new-password`),
   confirmPassword : $(`#confirm-password`),
   submitBtn : $(`#submitPasswordChange`)
 }
 
+const twoFactor = {
+  status : $(`#twoFactorStatus`),
+  off : $(`#twoFactorOff`),
+  on : $(`#twoFactorOn`),
+  startBtn : $(`#startTwoFactor`),
+  setup : $(`#twoFactorSetup`),
+  qr : $(`#twoFactorQr`),
+  secret : $(`#twoFactorSecret`),
+  setupCode : $(`#twoFactorSetupCode`),
+  confirmBtn : $(`#confirmTwoFactor`),
+  code : $(`#twoFactorCode`),
+  newCodesBtn : $(`#newBackupCodes`),
+  password : $(`#twoFactorPassword`),
+  disableBtn : $(`#disableTwoFactor`),
+  backupBox : $(`#backupCodesBox`),
+  backupList : $(`#backupCodesList`)
+}
+
 // Functions
 
 function previewPhoto(event){
@@ -79,20 +108,145 @@ function loadCourses(){
     const courseInfo = getCourse(courseId);
     const courseCard = document.createElement(`div`);
     courseCard.classList.add(`course-card`);
+    courseCard.dataset.courseId = courseId;
     courseCard.innerHTML = `
       <img src="../assets/images/aaa.png" alt="Course Image">
       <div class="course-details">
       <h4>${courseInfo.title}</h4>
       <p>${courseInfo.description}</p>
-      <div class="progress-bar"><div class="progress-fill" style="width:50%"></div></div>
-      <p>Videos: Soon | Hours: Soon</p>
+      <div class="progress-bar"><div class="progress-fill" style="width:0%"></div></div>
+      <p class="course-progress-info"></p>
+      <p class="course-certificate"></p>
+      <p class="course-refund"></p>
     </div>
     `
     myCourses.append(courseCard)
   });
+  updateCourseProgress()
+}
+
+function updateCourseProgress(){
+  const information = getCurrentUser();
+  myCourses.querySelectorAll(`.course-card`).forEach(card => {
+    const courseId = card.dataset.courseId;
+    const progress = getProgress(information.id, courseId)?.progress || 0;
+    const videos = CourseInformation.getVideosWithProgress(String(courseId), information.id);
+    const completed = videos.filter(v => v.completed).length;
+
+    card.querySelector(`.progress-fill`).style.width = `${progress}%`;
+    card.querySelector(`.course-progress-info`).innerHTML = `Progress: ${progress}% | Chapters: ${completed}/${videos.length}`;
+
+    const certificate = getCertificate(information.id, courseId);
+    if (certificate) {
+      const links = certificateLinks(certificate);
+      card.querySelector(`.course-certificate`).innerHTML = `
+        <a href="${links.download}" download>Download certificate</a> |
+        <a href="${links.verify}" target="_blank" rel="noopener">Verify ${certificate.certificateId}</a>
+      `
+    }
+  });
+}
+
+// Refunds are asked for from the course card and decided by an admin
+let orders = []
+let refundPolicy = null
+
+async function loadRefunds(){
+  try {
+    [orders, refundPolicy] = await Promise.all([fetchMyOrders(), fetchRefundPolicy()])
+  } catch (e) {
+    console.error(e)
+    return
+  }
+  renderRefunds()
+}
+
+function renderRefunds(){
+  if (!refundPolicy) return
+  const information = getCurrentUser();
+  myCourses.querySelectorAll(`.course-card`).forEach(card => {
+    const courseId = Number(card.dataset.courseId);
+    const order = orders.find(o => o.courseId === courseId && o.status === `captured`);
+    const box = card.querySelector(`.course-refund`);
+    box.innerHTML = ``;
+    if (!order) return;
+
+    const request = order.refundRequest;
+    if (request?.status === `pending`) {
+      box.textContent = `Refund requested, waiting for review`;
+    } else if (request?.status === `rejected`) {
+      box.textContent = `Refund declined${request.note ? `: ${request.note}` : ``}`;
+    } else if (canRequestRefund(order, refundPolicy, getProgress(information.id, courseId)?.progress || 0)) {
+      const button = document.createElement(`button`);
+      button.className = `refund-btn`;
+      button.dataset.orderId = order.id;
+      button.textContent = `Request refund`;
+      box.appendChild(button);
+    }
+  });
+}
+
+myCourses.addEventListener("click", async (e) => {
+  if (!e.target.classList.contains(`refund-btn`)) return;
+
+  const reason = prompt(`Why would you like a refund? (optional)`);
+  if (reason === null) return;
+
+  e.target.disabled = true;
+  const result = await requestRefund(Number(e.target.dataset.orderId), reason);
+  if (!result.ok) {
+    alert(result.error);
+    e.target.disabled = false;
+    return;
+  }
+
+  orders = orders.map(o => o.id === result.order.id ? result.order : o);
+  renderRefunds();
+});
+
+function renderStreak(streak){
+  if (!streak) return;
+  statsBox.streak.innerHTML = `${streak.current}${streak.active ? ` 🔥` : ``}`
+  statsBox.streakDetails.innerHTML = `Longest: ${streak.longest} | Freezes: ${streak.freezeTokens}`
+}
+
+function renderBadges(achievements){
+  badgesGrid.innerHTML = achievements.map(badge => `
+    <div class="badge-item ${badge.unlockedAt ? `unlocked` : `locked`}" title="${badge.description}">
+      <i class="${badge.unlockedAt ? badge.icon : `ri-lock-line`}"></i>
+      <h4>${badge.title}</h4>
+      <p>${badge.unlockedAt ? `Unlocked ${new Date(badge.unlockedAt).toLocaleDateString()}` : badge.description}</p>
+    </div>
+  `).join(``)
 }
 
-// Temp function to verify password.
+function renderTimezone(){
+  const information = getCurrentUser();
+  const deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timezone = information.timezone || `UTC`;
+  info.timezone.innerHTML = `${timezone}`
+  info.useDeviceTimezone.hidden = timezone === deviceTimezone;
+}
+
+function renderTwoFactor(){
+  const user = getCurrentUser()
+  const required = user.role === `admin`
+  twoFactor.status.textContent = user.twoFactorEnabled
+    ? `On${required ? ` (required for admins)` : ``}`
+    : `Off`
+  twoFactor.off.hidden = Boolean(user.twoFactorEnabled)
+  twoFactor.on.hidden = !user.twoFactorEnabled
+  // Admins cannot sign in without it, so there is nothing to turn off
+  twoFactor.password.hidden = required
+  twoFactor.disableBtn.hidden = required
+}
+
+function showBackupCodes(codes){
+  renderBackupCodes(twoFactor.backupList, codes)
+  twoFactor.backupBox.hidden = false
+}
+
+// The server checks the current password and the strength rules
 function verifyPassword(){
   return ((password.newPassword.value === password.confirmPassword.value) && (password.newPassword.value.length !== 0))
 }
@@ -102,10 +256,21 @@ function onload(){
   let information = getCurrentUser();
   info.name.innerHTML = `${information.name}`
   info.email.innerHTML = `${information.email}`
-  info.password.innerHTML = `${"*".repeat(information.password.length)}`
+  info.password.innerHTML = `********`
   statsBox.exp.innerHTML = `${getUserXP(information.id)}`
   statsBox.totalCourses.innerHTML = `${information.enrolledCourses.length}`
+  renderTimezone()
+  renderTwoFactor()
+  info.leaderboardOptOut.checked = Boolean(information.leaderboardOptOut)
   loadCourses()
+  progressSynced.then(updateCourseProgress)
+  loadRefunds()
+  progressSynced.then(renderRefunds)
+  // Chapter counts need each course's videos, which come through the enrollment check
+  Promise.all(information.enrolledCourses.map(fetchCourseContent)).then(updateCourseProgress)
+  renderStreak(getStreak(information.id))
+  fetchStreak(information.id).then(renderStreak)
+  fetchAchievements().then(renderBadges).catch(console.error)
 }
 
 
@@ -116,12 +281,84 @@ onload()
 burger.addEventListener("click", () =>{
   toggleSidebar();
 })
+info.useDeviceTimezone.addEventListener("click", () => {
+  // Streak days are counted in this timezone from now on
+  updateUser(getCurrentUser(), { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+  renderTimezone()
+})
+info.leaderboardOptOut.addEventListener("change", () => {
+  updateUser(getCurrentUser(), { leaderboardOptOut: info.leaderboardOptOut.checked })
+})
 sidebar.profile.addEventListener("click", () => showProfile())
 sidebar.password.addEventListener("click", () => showChangePassword())
 sidebar.courses.addEventListener("click", () => showMyCourses())
-password.submitBtn.addEventListener("click", () =>{
-  if(verifyPassword()){
-    updateUser(getCurrentUser(), {password : password.newPassword.value})
-  } // This updates password into a possibly weak one.
+password.submitBtn.addEventListener("click", async () =>{
+  if(!verifyPassword()){
+    alert(`Passwords do not match!`)
+    return
+  }
+
+  const result = await changePassword(password.currentPassword.value, password.newPassword.value)
+  if(!result.ok){
+    alert(result.error)
+    return
+  }
+
+  alert(`Password updated. Other devices were signed out.`)
+  const inputs = [password.currentPassword, password.newPassword, password.confirmPassword]
+  inputs.forEach(input => input.value = ``)
+});
+
+twoFactor.startBtn.addEventListener("click", async () =>{
+  const result = await startTwoFactorSetup()
+  if(!result.ok){
+    alert(result.error)
+    return
+  }
+
+  renderQrCode(twoFactor.qr, result.uri)
+  twoFactor.secret.textContent = result.secret
+  twoFactor.startBtn.hidden = true
+  twoFactor.setup.hidden = false
+  twoFactor.setupCode.focus()
+});
+
+twoFactor.confirmBtn.addEventListener("click", async () =>{
+  const result = await enableTwoFactor(twoFactor.setupCode.value.trim())
+  if(!result.ok){
+    alert(result.error)
+    return
+  }
+
+  twoFactor.setupCode.value = ``
+  twoFactor.setup.hidden = true
+  twoFactor.startBtn.hidden = false
+  renderTwoFactor()
+  showBackupCodes(result.backupCodes)
+});
+
+twoFactor.newCodesBtn.addEventListener("click", async () =>{
+  const result = await regenerateBackupCodes(twoFactor.code.value.trim())
+  if(!result.ok){
+    alert(result.error)
+    return
+  }
+
+  twoFactor.code.value = ``
+  showBackupCodes(result.backupCodes)
+});
+
+twoFactor.disableBtn.addEventListener("click", async () =>{
+  if(!confirm(`Turn off two-factor authentication? Your backup codes will stop working.`)) return
+
+  const result = await disableTwoFactor(twoFactor.password.value, { code: twoFactor.code.value.trim() })
+  if(!result.ok){
+    alert(result.error)
+    return
+  }
 
+  twoFactor.code.value = ``
+  twoFactor.password.value = ``
+  twoFactor.backupBox.hidden = true
+  renderTwoFactor()
 });
@@ -1,7 +1,8 @@
 // Imports
 import { CourseInformation } from "./Modules/CourseInformation.js";
-import { getCurrentUser, updateUser } from "./Modules/userSystem.js";
-import { enrollUser } from "./Modules/courseSystem.js";
+import { getCurrentUser } from "./Modules/userSystem.js";
+import { checkout, enrollFree } from "./Modules/orderSystem.js";
+import { validateCoupon } from "./Modules/couponSystem.js";
 
 // DOM helper
 const $ = selector => document.querySelector(selector);
@@ -10,9 +11,19 @@ const $ = selector => document.querySelector(selector);
 const courseDetails = {
     title: $(".course-details h2"),
     description: $(".course-details p"),
-    price: $(".course-info strong")
+    price: $(".course-info strong"),
+    originalPrice: $(".price-original")
 };
 
+const coupon = {
+    input: $("#couponCode"),
+    apply: $("#applyCoupon"),
+    message: $("#couponMessage")
+};
+
+// { code, pricing } once the server accepted a code; the order is priced again on the server
+let appliedCoupon = null;
+
 const submitBtn = $(".pay-btn");
 
 const inputs = {
@@ -32,7 +43,58 @@ function loadInfo() {
     const info = getCourseData();
     courseDetails.title.innerHTML = info.title;
     courseDetails.description.innerHTML = info.description;
-    courseDetails.price.innerHTML = ` ${+info.price} $`;
+    renderPrice();
+}
+
+function renderPrice() {
+    const price = Number(getCourseData().price);
+    const pricing = appliedCoupon?.pricing;
+
+    courseDetails.originalPrice.hidden = !pricing;
+    courseDetails.originalPrice.textContent = ` ${price} $`;
+    courseDetails.price.innerHTML = pricing ? ` ${pricing.amount} $` : ` ${price} $`;
+    submitBtn.innerHTML = isFree()
+        ? `<i class="ri-check-line"></i> Enroll Now`
+        : `<i class="ri-check-line"></i> Pay Now`;
+}
+
+function showCouponMessage(text, applied) {
+    coupon.message.textContent = text;
+    coupon.message.classList.toggle("applied", applied);
+    coupon.message.classList.toggle("invalid", !applied && Boolean(text));
+}
+
+function clearCoupon(text = "") {
+    appliedCoupon = null;
+    showCouponMessage(text, false);
+    renderPrice();
+}
+
+async function applyCoupon() {
+    const code = coupon.input.value.trim();
+    if (!code) {
+        clearCoupon();
+        return;
+    }
+
+    coupon.apply.disabled = true;
+    const result = await validateCoupon(code, getCourseData().id);
+    coupon.apply.disabled = false;
+
+    if (!result.ok) {
+        clearCoupon(result.error);
+        return;
+    }
+
+    appliedCoupon = { code: result.code, pricing: result.pricing };
+    showCouponMessage(result.message, true);
+    renderPrice();
+}
+
+// Nothing to pay: the course is free, or the coupon covers all of it
+function isFree() {
+    if (appliedCoupon) return !(appliedCoupon.pricing.amount > 0);
+    return !(Number(getCourseData().price) > 0);
 }
 
 function validateUser() {
@@ -41,6 +103,18 @@ function validateUser() {
 
 const getCourseData = () => CourseInformation.courseInfo();
 
+// The form's method names and fields, as the order API expects them
+function paymentDetails() {
+    if (method.value === "visa") {
+        return {
+            method: "card",
+            details: { cardNumber: inputs.visaDetails[0].value, expiry: inputs.visaDetails[1].value, cvv: inputs.visaDetails[2].value }
+        };
+    }
+    if (method.value === "paypal") return { method: "paypal", details: { email: inputs.paypalDetails[0].value } };
+    return { method: "vodafone", details: { phone: inputs.vodafoneDetails[0].value } };
+}
+
 const Validation = {
     isNotEmpty: str => str.trim().length > 0,
     isEmail: str => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str),
@@ -184,10 +258,24 @@ method.addEventListener("change", () => {
     if (method.value === "vodafone") vodaBox.style.display = "block";
 });
 
-submitBtn.addEventListener("click", e => {
+coupon.apply.addEventListener("click", applyCoupon);
+
+coupon.input.addEventListener("keydown", e => {
+    if (e.key !== "Enter") return;
     e.preventDefault();
+    applyCoupon();
+});
 
-    if (!Validation.validateForm()) {
+// Editing the code takes the old discount off until the new one is applied
+coupon.input.addEventListener("input", () => {
+    if (appliedCoupon && coupon.input.value.trim().toUpperCase() !== appliedCoupon.code) clearCoupon();
+});
+
+submitBtn.addEventListener("click", async e => {
+    e.preventDefault();
+
+    const valid = isFree() ? Validation.checkGroup("basicDetails") : Validation.validateForm();
+    if (!valid) {
         alert("Please fill in all required fields correctly.");
         return;
     }
@@ -197,10 +285,36 @@ submitBtn.addEventListener("click", e => {
         return;
     }
 
-    const currentUser = getCurrentUser();
-    currentUser.enrolledCourses.push(getCourseData().id);
-    updateUser(currentUser, { enrolledCourses: currentUser.enrolledCourses });
-    enrollUser(currentUser.id, getCourseData().id);
+    // Free courses need no payment
+    if (isFree()) {
+        submitBtn.disabled = true;
+        const result = await enrollFree(getCourseData().id, appliedCoupon?.code);
+        submitBtn.disabled = false;
+
+        if (!result.ok) {
+            alert(`Enrollment failed: ${result.error}`);
+            return;
+        }
+
+        window.location.href = `coursepage.html?id=${getCourseData().id}`;
+        return;
+    }
+
+    // The server enrolls on a captured payment; nothing is enrolled locally before that
+    submitBtn.disabled = true;
+    const { method: paymentMethod, details } = paymentDetails();
+    const result = await checkout(getCourseData().id, paymentMethod, details, appliedCoupon?.code);
+    submitBtn.disabled = false;
+
+    if (result.couponUnavailable) {
+        clearCoupon(result.error);
+        return;
+    }
+
+    if (!result.ok) {
+        alert(`Payment failed: ${result.error}`);
+        return;
+    }
 
     window.location.href = `coursepage.html?id=${getCourseData().id}`;
 });
@@ -23,17 +23,23 @@ document.addEventListener('DOMContentLoaded', () => {
       } else {
           emailInput.style.borderColor = "red";
       }
+      // The password may not contain the email's name part
+      if (passwordBar.value) validatePassword();
   });
 
 
 
 
-  // Password!!
+  // Password!! Same rules as api/utils/passwordPolicy.js
   const rules = {
-    length: (pw) => pw.length >= 8,
+    length: (pw) => pw.length >= 8 && pw.length <= 128,
     uppercase: (pw) => /[A-Z]/.test(pw),
     number: (pw) => /[0-9]/.test(pw),
-    symbol: (pw) => /[!@#$%^&*(),.?":{}|<>]/.test(pw),
+    symbol: (pw) => /[^A-Za-z0-9]/.test(pw),
+    email: (pw) => {
+      const name = emailInput.value.split("@")[0].toLowerCase();
+      return name.length < 3 || !pw.toLowerCase().includes(name);
+    },
   };
 
 
@@ -49,7 +55,7 @@ document.addEventListener('DOMContentLoaded', () => {
     passwordDisplay.style.display=`none`
   })
   
-  passwordBar.addEventListener("input", () => {
+  function validatePassword() {
 
     const pw = passwordBar.value;
     isValid = true;
@@ -64,7 +70,9 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     passwordBar.style.borderColor = isValid ? "green" : "red";
-  });
+  }
+
+  passwordBar.addEventListener("input", validatePassword);
 
 
   // confirm password!!!
@@ -106,7 +114,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
   if (registerForm) {
-    registerForm.addEventListener('submit', (event) => {
+    registerForm.addEventListener('submit', async (event) => {
       event.preventDefault();
 
       const name = document.getElementById('register-name').value.trim();
@@ -130,9 +138,13 @@ document.addEventListener('DOMContentLoaded', () => {
         password,
       };
 
-      register(newUser)
+      const result = await register(newUser)
+      if (!result.ok) {
+        alert(result.error);
+        return;
+      }
 
-      alert('Registration Successful! Welcome aboard.');
+      alert('Registration Successful! Check your email to confirm your address, then log in.');
 
       window.location.href = 'login.html';
     });
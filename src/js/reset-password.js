@@ -0,0 +1,41 @@
+import { resetPassword } from "./Modules/userSystem.js"
+
+const token = new URLSearchParams(window.location.search).get('token');
+
+if (!token) {
+  alert(`This link is missing its token. Please request a new one.`);
+  window.location.href = `forgot-password.html`;
+}
+
+document.querySelectorAll('.toggle-password').forEach(icon => {
+  icon.addEventListener('click', () => {
+    const targetInput = document.getElementById(icon.dataset.target);
+    if (targetInput.type === 'password') {
+      targetInput.type = 'text';
+      icon.classList.replace('ri-eye-off-line', 'ri-eye-line');
+    } else {
+      targetInput.type = 'password';
+      icon.classList.replace('ri-eye-line', 'ri-eye-off-line');
+    }
+  });
+});
+
+document.getElementById('resetForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const password = document.getElementById('reset-password').value;
+  const confirm = document.getElementById('reset-confirm').value;
+
+  if (password !== confirm) {
+    alert('Passwords do not match!');
+    return;
+  }
+
+  const result = await resetPassword(token, password);
+  if (!result.ok) {
+    alert(result.error);
+    return;
+  }
+
+  alert(result.message);
+  window.location.href = `login.html`;
+});
@@ -0,0 +1,90 @@
+import { getCurrentUser, hasPendingTwoFactor, verifyTwoFactor, startTwoFactorSetup, enableTwoFactor } from "./Modules/userSystem.js"
+import { renderQrCode, renderBackupCodes } from "./Modules/TwoFactorSetup.js"
+
+const $ = selector => document.querySelector(selector)
+
+const mode = new URLSearchParams(window.location.search).get('mode');
+
+let useBackupCode = false;
+
+function goHome(){
+  window.location.href = getCurrentUser()?.role === `admin` ? `admin.html` : `../index.html`;
+}
+
+// The password step has to be done again
+function restartLogin(message){
+  alert(message);
+  window.location.href = `login.html`;
+}
+
+/* Login with an existing authenticator */
+
+$('#toggleBackup').addEventListener('click', (e) => {
+  e.preventDefault();
+  useBackupCode = !useBackupCode;
+  $('#verify-label').textContent = useBackupCode ? `Backup Code` : `Authentication Code`;
+  $('#verifyHint').textContent = useBackupCode
+    ? `Enter one of the backup codes you saved when setting up two-factor`
+    : `Enter the 6-digit code from your authenticator app`;
+  $('#toggleBackup').textContent = useBackupCode ? `Use the authenticator app instead` : `Use a backup code instead`;
+  $('#verify-code').value = ``;
+  $('#verify-code').focus();
+});
+
+$('#verifyForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const value = $('#verify-code').value.trim();
+
+  const result = await verifyTwoFactor(useBackupCode ? { backupCode: value } : { code: value });
+  if (result.expired) return restartLogin(result.error);
+  if (!result.ok) {
+    alert(result.error);
+    return;
+  }
+
+  if (useBackupCode) {
+    alert(`Backup code used. ${result.backupCodesLeft} left; you can make new ones from your profile.`);
+  }
+  goHome();
+});
+
+/* First-time setup */
+
+async function loadSetup(){
+  const result = await startTwoFactorSetup();
+  if (result.expired) return restartLogin(result.error);
+  if (!result.ok) {
+    alert(result.error);
+    return;
+  }
+
+  renderQrCode($('#qrCode'), result.uri);
+  $('#secretKey').textContent = result.secret;
+}
+
+$('#setupForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const result = await enableTwoFactor($('#setup-code').value.trim());
+  if (result.expired) return restartLogin(result.error);
+  if (!result.ok) {
+    alert(result.error);
+    return;
+  }
+
+  renderBackupCodes($('#backupCodes'), result.backupCodes);
+  $('#setupForm').classList.add('hidden');
+  $('#backupSection').classList.remove('hidden');
+});
+
+$('#backupDone').addEventListener('click', goHome);
+
+if (!hasPendingTwoFactor()) {
+  window.location.href = getCurrentUser() ? `../index.html` : `login.html`;
+} else if (mode === `setup`) {
+  $('#setupForm').classList.remove('hidden');
+  loadSetup();
+} else {
+  $('#verifyForm').classList.remove('hidden');
+  $('#verify-code').focus();
+}
@@ -0,0 +1,16 @@
+import { verifyEmail } from "./Modules/userSystem.js"
+
+const status = document.getElementById('verifyStatus');
+const token = new URLSearchParams(window.location.search).get('token');
+
+async function confirmEmail(){
+  if (!token) {
+    status.textContent = `This link is missing its token.`;
+    return;
+  }
+
+  const result = await verifyEmail(token);
+  status.textContent = result.ok ? result.message : `${result.error}. Log in to get a new confirmation email.`;
+}
+
+confirmEmail();